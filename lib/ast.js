@@ -0,0 +1,83 @@
+/**
+ * Shared GraphQL AST helpers used by the filter, simplifier and the other tools.
+ */
+
+const { parse, Kind } = require("graphql");
+
+const BUILTIN_SCALARS = new Set(["String", "Int", "Float", "Boolean", "ID"]);
+
+/**
+ * Accept either SDL text or an already parsed DocumentNode.
+ */
+function toDocument(sdlOrDocument) {
+  if (typeof sdlOrDocument === "string") {
+    return parse(sdlOrDocument, { noLocation: true });
+  }
+  if (sdlOrDocument && sdlOrDocument.kind === Kind.DOCUMENT) {
+    return sdlOrDocument;
+  }
+  throw new TypeError("Expected SDL string or GraphQL DocumentNode");
+}
+
+function getNamedType(typeNode) {
+  let t = typeNode;
+  while (t && (t.kind === Kind.NON_NULL_TYPE || t.kind === Kind.LIST_TYPE)) {
+    t = t.type;
+  }
+  return t && t.kind === Kind.NAMED_TYPE ? t.name.value : null;
+}
+
+function isListType(typeNode) {
+  let t = typeNode;
+  while (t && t.kind === Kind.NON_NULL_TYPE) t = t.type;
+  return !!t && t.kind === Kind.LIST_TYPE;
+}
+
+function defName(def) {
+  return def && def.name && def.name.value ? def.name.value : null;
+}
+
+function isRootTypeName(name) {
+  return name === "Query" || name === "Mutation" || name === "Subscription";
+}
+
+function underscorePrefix(name) {
+  const idx = name.indexOf("_");
+  if (idx <= 0) return null;
+  return name.slice(0, idx);
+}
+
+function indexDefinitions(doc) {
+  const defsByName = new Map(); // name -> [defs...]
+  const scalarDefs = [];
+  const directiveDefs = [];
+  let schemaDef = null;
+  const schemaExts = [];
+
+  for (const d of doc.definitions) {
+    if (d.kind === Kind.SCHEMA_DEFINITION) schemaDef = d;
+    if (d.kind === Kind.SCHEMA_EXTENSION) schemaExts.push(d);
+    if (d.kind === Kind.SCALAR_TYPE_DEFINITION) scalarDefs.push(d);
+    if (d.kind === Kind.DIRECTIVE_DEFINITION) directiveDefs.push(d);
+
+    const name = defName(d);
+    if (name) {
+      const arr = defsByName.get(name) || [];
+      arr.push(d);
+      defsByName.set(name, arr);
+    }
+  }
+
+  return { defsByName, scalarDefs, directiveDefs, schemaDef, schemaExts };
+}
+
+module.exports = {
+  BUILTIN_SCALARS,
+  toDocument,
+  getNamedType,
+  isListType,
+  defName,
+  isRootTypeName,
+  underscorePrefix,
+  indexDefinitions,
+};
@@ -0,0 +1,148 @@
+/**
+ * Project config (graphql-viz.config.json): named profiles for filter and
+ * simplify runs.
+ *
+ *   {
+ *     "defaults": { "input": "./FLEXCURRENT_V001.schema.graphql", "output": "schema/FLEXCURRENT_{registers}.schema.graphql" },
+ *     "profiles": {
+ *       "ejendom": {
+ *         "registers": ["BBR", "MAT", "EJF", "DAR"],
+ *         "keepRootFields": [],
+ *         "rules": { "fields": { "exclude": ["*.datafordeler*"] } },
+ *         "simplify": { "output": "schema/ejendom.simplified.graphql", "rules": { "keepEnums": ["*"] } },
+ *         "mappings": { "output": "schema/ejendom.domain-mappings.json" },
+ *         "viewer": { "output": "schema/ejendom.viewer.html", "title": "Ejendom" }
+ *       }
+ *     }
+ *   }
+ *
+ * Every profile inherits "defaults". Relative paths are resolved against the
+ * config file's directory. In "output" / "simplify.output", {profile} and
+ * {registers} (joined with "_") are substituted. "simplify.rules" holds
+ * simplify rules inline (see simplify-rules.js). "mappings" and "viewer"
+ * are only built by the pipeline (see pipeline.js).
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const CONFIG_FILE_NAME = "graphql-viz.config.json";
+
+const PROFILE_DEFAULTS = {
+  input: null,
+  output: null,
+  registers: [],
+  rootFields: [],
+  keepRootFields: [],
+  allowPrefixes: [],
+  pruneForeign: true,
+  validate: true,
+  rules: null,
+  descriptions: "full",
+  simplify: null,
+  mappings: null,
+  viewer: null,
+};
+
+// Sections that may be set in "defaults" and replaced (not merged) by a profile
+const SECTION_KEYS = ["simplify", "mappings", "viewer"];
+
+const LIST_KEYS = ["registers", "rootFields", "keepRootFields", "allowPrefixes"];
+
+/**
+ * Look for graphql-viz.config.json in `dir` and its parents.
+ */
+function findConfigFile(dir = process.cwd()) {
+  let current = path.resolve(dir);
+  for (;;) {
+    const candidate = path.join(current, CONFIG_FILE_NAME);
+    if (fs.existsSync(candidate)) return candidate;
+    const parent = path.dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+}
+
+function loadConfig(configPath) {
+  const resolved = path.resolve(configPath);
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(resolved, "utf8"));
+  } catch (err) {
+    throw new Error(`Could not read config ${resolved}: ${err.message}`);
+  }
+  if (!raw || typeof raw !== "object" || !raw.profiles || typeof raw.profiles !== "object") {
+    throw new Error(`Config ${resolved} must contain a "profiles" object`);
+  }
+  return { ...raw, path: resolved, dir: path.dirname(resolved) };
+}
+
+function profileNames(config) {
+  return Object.keys(config.profiles);
+}
+
+function substitute(template, profileName, registers) {
+  // Profiles selected by rootFields alone have no registers; fall back to the profile name
+  const registerPart = registers.length ? registers.join("_") : profileName;
+  return template.replace(/\{profile\}/g, profileName).replace(/\{registers\}/g, registerPart);
+}
+
+/**
+ * Merge defaults and the named profile into a complete, path-resolved profile.
+ * `outputTemplate` is the unsubstituted "output" and `renderOutput(registers)`
+ * fills it in for another selection, e.g. when a command-line flag replaces
+ * the profile's registers.
+ */
+function resolveProfile(config, name) {
+  const own = config.profiles[name];
+  if (!own) {
+    throw new Error(`Unknown profile "${name}" (available: ${profileNames(config).join(", ") || "none"})`);
+  }
+
+  const defaults = config.defaults || {};
+  const merged = { ...PROFILE_DEFAULTS, ...defaults, ...own };
+  for (const key of SECTION_KEYS) {
+    merged[key] = own[key] === undefined ? defaults[key] || null : own[key];
+    if (merged[key] && !merged[key].output) throw new Error(`Profile "${name}": "${key}.output" is required`);
+  }
+
+  for (const key of LIST_KEYS) {
+    if (!Array.isArray(merged[key])) {
+      throw new Error(`Profile "${name}": "${key}" must be an array`);
+    }
+  }
+  if (!merged.registers.length && !merged.rootFields.length) {
+    throw new Error(`Profile "${name}": "registers" or "rootFields" is required`);
+  }
+  if (!merged.input) throw new Error(`Profile "${name}": "input" is required`);
+  if (!merged.output) throw new Error(`Profile "${name}": "output" is required`);
+
+  const resolvePath = (p) => (p ? path.resolve(config.dir, substitute(p, name, merged.registers)) : null);
+
+  const profile = {
+    ...merged,
+    name,
+    input: resolvePath(merged.input),
+    output: resolvePath(merged.output),
+    outputTemplate: merged.output,
+    renderOutput: (registers) => path.resolve(config.dir, substitute(merged.output, name, registers)),
+  };
+  if (merged.simplify) {
+    profile.simplify = {
+      ...merged.simplify,
+      output: resolvePath(merged.simplify.output),
+      mappings: resolvePath(merged.simplify.mappings),
+    };
+  }
+  if (merged.mappings) profile.mappings = { ...merged.mappings, output: resolvePath(merged.mappings.output) };
+  if (merged.viewer) profile.viewer = { ...merged.viewer, output: resolvePath(merged.viewer.output) };
+  return profile;
+}
+
+module.exports = {
+  CONFIG_FILE_NAME,
+  findConfigFile,
+  loadConfig,
+  profileNames,
+  resolveProfile,
+};
@@ -0,0 +1,354 @@
+/**
+ * Register dependency analysis: which registers join to which, from the
+ * @entityJoin fields of an unpruned schema. Renders the register-to-register
+ * matrix, dependency cycles and the join fields of every register pair as
+ * JSON, CSV and Markdown, and tells which --allow-prefixes a register set
+ * needs so filter-schema.js keeps its joins.
+ */
+
+const { Kind } = require("graphql");
+
+const { toDocument, getNamedType, defName, isListType, isRootTypeName, underscorePrefix } = require("./ast");
+const { discoverRegisters } = require("./domain-mappings");
+
+function joinKindOf(field) {
+  const directive = (field.directives || []).find((d) => d.name.value === "entityJoin");
+  if (!directive) return null;
+  const arg = (directive.arguments || []).find((a) => a.name.value === "joinKind");
+  return arg && arg.value.kind === Kind.ENUM ? arg.value.value : "unknown";
+}
+
+// Connection types (pageInfo/edges/nodes) join to their node type
+function connectionNode(def) {
+  if (!def || def.kind !== Kind.OBJECT_TYPE_DEFINITION) return null;
+  const nodes = (def.fields || []).find((f) => f.name.value === "nodes");
+  const hasPageInfo = (def.fields || []).some((f) => f.name.value === "pageInfo");
+  return nodes && hasPageInfo ? getNamedType(nodes.type) : null;
+}
+
+// Shortest cycle from `start` back to itself, staying inside `members`
+function exampleCycle(start, members, adjacency) {
+  const previous = new Map([[start, null]]);
+  const queue = [start];
+  while (queue.length) {
+    const current = queue.shift();
+    for (const next of adjacency.get(current) || []) {
+      if (!members.has(next)) continue;
+      if (next === start) {
+        const path = [start];
+        for (let n = current; n !== start; n = previous.get(n)) path.splice(1, 0, n);
+        return [...path, start];
+      }
+      if (!previous.has(next)) {
+        previous.set(next, current);
+        queue.push(next);
+      }
+    }
+  }
+  return null;
+}
+
+// Strongly connected components with more than one register (Tarjan)
+function registerCycles(registers, adjacency) {
+  let index = 0;
+  const indices = new Map();
+  const lowlink = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+
+  const connect = (v) => {
+    indices.set(v, index);
+    lowlink.set(v, index);
+    index++;
+    stack.push(v);
+    onStack.add(v);
+    for (const w of adjacency.get(v) || []) {
+      if (!indices.has(w)) {
+        connect(w);
+        lowlink.set(v, Math.min(lowlink.get(v), lowlink.get(w)));
+      } else if (onStack.has(w)) {
+        lowlink.set(v, Math.min(lowlink.get(v), indices.get(w)));
+      }
+    }
+    if (lowlink.get(v) === indices.get(v)) {
+      const component = [];
+      let w;
+      do {
+        w = stack.pop();
+        onStack.delete(w);
+        component.push(w);
+      } while (w !== v);
+      if (component.length > 1) components.push(component.sort());
+    }
+  };
+
+  for (const r of registers) {
+    if (!indices.has(r)) connect(r);
+  }
+
+  return components
+    .sort((a, b) => b.length - a.length || a[0].localeCompare(b[0]))
+    .map((members) => ({
+      registers: members,
+      example: exampleCycle(members[0], new Set(members), adjacency),
+      // Register pairs that join each other directly
+      mutual: members.flatMap((a) =>
+        members.filter((b) => a < b && adjacency.get(a).has(b) && adjacency.get(b).has(a)).map((b) => [a, b])
+      ),
+    }));
+}
+
+/**
+ * Analyze the @entityJoin fields of `sdlOrDocument`. Registers come from
+ * discoverRegisters (so EJFCustom_* types belong to EJF).
+ *
+ * Returns {
+ *   registers: ["BBR", ...],
+ *   joins: [{ from, to, type, field, target, joinKind, list, prefixes }],
+ *   matrix: { from: { to: count } }       (every register, zeros included)
+ *   pairs: [{ from, to, count, joinKinds: { kind: count }, joins }]   (cross-register only)
+ *   cycles: [{ registers, example: ["BBR", "DAR", "BBR"], mutual: [["BBR", "DAR"]] }]
+ *   prefixes: { EJFCustom: "EJF", ... }
+ * }
+ *
+ * Every cycle is a group of registers that (indirectly) depend on each other,
+ * with one shortest example path and the pairs that join both ways.
+ *
+ * `prefixes` are the underscore-prefixes of the join field's return and
+ * argument types, i.e. what filter-schema.js checks when pruning.
+ */
+function analyzeRegisterDependencies(sdlOrDocument) {
+  const doc = toDocument(sdlOrDocument);
+  const { registers, prefixToRegister } = discoverRegisters(doc);
+  const registerOf = (name) => prefixToRegister.get(underscorePrefix(name)) || null;
+
+  const defsByName = new Map();
+  for (const def of doc.definitions) {
+    const name = defName(def);
+    if (name && !defsByName.has(name)) defsByName.set(name, def);
+  }
+
+  const joins = [];
+  for (const def of doc.definitions) {
+    const owner = defName(def);
+    if (def.kind !== Kind.OBJECT_TYPE_DEFINITION && def.kind !== Kind.INTERFACE_TYPE_DEFINITION) continue;
+    if (!owner || isRootTypeName(owner) || !registerOf(owner)) continue;
+
+    for (const field of def.fields || []) {
+      const joinKind = joinKindOf(field);
+      if (!joinKind) continue;
+      const returnType = getNamedType(field.type);
+      const node = connectionNode(defsByName.get(returnType));
+      const target = node || returnType;
+      if (!registerOf(target)) continue;
+
+      const prefixes = new Set();
+      for (const name of [returnType, ...(field.arguments || []).map((a) => getNamedType(a.type))]) {
+        const p = name && underscorePrefix(name);
+        if (p) prefixes.add(p);
+      }
+
+      joins.push({
+        from: registerOf(owner),
+        to: registerOf(target),
+        type: owner,
+        field: field.name.value,
+        target,
+        joinKind,
+        list: !!node || isListType(field.type),
+        prefixes: [...prefixes].sort(),
+      });
+    }
+  }
+
+  const names = Object.keys(registers);
+  const matrix = {};
+  for (const from of names) {
+    matrix[from] = {};
+    for (const to of names) matrix[from][to] = 0;
+  }
+
+  const pairsByKey = new Map();
+  const adjacency = new Map();
+  for (const join of joins) {
+    matrix[join.from][join.to]++;
+    if (join.from === join.to) continue;
+    const key = `${join.from}\u0000${join.to}`;
+    if (!pairsByKey.has(key)) pairsByKey.set(key, { from: join.from, to: join.to, count: 0, joinKinds: {}, joins: [] });
+    const pair = pairsByKey.get(key);
+    pair.count++;
+    pair.joinKinds[join.joinKind] = (pair.joinKinds[join.joinKind] || 0) + 1;
+    pair.joins.push(join);
+    if (!adjacency.has(join.from)) adjacency.set(join.from, new Set());
+    adjacency.get(join.from).add(join.to);
+  }
+
+  const pairs = [...pairsByKey.values()].sort(
+    (a, b) => a.from.localeCompare(b.from) || b.count - a.count || a.to.localeCompare(b.to)
+  );
+
+  return {
+    registers: names,
+    joins,
+    matrix,
+    pairs,
+    cycles: registerCycles(names, adjacency),
+    prefixes: Object.fromEntries(prefixToRegister),
+  };
+}
+
+/**
+ * The underscore-prefixes `registers` must allow (filter-schema.js
+ * --allow-prefixes) so that none of their join fields are pruned:
+ * [{ prefix, register, joins: [...] }], sorted by prefix. Like the filter,
+ * a type belongs to the selection when its prefix is one of `registers`.
+ */
+function requiredAllowPrefixes(analysis, registers) {
+  const selected = new Set(registers);
+  const byPrefix = new Map();
+  for (const join of analysis.joins) {
+    if (!selected.has(underscorePrefix(join.type))) continue;
+    for (const prefix of join.prefixes) {
+      if (selected.has(prefix)) continue;
+      if (!byPrefix.has(prefix)) byPrefix.set(prefix, []);
+      byPrefix.get(prefix).push(join);
+    }
+  }
+  return [...byPrefix.keys()].sort().map((prefix) => ({
+    prefix,
+    register: analysis.prefixes[prefix] || prefix,
+    joins: byPrefix.get(prefix),
+  }));
+}
+
+function csvCell(value) {
+  const s = String(value);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function csvLines(rows) {
+  return rows.map((row) => row.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+/**
+ * Register-to-register matrix as CSV: one row per joining register, one
+ * column per joined register.
+ */
+function renderMatrixCsv(analysis) {
+  const { registers, matrix } = analysis;
+  const rows = registers.map((from) => [from, ...registers.map((to) => matrix[from][to])]);
+  return csvLines([["from\\to", ...registers], ...rows]);
+}
+
+/**
+ * Cross-register join fields as CSV, one row per field.
+ */
+function renderJoinsCsv(analysis) {
+  const rows = [["from", "to", "type", "field", "target", "joinKind", "list"]];
+  for (const pair of analysis.pairs) {
+    for (const j of pair.joins) rows.push([j.from, j.to, j.type, j.field, j.target, j.joinKind, j.list]);
+  }
+  return csvLines(rows);
+}
+
+/**
+ * JSON report: registers, matrix, cycles and the fields of every pair. With
+ * `registers`, adds their allowPrefixes.
+ */
+function dependenciesJson(analysis, { registers = [] } = {}) {
+  const field = (j) => ({ type: j.type, field: j.field, target: j.target, joinKind: j.joinKind, list: j.list });
+  const out = {
+    registers: analysis.registers,
+    joinFields: analysis.joins.length,
+    matrix: analysis.matrix,
+    cycles: analysis.cycles,
+    pairs: analysis.pairs.map(({ from, to, count, joinKinds, joins }) => ({
+      from,
+      to,
+      count,
+      joinKinds,
+      fields: joins.map(field),
+    })),
+  };
+  if (registers.length) {
+    out.allowPrefixes = {
+      registers,
+      prefixes: requiredAllowPrefixes(analysis, registers).map((a) => ({
+        prefix: a.prefix,
+        register: a.register,
+        fields: a.joins.map(field),
+      })),
+    };
+  }
+  return out;
+}
+
+/**
+ * Markdown report: matrix table, cycles and the join fields of every pair.
+ * With `registers`, adds the --allow-prefixes those registers need.
+ */
+function renderDependenciesMarkdown(analysis, { title = "Register dependencies", registers = [] } = {}) {
+  const { matrix, pairs, cycles } = analysis;
+  // Only registers that take part in a join get a row/column
+  const active = analysis.registers.filter((r) =>
+    analysis.registers.some((o) => (matrix[r][o] || matrix[o][r]) && o !== r)
+  );
+  const lines = [`# ${title}`, ""];
+  lines.push(
+    `${analysis.joins.length} @entityJoin fields, ${pairs.reduce((n, p) => n + p.count, 0)} across registers, ` +
+      `${pairs.length} register pairs.`,
+    "",
+    "## Matrix",
+    "",
+    "Rows join to columns; the diagonal counts joins within a register.",
+    "",
+    `| from \\ to | ${active.join(" | ")} |`,
+    `|---|${active.map(() => "---:").join("|")}|`
+  );
+  for (const from of active) {
+    lines.push(`| **${from}** | ${active.map((to) => matrix[from][to] || "").join(" | ")} |`);
+  }
+
+  lines.push("", "## Cycles", "");
+  if (!cycles.length) lines.push("None.");
+  for (const cycle of cycles) {
+    lines.push(`- ${cycle.registers.join(", ")} (e.g. ${cycle.example.join(" → ")})`);
+    if (cycle.mutual.length) {
+      lines.push(`  - Joining each other: ${cycle.mutual.map((m) => m.join(" ↔ ")).join(", ")}`);
+    }
+  }
+
+  if (registers.length) {
+    const allow = requiredAllowPrefixes(analysis, registers);
+    lines.push("", `## Allow prefixes for ${registers.join(", ")}`, "");
+    if (!allow.length) {
+      lines.push("None: every join stays inside the selected registers.");
+    } else {
+      const flags = `--registers ${registers.join(",")} --allow-prefixes ${allow.map((a) => a.prefix).join(",")}`;
+      lines.push("```", flags, "```", "");
+      for (const a of allow) lines.push(`- \`${a.prefix}\` (${a.register}): ${a.joins.length} join field(s)`);
+    }
+  }
+
+  lines.push("", "## Joins by register pair");
+  for (const pair of pairs) {
+    const kinds = Object.entries(pair.joinKinds)
+      .map(([kind, n]) => `${kind} ${n}`)
+      .join(", ");
+    lines.push("", `### ${pair.from} → ${pair.to} (${pair.count})`, "", kinds, "");
+    for (const j of pair.joins) {
+      lines.push(`- \`${j.type}.${j.field}\` → \`${j.target}\` (${j.list ? "list, " : ""}${j.joinKind})`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+module.exports = {
+  analyzeRegisterDependencies,
+  requiredAllowPrefixes,
+  dependenciesJson,
+  renderMatrixCsv,
+  renderJoinsCsv,
+  renderDependenciesMarkdown,
+};
@@ -0,0 +1,132 @@
+/**
+ * ER diagram renderers (Graphviz DOT / Mermaid erDiagram) for the simplified
+ * entity model.
+ */
+
+const { getNamedType, isListType } = require("./ast");
+
+/**
+ * Reduce the simplifier result to the entities/edges of the selected domains.
+ * Entities are grouped per domain and sorted by name so output is stable.
+ */
+function buildDiagramModel(result, { domains = [], withForeign = false } = {}) {
+  const { simplifiedTypes, relationshipEdges, entityToDomain } = result;
+  const selectedDomains = domains.length ? new Set(domains) : null;
+  const inSelection = (name) => !selectedDomains || selectedDomains.has(entityToDomain.get(name));
+
+  const typeByName = new Map(simplifiedTypes.map((t) => [t.name.value, t]));
+
+  const edges = relationshipEdges.filter((e) => {
+    if (!typeByName.has(e.from) || !typeByName.has(e.to)) return false;
+    if (!inSelection(e.from)) return false;
+    return withForeign || inSelection(e.to);
+  });
+
+  const entityNames = new Set(simplifiedTypes.map((t) => t.name.value).filter(inSelection));
+  const foreign = new Set();
+  for (const e of edges) {
+    if (!entityNames.has(e.to)) foreign.add(e.to);
+  }
+
+  const relationshipFields = new Set(edges.map((e) => `${e.from}.${e.field}`));
+
+  const entitiesByDomain = new Map();
+  for (const name of [...entityNames, ...foreign].sort()) {
+    const domain = entityToDomain.get(name) || "Unknown";
+    const typeDef = typeByName.get(name);
+    const attributes = foreign.has(name)
+      ? []
+      : typeDef.fields
+          .filter((f) => !relationshipFields.has(`${name}.${f.name.value}`))
+          .filter((f) => !typeByName.has(getNamedType(f.type)))
+          .map((f) => ({ name: f.name.value, type: getNamedType(f.type), list: isListType(f.type) }));
+    if (!entitiesByDomain.has(domain)) entitiesByDomain.set(domain, []);
+    entitiesByDomain.get(domain).push({ name, domain, foreign: foreign.has(name), attributes });
+  }
+
+  const sortedDomains = Array.from(entitiesByDomain.keys()).sort();
+  return {
+    domains: sortedDomains.map((d) => ({ name: d, entities: entitiesByDomain.get(d) })),
+    edges,
+  };
+}
+
+function dotId(s) {
+  return `"${String(s).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
+
+function dotRecordText(s) {
+  return String(s).replace(/[{}|<>"\\]/g, (c) => `\\${c}`);
+}
+
+function renderDot(model, { attributes = false } = {}) {
+  const lines = [];
+  lines.push("digraph ER {");
+  lines.push("  graph [rankdir=LR, fontname=\"Helvetica\", compound=true];");
+  lines.push(`  node [shape=${attributes ? "record" : "box"}, fontname="Helvetica", fontsize=10];`);
+  lines.push("  edge [fontname=\"Helvetica\", fontsize=8];");
+
+  for (const domain of model.domains) {
+    lines.push("");
+    lines.push(`  subgraph ${dotId(`cluster_${domain.name}`)} {`);
+    lines.push(`    label=${dotId(domain.name)};`);
+    lines.push("    style=rounded;");
+    for (const entity of domain.entities) {
+      const attrs = [];
+      if (attributes) {
+        const rows = entity.attributes.map(
+          (a) => `${dotRecordText(a.name)}: ${dotRecordText(a.list ? `[${a.type}]` : a.type)}\\l`
+        );
+        attrs.push(`label="{${dotRecordText(entity.name)}${rows.length ? `|${rows.join("")}` : ""}}"`);
+      }
+      if (entity.foreign) attrs.push("style=dashed");
+      lines.push(`    ${dotId(entity.name)}${attrs.length ? ` [${attrs.join(", ")}]` : ""};`);
+    }
+    lines.push("  }");
+  }
+
+  lines.push("");
+  for (const e of model.edges) {
+    const attrs = [`label=${dotId(e.field)}`, `arrowhead=${e.list ? "crow" : "normal"}`];
+    lines.push(`  ${dotId(e.from)} -> ${dotId(e.to)} [${attrs.join(", ")}];`);
+  }
+  lines.push("}");
+  return lines.join("\n") + "\n";
+}
+
+function mermaidLabel(s) {
+  return `"${String(s).replace(/"/g, "'")}"`;
+}
+
+function renderMermaid(model, { attributes = false } = {}) {
+  // erDiagram has no subgraph syntax, so domains are emitted as commented sections
+  const lines = ["erDiagram"];
+
+  for (const domain of model.domains) {
+    lines.push(`  %% Domain: ${domain.name}`);
+    for (const entity of domain.entities) {
+      lines.push(`  ${entity.name} {`);
+      if (attributes) {
+        for (const a of entity.attributes) {
+          lines.push(`    ${a.type}${a.list ? "[]" : ""} ${a.name}`);
+        }
+      }
+      lines.push("  }");
+    }
+  }
+
+  lines.push("  %% Relationships");
+  for (const e of model.edges) {
+    // Only the target side is known from the schema: list => zero-or-many, single => zero-or-one
+    const cardinality = e.list ? "}o--o{" : "}o--o|";
+    lines.push(`  ${e.from} ${cardinality} ${e.to} : ${mermaidLabel(e.field)}`);
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+module.exports = {
+  buildDiagramModel,
+  renderDot,
+  renderMermaid,
+};
@@ -0,0 +1,431 @@
+/**
+ * Static, offline data dictionary site for the simplified entity model: an
+ * index page, one page per domain and one per entity, plus a client-side
+ * search over every type and entity field.
+ *
+ * All pages live in one directory and link to each other relatively, so the
+ * output can be opened from disk or served from any path. The search index is
+ * a plain script (search-index.js) rather than JSON so it also loads over
+ * file://.
+ */
+
+const { Kind, print } = require("graphql");
+
+const { toDocument, defName, getNamedType } = require("./ast");
+const { normalizeMappingEntry } = require("./domain-mappings");
+
+// Types without a domain mapping (PageInfo, spatial types, operation filters, ...)
+const SHARED_DOMAIN = "Shared";
+
+const KIND_LABELS = {
+  [Kind.OBJECT_TYPE_DEFINITION]: "type",
+  [Kind.INTERFACE_TYPE_DEFINITION]: "interface",
+  [Kind.UNION_TYPE_DEFINITION]: "union",
+  [Kind.ENUM_TYPE_DEFINITION]: "enum",
+  [Kind.INPUT_OBJECT_TYPE_DEFINITION]: "input",
+  [Kind.SCALAR_TYPE_DEFINITION]: "scalar",
+};
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+}
+
+function entityPage(name) {
+  return `${name}.html`;
+}
+
+function domainPage(domain) {
+  return `domain-${domain.replace(/[^\w-]/g, "_")}.html`;
+}
+
+/**
+ * Combine the schema, the simplifier result (run with any descriptions mode;
+ * its `metadata` is always filled) and the domain mappings into the plain
+ * model the pages are rendered from.
+ *
+ * Returns { domains: [{ name, entities, types }], entities: { name -> entity },
+ * types: [{ name, domain, kind, category, href }] } where each entity is
+ * { name, domain, metadata, fields: [{ name, type, target, metadata }],
+ * outgoing: [{ field, to, list }], incoming: [{ from, field, list }] }.
+ */
+function buildDictionaryModel(sdlOrDocument, result, domainMappings) {
+  const { simplifiedTypes, relationshipEdges, entityToDomain, metadata } = result;
+  const entityNames = new Set(simplifiedTypes.map((t) => t.name.value));
+
+  const entities = {};
+  for (const typeDef of simplifiedTypes) {
+    const name = typeDef.name.value;
+    const md = metadata[name] || { metadata: null, fields: {} };
+    entities[name] = {
+      name,
+      domain: entityToDomain.get(name) || SHARED_DOMAIN,
+      metadata: md.metadata,
+      fields: typeDef.fields.map((f) => ({
+        name: f.name.value,
+        type: print(f.type),
+        target: entityNames.has(getNamedType(f.type)) ? getNamedType(f.type) : null,
+        metadata: md.fields[f.name.value] || null,
+      })),
+      outgoing: [],
+      incoming: [],
+    };
+  }
+  for (const e of relationshipEdges) {
+    if (!entities[e.from] || !entities[e.to]) continue;
+    entities[e.from].outgoing.push({ field: e.field, to: e.to, list: e.list });
+    entities[e.to].incoming.push({ from: e.from, field: e.field, list: e.list });
+  }
+
+  const types = [];
+  for (const def of toDocument(sdlOrDocument).definitions) {
+    const name = defName(def);
+    if (!name || !KIND_LABELS[def.kind] || name === "Query") continue;
+    const entry = domainMappings[name] ? normalizeMappingEntry(domainMappings[name]) : {};
+    const domain = entities[name] ? entities[name].domain : entry.domain || SHARED_DOMAIN;
+    const category = entities[name] ? "entity" : entry.category || KIND_LABELS[def.kind];
+    // Connections and edges are documented on their entity's page
+    const href = entities[name]
+      ? entityPage(name)
+      : entry.node && entities[entry.node]
+        ? entityPage(entry.node)
+        : `${domainPage(domain)}#${name}`;
+    types.push({ name, domain, kind: KIND_LABELS[def.kind], category, node: entry.node || null, href });
+  }
+  types.sort((a, b) => a.name.localeCompare(b.name));
+
+  const byDomain = new Map();
+  for (const t of types) {
+    if (!byDomain.has(t.domain)) byDomain.set(t.domain, { name: t.domain, entities: [], types: [] });
+    const d = byDomain.get(t.domain);
+    if (entities[t.name]) d.entities.push(t.name);
+    else d.types.push(t);
+  }
+  const domains = [...byDomain.values()].sort((a, b) =>
+    a.name === SHARED_DOMAIN ? 1 : b.name === SHARED_DOMAIN ? -1 : a.name.localeCompare(b.name)
+  );
+
+  return { domains, entities, types };
+}
+
+// --- rendering ---------------------------------------------------------
+
+const STYLE = `body { margin: 0; font: 14px/1.45 system-ui, sans-serif; color: #222; }
+header { display: flex; align-items: center; gap: 16px; padding: 8px 16px; background: #24323f; color: #fff; position: sticky; top: 0; }
+header a { color: #fff; text-decoration: none; font-weight: 600; }
+#search-box { position: relative; flex: 1; max-width: 520px; }
+#search { width: 100%; box-sizing: border-box; padding: 6px 10px; border: 0; border-radius: 4px; }
+#results { position: absolute; top: 34px; left: 0; right: 0; max-height: 70vh; overflow: auto; background: #fff; color: #222; border: 1px solid #ccc; border-radius: 4px; box-shadow: 0 4px 12px rgba(0,0,0,.15); }
+#results:empty { display: none; }
+#results a { display: block; padding: 4px 10px; color: #222; text-decoration: none; font-weight: normal; }
+#results a:hover, #results a.active { background: #e8eefc; }
+#results small { color: #777; margin-left: 6px; }
+main { padding: 16px 24px; max-width: 1200px; }
+h1 { font-size: 22px; margin: 0 0 4px; word-break: break-all; }
+h2 { font-size: 17px; margin: 24px 0 8px; }
+.sub { color: #666; margin: 0 0 12px; }
+table { border-collapse: collapse; width: 100%; }
+th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #eee; vertical-align: top; }
+th { background: #f5f5f5; }
+td code { word-break: break-all; }
+a { color: #1a56c4; }
+dl { display: grid; grid-template-columns: max-content 1fr; gap: 2px 12px; }
+dt { color: #666; }
+dd { margin: 0; word-break: break-all; }
+.muted { color: #888; }
+`;
+
+const SEARCH_SCRIPT = `(function () {
+  var INDEX = window.DICTIONARY_INDEX || [];
+  var input = document.getElementById("search");
+  var results = document.getElementById("results");
+  var active = -1;
+
+  function score(entry, q) {
+    var name = entry[0].toLowerCase();
+    if (name === q) return 0;
+    if (name.indexOf(q) === 0) return 1;
+    var short = name.slice(name.lastIndexOf(".") + 1);
+    if (short.indexOf(q) === 0) return 2;
+    if (name.indexOf(q) >= 0) return 3;
+    if (entry[1] && entry[1].toLowerCase().indexOf(q) >= 0) return 4;
+    return -1;
+  }
+
+  function render() {
+    var q = input.value.trim().toLowerCase();
+    results.innerHTML = "";
+    active = -1;
+    if (!q) return;
+    var hits = [];
+    for (var i = 0; i < INDEX.length; i++) {
+      var s = score(INDEX[i], q);
+      if (s >= 0) hits.push([s, INDEX[i]]);
+    }
+    hits.sort(function (a, b) { return a[0] - b[0] || a[1][0].localeCompare(b[1][0]); });
+    hits.slice(0, 60).forEach(function (hit) {
+      var e = hit[1];
+      var a = document.createElement("a");
+      a.href = e[4];
+      a.textContent = e[0];
+      var small = document.createElement("small");
+      small.textContent = e[3] + " \\u00b7 " + e[2] + (e[1] ? " \\u00b7 " + e[1] : "");
+      a.appendChild(small);
+      results.appendChild(a);
+    });
+    if (hits.length > 60) {
+      var more = document.createElement("a");
+      more.textContent = (hits.length - 60) + " more, refine the search";
+      results.appendChild(more);
+    }
+  }
+
+  function move(delta) {
+    var items = results.querySelectorAll("a[href]");
+    if (!items.length) return;
+    if (active >= 0) items[active].classList.remove("active");
+    active = (active + delta + items.length) % items.length;
+    items[active].classList.add("active");
+    items[active].scrollIntoView({ block: "nearest" });
+  }
+
+  input.addEventListener("input", render);
+  input.addEventListener("keydown", function (ev) {
+    if (ev.key === "ArrowDown") { move(1); ev.preventDefault(); }
+    else if (ev.key === "ArrowUp") { move(-1); ev.preventDefault(); }
+    else if (ev.key === "Enter") {
+      var items = results.querySelectorAll("a[href]");
+      var target = items[active >= 0 ? active : 0];
+      if (target) window.location.href = target.getAttribute("href");
+    } else if (ev.key === "Escape") { input.value = ""; render(); }
+  });
+  document.addEventListener("keydown", function (ev) {
+    if (ev.key === "/" && document.activeElement !== input) { input.focus(); ev.preventDefault(); }
+  });
+})();
+`;
+
+function layout(title, siteTitle, body) {
+  return `<!DOCTYPE html>
+<html lang="da">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} · ${escapeHtml(siteTitle)}</title>
+<link rel="stylesheet" href="style.css">
+</head>
+<body>
+<header>
+  <a href="index.html">${escapeHtml(siteTitle)}</a>
+  <div id="search-box">
+    <input id="search" type="search" placeholder="Search types, entities and fields ( / )" autocomplete="off">
+    <div id="results"></div>
+  </div>
+</header>
+<main>
+${body}
+</main>
+<script src="search-index.js"></script>
+<script src="search.js"></script>
+</body>
+</html>
+`;
+}
+
+function link(href, text) {
+  return `<a href="${escapeHtml(href)}">${escapeHtml(text)}</a>`;
+}
+
+function externalLink(url) {
+  return /^https?:\/\//.test(url) ? `<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>` : escapeHtml(url);
+}
+
+function metadataList(md) {
+  if (!md) return "";
+  const rows = [
+    ["Label", md.prefLabel && escapeHtml(md.prefLabel)],
+    ["Definition", md.definition && escapeHtml(md.definition)],
+    ["Model type", md.modelType && escapeHtml(`${md.modelType}${md.multiplicity ? ` [${md.multiplicity}]` : ""}`)],
+    ["URI", md.uri && externalLink(md.uri)],
+    ["Legal source", md.legalSource && externalLink(md.legalSource)],
+    ["Source", md.source && externalLink(md.source)],
+  ].filter(([, v]) => v);
+  return `<dl>${rows.map(([k, v]) => `<dt>${k}</dt><dd>${v}</dd>`).join("")}</dl>`;
+}
+
+function renderIndexPage(model, siteTitle) {
+  const rows = model.domains
+    .map(
+      (d) =>
+        `<tr><td>${link(domainPage(d.name), d.name)}</td><td>${d.entities.length}</td><td>${d.types.length}</td></tr>`
+    )
+    .join("\n");
+  const entityCount = Object.keys(model.entities).length;
+  return layout(
+    "Domains",
+    siteTitle,
+    `<h1>${escapeHtml(siteTitle)}</h1>
+<p class="sub">${model.domains.length} domains, ${entityCount} entities, ${model.types.length} types. Press / to search.</p>
+<table>
+<tr><th>Domain</th><th>Entities</th><th>Other types</th></tr>
+${rows}
+</table>`
+  );
+}
+
+function renderDomainPage(model, domain, siteTitle) {
+  const entityRows = domain.entities
+    .map((name) => {
+      const e = model.entities[name];
+      const md = e.metadata || {};
+      return `<tr><td>${link(entityPage(name), name)}</td><td>${escapeHtml(md.prefLabel || "")}</td><td>${escapeHtml(
+        md.definition || ""
+      )}</td><td>${e.fields.length}</td><td>${e.outgoing.length} / ${e.incoming.length}</td></tr>`;
+    })
+    .join("\n");
+  const typeRows = domain.types
+    .map((t) => {
+      const node = t.node && model.entities[t.node] ? link(entityPage(t.node), t.node) : "";
+      return `<tr id="${escapeHtml(t.name)}"><td><code>${escapeHtml(t.name)}</code></td><td>${escapeHtml(
+        t.kind
+      )}</td><td>${escapeHtml(t.category)}</td><td>${node}</td></tr>`;
+    })
+    .join("\n");
+
+  return layout(
+    domain.name,
+    siteTitle,
+    `<h1>${escapeHtml(domain.name)}</h1>
+<p class="sub">${domain.entities.length} entities, ${domain.types.length} other types</p>
+${
+  domain.entities.length
+    ? `<h2>Entities</h2>
+<table>
+<tr><th>Entity</th><th>Label</th><th>Definition</th><th>Fields</th><th>Out / in</th></tr>
+${entityRows}
+</table>`
+    : ""
+}
+${
+  domain.types.length
+    ? `<h2>Other types</h2>
+<table>
+<tr><th>Type</th><th>Kind</th><th>Category</th><th>Entity</th></tr>
+${typeRows}
+</table>`
+    : ""
+}`
+  );
+}
+
+function renderEntityPage(model, entity, siteTitle) {
+  const fieldRows = entity.fields
+    .map((f) => {
+      const md = f.metadata || {};
+      const type = f.target
+        ? escapeHtml(f.type).replace(f.target, link(entityPage(f.target), f.target))
+        : escapeHtml(f.type);
+      return `<tr id="${escapeHtml(f.name)}"><td><code>${escapeHtml(f.name)}</code>${
+        md.prefLabel ? `<br><span class="muted">${escapeHtml(md.prefLabel)}</span>` : ""
+      }</td><td><code>${type}</code>${
+        md.modelType ? `<br><span class="muted">${escapeHtml(`${md.modelType}${md.multiplicity ? ` [${md.multiplicity}]` : ""}`)}</span>` : ""
+      }</td><td>${escapeHtml(md.definition || "")}</td><td>${md.legalSource ? externalLink(md.legalSource) : ""}</td></tr>`;
+    })
+    .join("\n");
+
+  const relRows = (list, other) =>
+    list
+      .map(
+        (r) =>
+          `<tr><td><code>${escapeHtml(r.field)}</code></td><td>${link(entityPage(r[other]), r[other])}</td><td>${escapeHtml(
+            model.entities[r[other]].domain
+          )}</td><td>${r.list ? "many" : "one"}</td></tr>`
+      )
+      .join("\n");
+
+  const md = entity.metadata || {};
+  return layout(
+    entity.name,
+    siteTitle,
+    `<h1>${escapeHtml(entity.name)}</h1>
+<p class="sub">${md.prefLabel ? `${escapeHtml(md.prefLabel)} · ` : ""}domain ${link(domainPage(entity.domain), entity.domain)}</p>
+${metadataList(entity.metadata)}
+<h2>Fields (${entity.fields.length})</h2>
+<table>
+<tr><th>Field</th><th>Type</th><th>Definition</th><th>Legal source</th></tr>
+${fieldRows}
+</table>
+<h2>Outgoing relationships (${entity.outgoing.length})</h2>
+${
+  entity.outgoing.length
+    ? `<table>
+<tr><th>Field</th><th>Entity</th><th>Domain</th><th>Cardinality</th></tr>
+${relRows(entity.outgoing, "to")}
+</table>`
+    : '<p class="muted">None</p>'
+}
+<h2>Incoming relationships (${entity.incoming.length})</h2>
+${
+  entity.incoming.length
+    ? `<table>
+<tr><th>Field</th><th>From entity</th><th>Domain</th><th>Cardinality</th></tr>
+${relRows(entity.incoming, "from")}
+</table>`
+    : '<p class="muted">None</p>'
+}`
+  );
+}
+
+/**
+ * Search entries as compact arrays: [name, label, domain, kind, href]. Covers
+ * every type plus every entity field ("Entity.field").
+ */
+function buildSearchIndex(model) {
+  const index = model.types.map((t) => {
+    const e = model.entities[t.name];
+    return [t.name, e && e.metadata ? e.metadata.prefLabel || "" : "", t.domain, t.category, t.href];
+  });
+  for (const e of Object.values(model.entities)) {
+    for (const f of e.fields) {
+      index.push([
+        `${e.name}.${f.name}`,
+        f.metadata ? f.metadata.prefLabel || "" : "",
+        e.domain,
+        "field",
+        `${entityPage(e.name)}#${f.name}`,
+      ]);
+    }
+  }
+  return index;
+}
+
+/**
+ * Render the whole site. Returns [{ path, content }] with index.html,
+ * domain-<Domain>.html, <Entity>.html, style.css, search.js and
+ * search-index.js.
+ */
+function renderDictionarySite(model, options = {}) {
+  const siteTitle = options.title || "Data dictionary";
+  const files = [
+    { path: "index.html", content: renderIndexPage(model, siteTitle) },
+    { path: "style.css", content: STYLE },
+    { path: "search.js", content: SEARCH_SCRIPT },
+    {
+      path: "search-index.js",
+      // Escape "<" so the data can never close a script tag if inlined
+      content: `window.DICTIONARY_INDEX = ${JSON.stringify(buildSearchIndex(model)).replace(/</g, "\\u003c")};\n`,
+    },
+  ];
+  for (const domain of model.domains) {
+    files.push({ path: domainPage(domain.name), content: renderDomainPage(model, domain, siteTitle) });
+  }
+  for (const entity of Object.values(model.entities)) {
+    files.push({ path: entityPage(entity.name), content: renderEntityPage(model, entity, siteTitle) });
+  }
+  return files;
+}
+
+module.exports = {
+  buildDictionaryModel,
+  buildSearchIndex,
+  renderDictionarySite,
+};
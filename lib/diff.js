@@ -0,0 +1,452 @@
+/**
+ * Schema diff: compares two schema versions and classifies every change as
+ * breaking, dangerous or safe, grouped per register prefix.
+ */
+
+const { print, Kind } = require("graphql");
+
+const { toDocument, defName, isRootTypeName, underscorePrefix, getNamedType, indexDefinitions } = require("./ast");
+
+const LEVELS = ["breaking", "dangerous", "safe"];
+const COMMON_GROUP = "(common)";
+
+// ---------------------------------------------------------------------------
+// Type reference helpers
+// ---------------------------------------------------------------------------
+
+function typeString(typeNode) {
+  return typeNode ? print(typeNode) : null;
+}
+
+function isNonNull(typeNode) {
+  return !!typeNode && typeNode.kind === Kind.NON_NULL_TYPE;
+}
+
+// Output positions: narrowing (e.g. String -> String!) is safe for clients
+function isSafeOutputTypeChange(oldType, newType) {
+  if (oldType.kind === Kind.NAMED_TYPE) {
+    if (newType.kind === Kind.NON_NULL_TYPE) return isSafeOutputTypeChange(oldType, newType.type);
+    return newType.kind === Kind.NAMED_TYPE && newType.name.value === oldType.name.value;
+  }
+  if (oldType.kind === Kind.LIST_TYPE) {
+    if (newType.kind === Kind.NON_NULL_TYPE) return isSafeOutputTypeChange(oldType, newType.type);
+    return newType.kind === Kind.LIST_TYPE && isSafeOutputTypeChange(oldType.type, newType.type);
+  }
+  // old is non-null
+  return newType.kind === Kind.NON_NULL_TYPE && isSafeOutputTypeChange(oldType.type, newType.type);
+}
+
+// Input positions: widening (e.g. String! -> String) is safe for clients
+function isSafeInputTypeChange(oldType, newType) {
+  if (oldType.kind === Kind.NAMED_TYPE) {
+    return newType.kind === Kind.NAMED_TYPE && newType.name.value === oldType.name.value;
+  }
+  if (oldType.kind === Kind.LIST_TYPE) {
+    return newType.kind === Kind.LIST_TYPE && isSafeInputTypeChange(oldType.type, newType.type);
+  }
+  // old is non-null
+  if (newType.kind === Kind.NON_NULL_TYPE) return isSafeInputTypeChange(oldType.type, newType.type);
+  return isSafeInputTypeChange(oldType.type, newType);
+}
+
+function valueString(valueNode) {
+  return valueNode ? print(valueNode) : null;
+}
+
+function directivesString(directives) {
+  return (directives || []).map((d) => print(d)).sort();
+}
+
+// ---------------------------------------------------------------------------
+// Definition merging (definitions + extensions with the same name)
+// ---------------------------------------------------------------------------
+
+function definitionKind(defs) {
+  // Extensions share a "family" with their definition; report the definition kind
+  const d = defs.find((x) => !x.kind.endsWith("Extension")) || defs[0];
+  return d.kind.replace("Extension", "Definition");
+}
+
+function mergedList(defs, key) {
+  const out = new Map();
+  for (const d of defs) {
+    for (const item of d[key] || []) {
+      const name = item.name ? item.name.value : defName(item);
+      out.set(name, item);
+    }
+  }
+  return out;
+}
+
+function mergedDirectives(defs) {
+  return defs.flatMap((d) => d.directives || []);
+}
+
+// ---------------------------------------------------------------------------
+// Diffing
+// ---------------------------------------------------------------------------
+
+function registerOfName(name) {
+  return underscorePrefix(name) || COMMON_GROUP;
+}
+
+function registerOfRootField(field) {
+  const byName = underscorePrefix(field.name.value);
+  if (byName) return byName;
+  const ret = getNamedType(field.type);
+  return (ret && underscorePrefix(ret)) || COMMON_GROUP;
+}
+
+function createCollector() {
+  const changes = [];
+  const add = (register, level, type, pathName, message) => {
+    changes.push({ register, level, type, path: pathName, message });
+  };
+  return { changes, add };
+}
+
+function diffArguments(add, register, ownerPath, oldArgs, newArgs) {
+  for (const [name, oldArg] of oldArgs) {
+    const argPath = `${ownerPath}(${name}:)`;
+    const newArg = newArgs.get(name);
+    if (!newArg) {
+      add(register, "breaking", "ARG_REMOVED", argPath, `Argument ${name} was removed from ${ownerPath}`);
+      continue;
+    }
+    const oldType = typeString(oldArg.type);
+    const newType = typeString(newArg.type);
+    if (oldType !== newType) {
+      const level = isSafeInputTypeChange(oldArg.type, newArg.type) ? "safe" : "breaking";
+      add(register, level, "ARG_TYPE_CHANGED", argPath, `Argument ${name} on ${ownerPath} changed type from ${oldType} to ${newType}`);
+    }
+    const oldDefault = valueString(oldArg.defaultValue);
+    const newDefault = valueString(newArg.defaultValue);
+    if (oldDefault !== newDefault) {
+      add(
+        register,
+        "dangerous",
+        "ARG_DEFAULT_CHANGED",
+        argPath,
+        `Argument ${name} on ${ownerPath} changed default value from ${oldDefault || "(none)"} to ${newDefault || "(none)"}`
+      );
+    }
+  }
+  for (const [name, newArg] of newArgs) {
+    if (oldArgs.has(name)) continue;
+    const argPath = `${ownerPath}(${name}:)`;
+    if (isNonNull(newArg.type) && !newArg.defaultValue) {
+      add(register, "breaking", "REQUIRED_ARG_ADDED", argPath, `Required argument ${name} was added to ${ownerPath}`);
+    } else {
+      add(register, "dangerous", "OPTIONAL_ARG_ADDED", argPath, `Optional argument ${name} was added to ${ownerPath}`);
+    }
+  }
+}
+
+function diffAppliedDirectives(add, register, ownerPath, oldDirectives, newDirectives) {
+  // Applied directives (@cost, @listSize, @filterRequirement, @entityJoin, ...) change how
+  // the service prices and accepts queries, so any difference is reported as dangerous.
+  const oldSet = directivesString(oldDirectives);
+  const newSet = directivesString(newDirectives);
+  const removed = oldSet.filter((d) => !newSet.includes(d));
+  const added = newSet.filter((d) => !oldSet.includes(d));
+  if (!removed.length && !added.length) return;
+  const parts = [];
+  if (removed.length) parts.push(`removed ${removed.join(" ")}`);
+  if (added.length) parts.push(`added ${added.join(" ")}`);
+  add(register, "dangerous", "APPLIED_DIRECTIVE_CHANGED", ownerPath, `Directives on ${ownerPath} changed: ${parts.join("; ")}`);
+}
+
+function diffOutputFields(add, typeName, isRoot, oldFields, newFields) {
+  const registerFor = (field) => (isRoot ? registerOfRootField(field) : registerOfName(typeName));
+
+  for (const [name, oldField] of oldFields) {
+    const fieldPath = `${typeName}.${name}`;
+    const newField = newFields.get(name);
+    const register = registerFor(oldField);
+    if (!newField) {
+      add(register, "breaking", "FIELD_REMOVED", fieldPath, `Field ${fieldPath} was removed`);
+      continue;
+    }
+    const oldType = typeString(oldField.type);
+    const newType = typeString(newField.type);
+    if (oldType !== newType) {
+      const level = isSafeOutputTypeChange(oldField.type, newField.type) ? "safe" : "breaking";
+      add(register, level, "FIELD_TYPE_CHANGED", fieldPath, `Field ${fieldPath} changed type from ${oldType} to ${newType}`);
+    }
+    diffArguments(add, register, fieldPath, mergedList([oldField], "arguments"), mergedList([newField], "arguments"));
+    diffAppliedDirectives(add, register, fieldPath, oldField.directives, newField.directives);
+  }
+  for (const [name, newField] of newFields) {
+    if (oldFields.has(name)) continue;
+    add(registerFor(newField), "safe", "FIELD_ADDED", `${typeName}.${name}`, `Field ${typeName}.${name} was added`);
+  }
+}
+
+function diffInputFields(add, typeName, oldFields, newFields) {
+  const register = registerOfName(typeName);
+  for (const [name, oldField] of oldFields) {
+    const fieldPath = `${typeName}.${name}`;
+    const newField = newFields.get(name);
+    if (!newField) {
+      add(register, "breaking", "INPUT_FIELD_REMOVED", fieldPath, `Input field ${fieldPath} was removed`);
+      continue;
+    }
+    const oldType = typeString(oldField.type);
+    const newType = typeString(newField.type);
+    if (oldType !== newType) {
+      const level = isSafeInputTypeChange(oldField.type, newField.type) ? "safe" : "breaking";
+      add(register, level, "INPUT_FIELD_TYPE_CHANGED", fieldPath, `Input field ${fieldPath} changed type from ${oldType} to ${newType}`);
+    }
+    const oldDefault = valueString(oldField.defaultValue);
+    const newDefault = valueString(newField.defaultValue);
+    if (oldDefault !== newDefault) {
+      add(register, "dangerous", "INPUT_FIELD_DEFAULT_CHANGED", fieldPath, `Input field ${fieldPath} changed default value from ${oldDefault || "(none)"} to ${newDefault || "(none)"}`);
+    }
+    diffAppliedDirectives(add, register, fieldPath, oldField.directives, newField.directives);
+  }
+  for (const [name, newField] of newFields) {
+    if (oldFields.has(name)) continue;
+    const fieldPath = `${typeName}.${name}`;
+    if (isNonNull(newField.type) && !newField.defaultValue) {
+      add(register, "breaking", "REQUIRED_INPUT_FIELD_ADDED", fieldPath, `Required input field ${fieldPath} was added`);
+    } else {
+      add(register, "dangerous", "OPTIONAL_INPUT_FIELD_ADDED", fieldPath, `Optional input field ${fieldPath} was added`);
+    }
+  }
+}
+
+function diffNameSets(add, register, typeName, oldNames, newNames, spec) {
+  for (const n of oldNames) {
+    if (!newNames.has(n)) add(register, spec.removedLevel, spec.removedType, `${typeName}.${n}`, spec.removedMessage(n));
+  }
+  for (const n of newNames) {
+    if (!oldNames.has(n)) add(register, spec.addedLevel, spec.addedType, `${typeName}.${n}`, spec.addedMessage(n));
+  }
+}
+
+function diffType(add, typeName, oldDefs, newDefs) {
+  const register = registerOfName(typeName);
+  const oldKind = definitionKind(oldDefs);
+  const newKind = definitionKind(newDefs);
+
+  if (oldKind !== newKind) {
+    add(register, "breaking", "TYPE_KIND_CHANGED", typeName, `${typeName} changed from ${oldKind} to ${newKind}`);
+    return;
+  }
+
+  switch (oldKind) {
+    case Kind.OBJECT_TYPE_DEFINITION:
+    case Kind.INTERFACE_TYPE_DEFINITION: {
+      diffOutputFields(add, typeName, isRootTypeName(typeName), mergedList(oldDefs, "fields"), mergedList(newDefs, "fields"));
+      diffNameSets(add, register, typeName, new Set(mergedList(oldDefs, "interfaces").keys()), new Set(mergedList(newDefs, "interfaces").keys()), {
+        removedLevel: "breaking",
+        removedType: "INTERFACE_REMOVED",
+        removedMessage: (n) => `${typeName} no longer implements ${n}`,
+        addedLevel: "dangerous",
+        addedType: "INTERFACE_ADDED",
+        addedMessage: (n) => `${typeName} now implements ${n}`,
+      });
+      break;
+    }
+    case Kind.INPUT_OBJECT_TYPE_DEFINITION:
+      diffInputFields(add, typeName, mergedList(oldDefs, "fields"), mergedList(newDefs, "fields"));
+      break;
+    case Kind.ENUM_TYPE_DEFINITION: {
+      const oldValues = mergedList(oldDefs, "values");
+      const newValues = mergedList(newDefs, "values");
+      diffNameSets(add, register, typeName, new Set(oldValues.keys()), new Set(newValues.keys()), {
+        removedLevel: "breaking",
+        removedType: "ENUM_VALUE_REMOVED",
+        removedMessage: (n) => `Enum value ${n} was removed from ${typeName}`,
+        addedLevel: "dangerous",
+        addedType: "ENUM_VALUE_ADDED",
+        addedMessage: (n) => `Enum value ${n} was added to ${typeName}`,
+      });
+      // @deprecated and other directives on the values that stay
+      for (const [name, oldValue] of oldValues) {
+        const newValue = newValues.get(name);
+        if (newValue) diffAppliedDirectives(add, register, `${typeName}.${name}`, oldValue.directives, newValue.directives);
+      }
+      break;
+    }
+    case Kind.UNION_TYPE_DEFINITION:
+      diffNameSets(add, register, typeName, new Set(mergedList(oldDefs, "types").keys()), new Set(mergedList(newDefs, "types").keys()), {
+        removedLevel: "breaking",
+        removedType: "UNION_MEMBER_REMOVED",
+        removedMessage: (n) => `${n} was removed from union ${typeName}`,
+        addedLevel: "dangerous",
+        addedType: "UNION_MEMBER_ADDED",
+        addedMessage: (n) => `${n} was added to union ${typeName}`,
+      });
+      break;
+    default:
+      break;
+  }
+
+  if (!isRootTypeName(typeName)) {
+    diffAppliedDirectives(add, register, typeName, mergedDirectives(oldDefs), mergedDirectives(newDefs));
+  }
+}
+
+function diffDirectiveDefinition(add, oldDef, newDef) {
+  const name = `@${oldDef.name.value}`;
+  diffArguments(add, COMMON_GROUP, name, mergedList([oldDef], "arguments"), mergedList([newDef], "arguments"));
+
+  const oldLocations = new Set(oldDef.locations.map((l) => l.value));
+  const newLocations = new Set(newDef.locations.map((l) => l.value));
+  diffNameSets(add, COMMON_GROUP, name, oldLocations, newLocations, {
+    removedLevel: "breaking",
+    removedType: "DIRECTIVE_LOCATION_REMOVED",
+    removedMessage: (l) => `Location ${l} was removed from ${name}`,
+    addedLevel: "safe",
+    addedType: "DIRECTIVE_LOCATION_ADDED",
+    addedMessage: (l) => `Location ${l} was added to ${name}`,
+  });
+
+  if (oldDef.repeatable && !newDef.repeatable) {
+    add(COMMON_GROUP, "breaking", "DIRECTIVE_REPEATABLE_REMOVED", name, `Repeatable flag was removed from ${name}`);
+  } else if (!oldDef.repeatable && newDef.repeatable) {
+    add(COMMON_GROUP, "safe", "DIRECTIVE_REPEATABLE_ADDED", name, `${name} is now repeatable`);
+  }
+}
+
+// The schema { ... } definition and its extensions: root operation types and applied directives
+function diffSchemaDefinition(add, oldIndex, newIndex) {
+  const defs = (index) => [index.schemaDef, ...index.schemaExts].filter(Boolean);
+  const operations = (index) => {
+    const out = new Map();
+    for (const d of defs(index)) {
+      for (const op of d.operationTypes || []) out.set(op.operation, op.type.name.value);
+    }
+    return out;
+  };
+  const oldOps = operations(oldIndex);
+  const newOps = operations(newIndex);
+  for (const [operation, oldType] of oldOps) {
+    const newType = newOps.get(operation);
+    if (!newType) {
+      add(COMMON_GROUP, "breaking", "SCHEMA_OPERATION_REMOVED", "schema", `Schema ${operation} type ${oldType} was removed`);
+    } else if (newType !== oldType) {
+      add(COMMON_GROUP, "breaking", "SCHEMA_OPERATION_CHANGED", "schema", `Schema ${operation} type changed from ${oldType} to ${newType}`);
+    }
+  }
+  for (const [operation, newType] of newOps) {
+    if (oldOps.has(operation)) continue;
+    add(COMMON_GROUP, "safe", "SCHEMA_OPERATION_ADDED", "schema", `Schema ${operation} type ${newType} was added`);
+  }
+  diffAppliedDirectives(add, COMMON_GROUP, "schema", mergedDirectives(defs(oldIndex)), mergedDirectives(defs(newIndex)));
+}
+
+/**
+ * Compare two parsed schema documents. Returns a flat list of changes, each
+ * tagged with the register (underscore prefix) it belongs to.
+ */
+function diffDocuments(oldDoc, newDoc) {
+  const oldIndex = indexDefinitions(oldDoc);
+  const newIndex = indexDefinitions(newDoc);
+  const { changes, add } = createCollector();
+
+  const isDirective = (defs) => defs[0].kind === Kind.DIRECTIVE_DEFINITION;
+  const typeDefs = (index) =>
+    new Map(Array.from(index.defsByName.entries()).filter(([, defs]) => !isDirective(defs)));
+  const oldTypes = typeDefs(oldIndex);
+  const newTypes = typeDefs(newIndex);
+
+  for (const [name, oldDefs] of oldTypes) {
+    const newDefs = newTypes.get(name);
+    if (!newDefs) {
+      add(registerOfName(name), "breaking", "TYPE_REMOVED", name, `${definitionKind(oldDefs).replace("Definition", "")} ${name} was removed`);
+      continue;
+    }
+    diffType(add, name, oldDefs, newDefs);
+  }
+  for (const [name, newDefs] of newTypes) {
+    if (oldTypes.has(name)) continue;
+    add(registerOfName(name), "safe", "TYPE_ADDED", name, `${definitionKind(newDefs).replace("Definition", "")} ${name} was added`);
+  }
+
+  diffSchemaDefinition(add, oldIndex, newIndex);
+
+  const oldDirectives = new Map(oldIndex.directiveDefs.map((d) => [d.name.value, d]));
+  const newDirectives = new Map(newIndex.directiveDefs.map((d) => [d.name.value, d]));
+  for (const [name, oldDef] of oldDirectives) {
+    const newDef = newDirectives.get(name);
+    if (!newDef) {
+      add(COMMON_GROUP, "breaking", "DIRECTIVE_REMOVED", `@${name}`, `Directive @${name} was removed`);
+      continue;
+    }
+    diffDirectiveDefinition(add, oldDef, newDef);
+  }
+  for (const name of newDirectives.keys()) {
+    if (oldDirectives.has(name)) continue;
+    add(COMMON_GROUP, "safe", "DIRECTIVE_ADDED", `@${name}`, `Directive @${name} was added`);
+  }
+
+  return changes;
+}
+
+/**
+ * Group changes per register and count them per level. Shared (unprefixed)
+ * types and directives are always included, since every register uses them.
+ */
+function summarizeChanges(changes, registers = []) {
+  const selected = registers.length ? new Set([...registers, COMMON_GROUP]) : null;
+  const byRegister = new Map();
+  for (const c of changes) {
+    if (selected && !selected.has(c.register)) continue;
+    if (!byRegister.has(c.register)) {
+      byRegister.set(c.register, { register: c.register, counts: { breaking: 0, dangerous: 0, safe: 0 }, changes: [] });
+    }
+    const entry = byRegister.get(c.register);
+    entry.counts[c.level]++;
+    entry.changes.push(c);
+  }
+
+  const groups = Array.from(byRegister.values()).sort((a, b) => a.register.localeCompare(b.register));
+  for (const g of groups) {
+    g.changes.sort((a, b) => LEVELS.indexOf(a.level) - LEVELS.indexOf(b.level) || a.path.localeCompare(b.path));
+  }
+
+  const totals = { breaking: 0, dangerous: 0, safe: 0 };
+  for (const g of groups) {
+    for (const level of LEVELS) totals[level] += g.counts[level];
+  }
+
+  return { totals, registers: groups };
+}
+
+function formatReport(summary) {
+  const lines = [];
+  if (!summary.registers.length) {
+    lines.push("No changes.");
+    return lines.join("\n");
+  }
+  for (const g of summary.registers) {
+    lines.push(`=== ${g.register} (breaking: ${g.counts.breaking}, dangerous: ${g.counts.dangerous}, safe: ${g.counts.safe}) ===`);
+    for (const c of g.changes) {
+      lines.push(`  [${c.level.toUpperCase()}] ${c.message}`);
+    }
+    lines.push("");
+  }
+  const t = summary.totals;
+  lines.push(`Total: ${t.breaking} breaking, ${t.dangerous} dangerous, ${t.safe} safe`);
+  return lines.join("\n");
+}
+
+/**
+ * Diff two schemas (SDL text or documents) and summarize the result.
+ * Returns { totals, registers, changes } where `changes` is unfiltered.
+ */
+function diffSchemas(oldSdlOrDocument, newSdlOrDocument, options = {}) {
+  const changes = diffDocuments(toDocument(oldSdlOrDocument), toDocument(newSdlOrDocument));
+  return { ...summarizeChanges(changes, options.registers || []), changes };
+}
+
+module.exports = {
+  LEVELS,
+  COMMON_GROUP,
+  diffDocuments,
+  summarizeChanges,
+  formatReport,
+  diffSchemas,
+};
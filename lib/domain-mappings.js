@@ -0,0 +1,222 @@
+/**
+ * Domain mappings: type name -> { domain, version, kind, category }.
+ *
+ * Registers are discovered from the schema itself: the Query description
+ * ("... containing the following register versions: - BBR v2 ...") names the
+ * registers and their versions, and the type-name prefixes ("BBR_", "EJFCustom_")
+ * add any register the description does not mention.
+ */
+
+const { Kind } = require('graphql');
+
+const { toDocument, getNamedType, defName, underscorePrefix } = require('./ast');
+
+// SDL keyword per definition kind (extensions report the kind they extend)
+const DEFINITION_KEYWORDS = {
+  [Kind.OBJECT_TYPE_DEFINITION]: 'type',
+  [Kind.OBJECT_TYPE_EXTENSION]: 'type',
+  [Kind.INTERFACE_TYPE_DEFINITION]: 'interface',
+  [Kind.INTERFACE_TYPE_EXTENSION]: 'interface',
+  [Kind.INPUT_OBJECT_TYPE_DEFINITION]: 'input',
+  [Kind.INPUT_OBJECT_TYPE_EXTENSION]: 'input',
+  [Kind.ENUM_TYPE_DEFINITION]: 'enum',
+  [Kind.ENUM_TYPE_EXTENSION]: 'enum',
+  [Kind.UNION_TYPE_DEFINITION]: 'union',
+  [Kind.UNION_TYPE_EXTENSION]: 'union',
+  [Kind.SCALAR_TYPE_DEFINITION]: 'scalar',
+  [Kind.SCALAR_TYPE_EXTENSION]: 'scalar',
+};
+
+// Type prefixes that belong to the register they extend, e.g. EJFCustom_ types are part of EJF
+const REGISTER_VARIANT_SUFFIXES = ['Custom'];
+
+// "- BBR v2" / "BBR v2" lines in the Query description
+const REGISTER_VERSION_LINE = /^\s*-?\s*([A-Za-z][A-Za-z0-9]*)\s+(v\d+(?:\.\d+)*)\s*$/;
+
+function parseRegisterVersions(description) {
+  const out = new Map();
+  if (!description) return out;
+  const lines = description.split(/\r?\n/);
+  // Only look after the "register versions:" header if there is one
+  const start = lines.findIndex((l) => /register versions\s*:/i.test(l));
+  for (const line of lines.slice(start + 1)) {
+    const m = REGISTER_VERSION_LINE.exec(line);
+    if (m) out.set(m[1], m[2]);
+  }
+  return out;
+}
+
+/**
+ * Find the registers of a schema.
+ *
+ * Returns { registers, prefixToRegister }: registers is name -> { version,
+ * source: 'description' | 'prefix', prefixes }, prefixToRegister maps every
+ * underscore-prefix seen in type names to its register (e.g. EJFCustom -> EJF).
+ */
+function discoverRegisters(sdlOrDocument) {
+  const doc = toDocument(sdlOrDocument);
+
+  let queryDescription = null;
+  const typePrefixes = new Set();
+  for (const d of doc.definitions) {
+    const name = defName(d);
+    if (!name) continue;
+    if (name === 'Query' && d.description) queryDescription = d.description.value;
+    const p = underscorePrefix(name);
+    if (p) typePrefixes.add(p);
+  }
+
+  const registers = new Map();
+  for (const [name, version] of parseRegisterVersions(queryDescription)) {
+    registers.set(name, { version, source: 'description', prefixes: [] });
+  }
+
+  const prefixToRegister = new Map();
+  for (const p of Array.from(typePrefixes).sort()) {
+    // Exact match, or a known variant of a described register (EJFCustom -> EJF); any other prefix,
+    // even one that starts with a register name (DSB next to DS), is a register of its own
+    const variantOf = REGISTER_VARIANT_SUFFIXES
+      .filter((suffix) => p.endsWith(suffix))
+      .map((suffix) => p.slice(0, -suffix.length))
+      .find((r) => registers.has(r));
+    const register = registers.has(p) ? p : variantOf || p;
+    if (!registers.has(register)) {
+      registers.set(register, { version: null, source: 'prefix', prefixes: [] });
+    }
+    registers.get(register).prefixes.push(p);
+    prefixToRegister.set(p, register);
+  }
+
+  const sorted = {};
+  for (const name of Array.from(registers.keys()).sort()) sorted[name] = registers.get(name);
+  return { registers: sorted, prefixToRegister };
+}
+
+function fieldMap(defs) {
+  const out = new Map();
+  for (const d of defs) {
+    for (const f of d.fields || []) out.set(f.name.value, f);
+  }
+  return out;
+}
+
+// Input types reachable from `argName:` arguments, following nested input fields
+function inputTypesReachableFromArgument(defsByName, argName) {
+  const queue = [];
+  for (const defs of defsByName.values()) {
+    for (const f of fieldMap(defs).values()) {
+      for (const arg of f.arguments || []) {
+        if (arg.name.value === argName) queue.push(getNamedType(arg.type));
+      }
+    }
+  }
+  const seen = new Set();
+  while (queue.length) {
+    const name = queue.pop();
+    if (!name || seen.has(name)) continue;
+    const defs = defsByName.get(name) || [];
+    if (!defs.some((d) => DEFINITION_KEYWORDS[d.kind] === 'input')) continue;
+    seen.add(name);
+    for (const f of fieldMap(defs).values()) queue.push(getNamedType(f.type));
+  }
+  return seen;
+}
+
+/**
+ * Classify every named type of a schema from its structure.
+ *
+ * Returns name -> { kind, category[, node] }: kind is the SDL keyword (type,
+ * input, enum, interface, union, scalar); category is one of entity,
+ * Connection, Edge, FilterInput, SortInput, input, enum, interface, union,
+ * scalar. Connection/Edge entries carry the entity type they wrap as `node`.
+ */
+function classifyTypes(sdlOrDocument) {
+  const doc = toDocument(sdlOrDocument);
+
+  const defsByName = new Map();
+  for (const d of doc.definitions) {
+    const name = defName(d);
+    if (!name || !DEFINITION_KEYWORDS[d.kind]) continue;
+    if (!defsByName.has(name)) defsByName.set(name, []);
+    defsByName.get(name).push(d);
+  }
+
+  const filterInputs = inputTypesReachableFromArgument(defsByName, 'where');
+  const sortInputs = inputTypesReachableFromArgument(defsByName, 'order');
+
+  const out = new Map();
+  for (const [name, defs] of defsByName) {
+    const main = defs.find((d) => d.kind.endsWith('Definition')) || defs[0];
+    const kind = DEFINITION_KEYWORDS[main.kind];
+    const entry = { kind, category: kind };
+
+    if (kind === 'type') {
+      const fields = fieldMap(defs);
+      if (fields.has('pageInfo') && (fields.has('nodes') || fields.has('edges'))) {
+        entry.category = 'Connection';
+        if (fields.has('nodes')) {
+          entry.node = getNamedType(fields.get('nodes').type);
+        } else {
+          const edgeFields = fieldMap(defsByName.get(getNamedType(fields.get('edges').type)) || []);
+          entry.node = edgeFields.has('node') ? getNamedType(edgeFields.get('node').type) : null;
+        }
+      } else if (fields.has('cursor') && fields.has('node')) {
+        entry.category = 'Edge';
+        entry.node = getNamedType(fields.get('node').type);
+      } else {
+        entry.category = 'entity';
+      }
+    } else if (kind === 'input') {
+      if (sortInputs.has(name)) entry.category = 'SortInput';
+      else if (filterInputs.has(name)) entry.category = 'FilterInput';
+    }
+
+    out.set(name, entry);
+  }
+  return out;
+}
+
+/**
+ * Map every register-prefixed type in the schema to its domain.
+ *
+ * Returns { mappings, registers, stats, total }: mappings sorted by type name
+ * (name -> { domain, version, kind, category[, node] }), registers as returned
+ * by discoverRegisters(), stats as domain -> type count (largest first).
+ */
+function computeDomainMappings(sdlOrDocument) {
+  const doc = toDocument(sdlOrDocument);
+  const { registers, prefixToRegister } = discoverRegisters(doc);
+  const classified = classifyTypes(doc);
+
+  const mappings = {};
+  for (const name of Array.from(classified.keys()).sort()) {
+    const prefix = underscorePrefix(name);
+    if (!prefix || !prefixToRegister.has(prefix)) continue;
+    const domain = prefixToRegister.get(prefix);
+    mappings[name] = { domain, version: registers[domain].version, ...classified.get(name) };
+  }
+
+  const counts = {};
+  Object.values(mappings).forEach((entry) => {
+    counts[entry.domain] = (counts[entry.domain] || 0) + 1;
+  });
+  const stats = Object.fromEntries(Object.entries(counts).sort((a, b) => b[1] - a[1]));
+
+  return { mappings, registers, stats, total: Object.keys(mappings).length };
+}
+
+/**
+ * Mapping files written before kinds were recorded map name -> domain string.
+ * Normalize either shape to { domain, ... }.
+ */
+function normalizeMappingEntry(entry) {
+  return typeof entry === 'string' ? { domain: entry } : entry;
+}
+
+module.exports = {
+  parseRegisterVersions,
+  discoverRegisters,
+  classifyTypes,
+  computeDomainMappings,
+  normalizeMappingEntry,
+};
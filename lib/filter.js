@@ -0,0 +1,543 @@
+/**
+ * Schema filter: keep only selected registers (by type/field prefix like
+ * "BBR_" / "DAR_") plus their transitive dependencies.
+ */
+
+const { print, visit, Kind, buildASTSchema } = require("graphql");
+
+const {
+  BUILTIN_SCALARS,
+  toDocument,
+  getNamedType,
+  defName,
+  isRootTypeName,
+  underscorePrefix,
+  indexDefinitions,
+} = require("./ast");
+const { compileFilterRules, applyFilterRules, unmatchedRules, makePatternMatcher } = require("./rules");
+const { DESCRIPTION_MODES, transformDescriptions } = require("./grunddatamodel");
+
+function makePrefixMatcher(registers) {
+  const prefixes = registers.map((r) => `${r}_`);
+  return (name) => prefixes.some((p) => name.startsWith(p));
+}
+
+function collectNamedTypesFromNode(node) {
+  const out = new Set();
+  visit(node, {
+    NamedType(n) {
+      out.add(n.name.value);
+    },
+  });
+  return out;
+}
+
+/**
+ * Named types a definition references, each with the member that references
+ * it: "Type.field", "Type.field(arg)", "Type implements", "Type | member",
+ * "@directive(arg)" or "schema.query".
+ */
+function collectTypeReferences(def) {
+  const out = [];
+  const add = (typeNode, via) => {
+    const name = getNamedType(typeNode);
+    if (name) out.push({ name, via });
+  };
+  const owner = defName(def);
+
+  switch (def.kind) {
+    case Kind.OBJECT_TYPE_DEFINITION:
+    case Kind.OBJECT_TYPE_EXTENSION:
+    case Kind.INTERFACE_TYPE_DEFINITION:
+    case Kind.INTERFACE_TYPE_EXTENSION:
+      for (const i of def.interfaces || []) out.push({ name: i.name.value, via: `${owner} implements` });
+      for (const f of def.fields || []) {
+        add(f.type, `${owner}.${f.name.value}`);
+        for (const arg of f.arguments || []) add(arg.type, `${owner}.${f.name.value}(${arg.name.value})`);
+      }
+      return out;
+    case Kind.INPUT_OBJECT_TYPE_DEFINITION:
+    case Kind.INPUT_OBJECT_TYPE_EXTENSION:
+      for (const f of def.fields || []) add(f.type, `${owner}.${f.name.value}`);
+      return out;
+    case Kind.UNION_TYPE_DEFINITION:
+    case Kind.UNION_TYPE_EXTENSION:
+      for (const t of def.types || []) out.push({ name: t.name.value, via: `${owner} | ${t.name.value}` });
+      return out;
+    case Kind.DIRECTIVE_DEFINITION:
+      for (const arg of def.arguments || []) add(arg.type, `@${owner}(${arg.name.value})`);
+      return out;
+    case Kind.SCHEMA_DEFINITION:
+    case Kind.SCHEMA_EXTENSION:
+      for (const op of def.operationTypes || []) add(op.type, `schema.${op.operation}`);
+      return out;
+    default:
+      for (const name of collectNamedTypesFromNode(def)) out.push({ name, via: owner || def.kind });
+      return out;
+  }
+}
+
+function pruneRootObjectTypeDef(def, matchesRegisterOrKeep) {
+  if (
+    def.kind !== Kind.OBJECT_TYPE_DEFINITION &&
+    def.kind !== Kind.OBJECT_TYPE_EXTENSION
+  ) {
+    return def;
+  }
+  const name = defName(def);
+  if (!name || !isRootTypeName(name)) return def;
+
+  const fields = def.fields || [];
+  const kept = fields.filter((f) => {
+    if (matchesRegisterOrKeep(f.name.value)) return true;
+    const ret = getNamedType(f.type);
+    if (ret && matchesRegisterOrKeep(ret)) return true;
+    return false;
+  });
+
+  return {
+    ...def,
+    fields: kept,
+  };
+}
+
+function pruneForeignRefs(def, isAllowedTypeName) {
+  // Prune fields/inputFields/union members that reference "foreign" underscore-prefixed types.
+  // This keeps the output schema focused on the selected registers and common (no-underscore) types.
+  switch (def.kind) {
+    case Kind.OBJECT_TYPE_DEFINITION:
+    case Kind.OBJECT_TYPE_EXTENSION:
+    case Kind.INTERFACE_TYPE_DEFINITION:
+    case Kind.INTERFACE_TYPE_EXTENSION: {
+      const fields = def.fields || [];
+      const keptFields = fields.filter((f) => {
+        const names = new Set();
+        const ret = getNamedType(f.type);
+        if (ret) names.add(ret);
+        for (const arg of f.arguments || []) {
+          const an = getNamedType(arg.type);
+          if (an) names.add(an);
+        }
+        for (const n of names) {
+          if (!isAllowedTypeName(n)) return false;
+        }
+        return true;
+      });
+
+      // Also drop implements that are foreign
+      const ifaces = def.interfaces || [];
+      const keptIfaces = ifaces.filter((i) => isAllowedTypeName(i.name.value));
+
+      return { ...def, fields: keptFields, interfaces: keptIfaces };
+    }
+    case Kind.INPUT_OBJECT_TYPE_DEFINITION:
+    case Kind.INPUT_OBJECT_TYPE_EXTENSION: {
+      const fields = def.fields || [];
+      const keptFields = fields.filter((f) => {
+        const n = getNamedType(f.type);
+        return !n || isAllowedTypeName(n);
+      });
+      return { ...def, fields: keptFields };
+    }
+    case Kind.UNION_TYPE_DEFINITION:
+    case Kind.UNION_TYPE_EXTENSION: {
+      const types = def.types || [];
+      const keptTypes = types.filter((t) => isAllowedTypeName(t.name.value));
+      return { ...def, types: keptTypes };
+    }
+    default:
+      return def;
+  }
+}
+
+function updateSchemaDefinitionOps(schemaDef, rootTypeNamesToKeep) {
+  // rootTypeNamesToKeep: Set of operationType kinds to keep, e.g. {"query","subscription"}
+  if (!schemaDef) return null;
+  const ops = schemaDef.operationTypes || [];
+  const kept = ops.filter((op) => rootTypeNamesToKeep.has(op.operation));
+  return { ...schemaDef, operationTypes: kept };
+}
+
+/**
+ * Register prefixes of the root fields a rootFields matcher selects (by field
+ * name, falling back to the return type's prefix).
+ */
+function registersOfRootFields(defs, rootFieldMatcher) {
+  const out = new Set();
+  for (const d of defs) {
+    const name = defName(d);
+    if (!name || !isRootTypeName(name)) continue;
+    for (const f of d.fields || []) {
+      if (!rootFieldMatcher.test(f.name.value)) continue;
+      const p = underscorePrefix(f.name.value) || underscorePrefix(getNamedType(f.type) || "");
+      if (p) out.add(p);
+    }
+  }
+  return Array.from(out);
+}
+
+// Type names the foreign-ref pruning keeps: shared (unprefixed) types, the
+// given registers and the extra allowed prefixes
+function makeAllowedTypeName(registers, allowPrefixes) {
+  return (name) => {
+    if (!name) return true;
+    if (BUILTIN_SCALARS.has(name)) return true;
+    if (isRootTypeName(name)) return true;
+    const p = underscorePrefix(name);
+    if (!p) return true; // no underscore => treat as shared/common
+    if (allowPrefixes.has(p)) return true;
+    return registers.includes(p);
+  };
+}
+
+/**
+ * Filter a schema down to the given registers and their dependencies.
+ *
+ * Options:
+ *   registers       Register prefixes to keep, e.g. ["BBR", "DAR"] (required
+ *                   unless rootFields is given)
+ *   rootFields      Root field names or globs, e.g. ["BBR_Bygning", "BBR_Enhed*"].
+ *                   Only these root fields are kept and the closure starts from
+ *                   them alone; registers default to the fields' prefixes
+ *   keepRootFields  Root fields to always keep
+ *   pruneForeign    Drop fields referencing other registers' types (default true)
+ *   allowPrefixes   Extra underscore-prefixes treated as allowed when pruning
+ *   validate        Build the output schema to validate it (default true)
+ *   rules           Field/argument/directive include/exclude rules (see rules.js)
+ *   descriptions    "full" (default) keeps descriptions as they are, "condensed"
+ *                   shortens the Grunddatamodel blocks, "none" drops them
+ *
+ * Returns { document, sdl, selectedTypeNames, provenance, stats, warnings }
+ * (see explainType / closureReport for provenance). Throws if the
+ * pruned Query ends up empty or the output does not validate.
+ */
+function filterSchema(sdlOrDocument, options = {}) {
+  const rootFieldMatcher =
+    options.rootFields && options.rootFields.length ? makePatternMatcher(options.rootFields) : null;
+  const keepRootFields = new Set(options.keepRootFields || []);
+  const allowPrefixes = new Set(options.allowPrefixes || []);
+  const pruneForeign = options.pruneForeign !== false;
+  const validate = options.validate !== false;
+  const rules = compileFilterRules(options.rules);
+  const descriptions = options.descriptions || "full";
+  if (!DESCRIPTION_MODES.includes(descriptions)) {
+    throw new Error(`Unknown descriptions mode: ${descriptions} (expected ${DESCRIPTION_MODES.join(", ")})`);
+  }
+
+  if (!(options.registers || []).length && !rootFieldMatcher) {
+    throw new Error("filterSchema: at least one register (or rootFields) is required");
+  }
+
+  const doc = toDocument(sdlOrDocument);
+  const warnings = [];
+
+  // Build definition indices
+  const defs = doc.definitions;
+  const registers = (options.registers || []).length
+    ? options.registers
+    : registersOfRootFields(defs, rootFieldMatcher);
+  const { defsByName, scalarDefs, directiveDefs: allDirectiveDefs, schemaDef, schemaExts } = indexDefinitions(doc);
+  const directiveDefs = allDirectiveDefs.filter((dd) => applyFilterRules(dd, rules));
+
+  const matchesRegister = makePrefixMatcher(registers);
+  const matchesRegisterOrKeep = (name) =>
+    matchesRegister(name) || keepRootFields.has(name);
+  const selectRootField = rootFieldMatcher
+    ? (name) => rootFieldMatcher.test(name) || keepRootFields.has(name)
+    : matchesRegisterOrKeep;
+
+  const isAllowedTypeName = makeAllowedTypeName(registers, allowPrefixes);
+
+  // Field rules run before the foreign-ref pruning, so types that are only
+  // referenced from removed fields/arguments drop out of the closure below
+  const pruneDef = (def) => {
+    let effective = applyFilterRules(def, rules);
+    if (pruneForeign) effective = pruneForeignRefs(effective, isAllowedTypeName);
+    return effective;
+  };
+
+  // Helpful warnings when registers aren't present in the input schema
+  const registerPresence = new Map(
+    registers.map((r) => [r, { typeDefs: 0, rootFields: 0 }])
+  );
+  for (const [name] of defsByName) {
+    for (const r of registers) {
+      if (name.startsWith(`${r}_`)) registerPresence.get(r).typeDefs++;
+    }
+  }
+  for (const d of defs) {
+    const name = defName(d);
+    if (!name || !isRootTypeName(name)) continue;
+    const fields = d.fields || [];
+    for (const f of fields) {
+      for (const r of registers) {
+        if (f.name.value.startsWith(`${r}_`)) {
+          registerPresence.get(r).rootFields++;
+          continue;
+        }
+        const ret = getNamedType(f.type);
+        if (ret && ret.startsWith(`${r}_`)) registerPresence.get(r).rootFields++;
+      }
+    }
+  }
+  const missing = [];
+  for (const [r, p] of registerPresence.entries()) {
+    if (p.typeDefs === 0 && p.rootFields === 0) missing.push(r);
+  }
+  if (missing.length) {
+    warnings.push(
+      `No types or root fields found for register(s): ${missing.join(
+        ", "
+      )}. They may not exist in this input schema.`
+    );
+  }
+
+  // Create "effective" pruned nodes for root operation types (and remember mapping)
+  const prunedNodeByOriginal = new Map();
+  const rootTypeFieldCounts = new Map(); // Query/Mutation/Subscription -> fields count after prune across defs/exts
+
+  for (const d of defs) {
+    const name = defName(d);
+    if (!name || !isRootTypeName(name)) continue;
+    const pruned = pruneDef(pruneRootObjectTypeDef(d, selectRootField));
+    prunedNodeByOriginal.set(d, pruned);
+    const count = (pruned.fields || []).length;
+    rootTypeFieldCounts.set(name, (rootTypeFieldCounts.get(name) || 0) + count);
+  }
+
+  if (rootFieldMatcher) {
+    for (const pattern of rootFieldMatcher.unmatched()) {
+      warnings.push(`Root field pattern matched nothing: ${pattern}`);
+    }
+  }
+
+  if (rootTypeFieldCounts.has("Query") && (rootTypeFieldCounts.get("Query") || 0) === 0) {
+    throw new Error(
+      rootFieldMatcher
+        ? `After pruning, Query has 0 fields. Do the root field patterns match? (${options.rootFields.join(", ")})`
+        : `After pruning, Query has 0 fields. Are the registers correct? (${registers.join(", ")})`
+    );
+  }
+
+  // Decide which schema operations to keep based on root type field counts
+  const keepOps = new Set();
+  if ((rootTypeFieldCounts.get("Query") || 0) > 0) keepOps.add("query");
+  if ((rootTypeFieldCounts.get("Mutation") || 0) > 0) keepOps.add("mutation");
+  if ((rootTypeFieldCounts.get("Subscription") || 0) > 0) keepOps.add("subscription");
+
+  const effectiveSchemaDef = schemaDef ? updateSchemaDefinitionOps(schemaDef, keepOps) : null;
+
+  // Seed keep-set with:
+  // - all types whose name matches register prefix (unless filter rules or
+  //   rootFields are given: then register types must be reachable from the
+  //   kept root fields, so types only referenced by removed fields/arguments
+  //   or unselected root fields drop out)
+  // - root types referenced by schema (query/mutation/subscription)
+  //
+  // provenance records why each type was kept: { seed } for seeds, otherwise
+  // { from, via } = the kept type and member ("Type.field", "Type.field(arg)")
+  // that referenced it first. The walk is breadth-first, so following `from`
+  // back to a seed gives a shortest reference chain.
+  const provenance = new Map();
+  const queue = [];
+
+  const enqueue = (t, reason) => {
+    if (!t || BUILTIN_SCALARS.has(t)) return;
+    if (provenance.has(t)) return;
+    provenance.set(t, reason);
+    queue.push(t);
+  };
+
+  for (const [name] of defsByName) {
+    if (!rules && !rootFieldMatcher && matchesRegister(name)) enqueue(name, { seed: `register prefix ${underscorePrefix(name)}_` });
+  }
+
+  // Always keep root type names if present in schema ops
+  for (const op of keepOps) {
+    if (op === "query") enqueue("Query", { seed: "root type" });
+    if (op === "mutation") enqueue("Mutation", { seed: "root type" });
+    if (op === "subscription") enqueue("Subscription", { seed: "root type" });
+  }
+
+  // Also keep types referenced by the kept root fields (return + arg types)
+  // We'll discover these via dependency closure below, starting from root types.
+
+  // Keep directive-definition dependencies too (important for federation/join directives etc.)
+  for (const dd of directiveDefs) {
+    for (const ref of collectTypeReferences(dd)) enqueue(ref.name, { seed: `directive ${ref.via}` });
+  }
+  // Also include any named types referenced by schema definition / extensions (rare but safe)
+  for (const sd of [effectiveSchemaDef, ...schemaExts]) {
+    if (!sd) continue;
+    for (const ref of collectTypeReferences(sd)) enqueue(ref.name, { seed: ref.via });
+  }
+
+  // Dependency closure
+  for (let i = 0; i < queue.length; i++) {
+    const typeName = queue[i];
+    const typeDefs = defsByName.get(typeName) || [];
+    for (const originalDef of typeDefs) {
+      const effectiveDef = prunedNodeByOriginal.get(originalDef) || pruneDef(originalDef);
+      for (const ref of collectTypeReferences(effectiveDef)) {
+        enqueue(ref.name, { from: typeName, via: ref.via });
+      }
+    }
+  }
+
+  // provenance now covers all required named types (including enums/inputs/interfaces/etc)
+  const selectedTypeNames = new Set(provenance.keys());
+
+  // Emit filtered document in original order, but:
+  // - schema definition is replaced with pruned ops
+  // - root operation type defs are replaced with pruned defs
+  // - only include named type defs where name is in selectedTypeNames
+  const outDefs = [];
+  for (const d of defs) {
+    if (d.kind === Kind.SCHEMA_DEFINITION) {
+      if (effectiveSchemaDef && effectiveSchemaDef.operationTypes.length) outDefs.push(effectiveSchemaDef);
+      continue;
+    }
+
+    if (d.kind === Kind.SCHEMA_EXTENSION) {
+      // Keep schema extensions only if they still reference kept ops (rare here). For safety, keep as-is.
+      outDefs.push(d);
+      continue;
+    }
+
+    if (d.kind === Kind.DIRECTIVE_DEFINITION) {
+      if (directiveDefs.includes(d)) outDefs.push(d);
+      continue;
+    }
+
+    if (d.kind === Kind.SCALAR_TYPE_DEFINITION) {
+      outDefs.push(applyFilterRules(d, rules));
+      continue;
+    }
+
+    const name = defName(d);
+    if (!name) {
+      // e.g. schema-less definitions; keep them (rare)
+      outDefs.push(d);
+      continue;
+    }
+
+    if (!selectedTypeNames.has(name)) continue;
+
+    const effective = prunedNodeByOriginal.get(d) || pruneDef(d);
+
+    // If root object ended up with 0 fields (e.g. Subscription) skip it entirely
+    if (isRootTypeName(name)) {
+      const fields = effective.fields || [];
+      if (!fields.length) continue;
+    }
+
+    // Drop unions that end up with no member types
+    if (
+      (effective.kind === Kind.UNION_TYPE_DEFINITION ||
+        effective.kind === Kind.UNION_TYPE_EXTENSION) &&
+      (effective.types || []).length === 0
+    ) {
+      continue;
+    }
+
+    // Field rules can empty a type, which a GraphQL server will reject
+    if (
+      rules &&
+      (effective.kind === Kind.OBJECT_TYPE_DEFINITION ||
+        effective.kind === Kind.INTERFACE_TYPE_DEFINITION ||
+        effective.kind === Kind.INPUT_OBJECT_TYPE_DEFINITION) &&
+      (effective.fields || []).length === 0
+    ) {
+      warnings.push(`Type ${name} has no fields left after the filter rules`);
+    }
+
+    outDefs.push(effective);
+  }
+
+  for (const rule of unmatchedRules(rules)) {
+    warnings.push(`Filter rule matched nothing: ${rule}`);
+  }
+
+  const document = transformDescriptions({ ...doc, definitions: outDefs }, descriptions);
+
+  if (validate) {
+    // This will throw if directives/types are missing or invalid.
+    buildASTSchema(document, { assumeValidSDL: false });
+  }
+
+  return {
+    document,
+    sdl: print(document) + "\n",
+    selectedTypeNames,
+    provenance,
+    stats: {
+      registers,
+      selectedTypes: selectedTypeNames.size,
+      directiveDefs: directiveDefs.length,
+      scalarDefs: scalarDefs.length,
+      rootFields: Object.fromEntries(rootTypeFieldCounts),
+      validated: validate,
+    },
+    warnings,
+  };
+}
+
+/**
+ * Why `typeName` is in a filterSchema result: the seed it was reached from and
+ * the chain of references leading to it. Returns { type, kept: false } for
+ * types that are not in the output.
+ */
+function explainType(result, typeName) {
+  const { provenance } = result;
+  if (!provenance.has(typeName)) return { type: typeName, kept: false, seed: null, path: [] };
+
+  const path = [];
+  let current = typeName;
+  let reason = provenance.get(current);
+  while (reason.from !== undefined) {
+    path.unshift(reason.via);
+    current = reason.from;
+    reason = provenance.get(current);
+  }
+  return { type: typeName, kept: true, seed: reason.seed, root: current, path };
+}
+
+/**
+ * "Query.BBR_Bygning(where) -> BBR_BygningFilterInput.byg404Koordinat -> SpatialFilterInput"
+ */
+function formatExplanation(explanation) {
+  if (!explanation.kept) return `${explanation.type}: not kept`;
+  const chain = [...explanation.path, explanation.type].join(" -> ");
+  const seed = explanation.root === explanation.type ? explanation.seed : `${explanation.root}: ${explanation.seed}`;
+  return `${chain}  (seed ${seed})`;
+}
+
+/**
+ * JSON-friendly report of the whole closure: seed counts and, per kept type,
+ * its seed and reference chain.
+ */
+function closureReport(result) {
+  const seeds = {};
+  const types = {};
+  for (const name of Array.from(result.provenance.keys()).sort()) {
+    const { seed, root, path } = explainType(result, name);
+    types[name] = { root, seed, path };
+    if (root === name) seeds[seed] = (seeds[seed] || 0) + 1;
+  }
+  return { totalTypes: result.provenance.size, seeds, types };
+}
+
+module.exports = {
+  makePrefixMatcher,
+  collectNamedTypesFromNode,
+  collectTypeReferences,
+  pruneRootObjectTypeDef,
+  pruneForeignRefs,
+  updateSchemaDefinitionOps,
+  registersOfRootFields,
+  makeAllowedTypeName,
+  filterSchema,
+  explainType,
+  formatExplanation,
+  closureReport,
+};
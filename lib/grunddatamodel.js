@@ -0,0 +1,245 @@
+/**
+ * Parser for the "Grunddatamodel info" blocks in the Datafordeler schema
+ * descriptions:
+ *
+ *   Grunddatamodel info:
+ *   type: Integer
+ *   multiplicity: 1
+ *   URI: https://data.gov.dk/model/profile/bbr/byg007Bygningsnummer
+ *   prefLabel (da): Bygningsnummer
+ *   definition (da): angiver bygningens nummer indenfor ejendommen
+ *
+ * Language tags are dropped from the keys ("prefLabel (da)" -> prefLabel).
+ * Entity-level values exported from the modelling tool carry "<memo>#NOTES#"
+ * prefixes and "#NOTES#Values: ..." suffixes; both are stripped.
+ *
+ * On top of the raw key/value parse this module builds structured metadata
+ * (grunddatamodelMetadata), a per-register data dictionary with lookups by
+ * legal source and model URI, and rewrites descriptions for SDL output
+ * ("full" keeps them, "condensed" shortens the blocks, "none" drops them).
+ */
+
+const { Kind, visit, print } = require("graphql");
+
+const { toDocument, defName } = require("./ast");
+
+const DESCRIPTION_MODES = ["full", "condensed", "none"];
+
+// Parsed keys -> metadata properties; "type" is the model type, not the GraphQL one
+const METADATA_KEYS = {
+  prefLabel: "prefLabel",
+  definition: "definition",
+  type: "modelType",
+  multiplicity: "multiplicity",
+  URI: "uri",
+  legalSource: "legalSource",
+  source: "source",
+};
+
+// Danish keys some entity-level blocks use; the English key wins when a block has both
+const FALLBACK_KEYS = {
+  lovgrundlag: "legalSource",
+};
+
+const MARKER = "Grunddatamodel info:";
+
+const LINE = /^([A-Za-z][\w -]*?)(?: \(([a-z]{2})\))?:\s*(.*)$/;
+
+function cleanValue(value) {
+  return value.replace(/^<memo>#NOTES#/, "").replace(/#NOTES#.*$/, "").trim();
+}
+
+/**
+ * Parse a description into { text, info }. `text` is whatever precedes the
+ * Grunddatamodel block (trimmed, may be ""); `info` maps keys to values, or is
+ * null when the description has no block.
+ */
+function parseGrunddatamodelInfo(description) {
+  const value = description && typeof description === "object" ? description.value : description;
+  if (!value) return { text: "", info: null };
+
+  const idx = value.indexOf(MARKER);
+  if (idx < 0) return { text: value.trim(), info: null };
+
+  const info = {};
+  let lastKey = null;
+  for (const raw of value.slice(idx + MARKER.length).split("\n")) {
+    const line = raw.trim();
+    if (!line) continue;
+    const m = LINE.exec(line);
+    if (m) {
+      lastKey = m[1].trim();
+      info[lastKey] = cleanValue(m[3]);
+    } else if (lastKey) {
+      // Continuation of a multi-line value
+      info[lastKey] = `${info[lastKey]} ${cleanValue(line)}`.trim();
+    }
+  }
+  return { text: value.slice(0, idx).trim(), info };
+}
+
+/**
+ * Structured metadata for a description, or null without a Grunddatamodel
+ * block: { prefLabel, definition, modelType, multiplicity, uri, legalSource,
+ * source, other }. Missing values are left out; `other` holds the remaining
+ * keys (dbName, sequenceNumber, comment, ...). A Danish `lovgrundlag` is the
+ * legal source when the block has no `legalSource`.
+ */
+function grunddatamodelMetadata(description) {
+  const { info } = parseGrunddatamodelInfo(description);
+  if (!info) return null;
+  const metadata = {};
+  const other = {};
+  for (const [key, value] of Object.entries(info)) {
+    if (!value) continue;
+    if (METADATA_KEYS[key]) metadata[METADATA_KEYS[key]] = value;
+    else other[key] = value;
+  }
+  for (const [key, property] of Object.entries(FALLBACK_KEYS)) {
+    if (other[key] && !metadata[property]) {
+      metadata[property] = other[key];
+      delete other[key];
+    }
+  }
+  // Entity-level blocks carry the model name instead of a label
+  if (!metadata.prefLabel && other.name) metadata.prefLabel = other.name;
+  if (Object.keys(other).length) metadata.other = other;
+  return metadata;
+}
+
+/**
+ * Short description text for condensed SDL output:
+ *
+ *   Bygningsnummer: angiver bygningens nummer indenfor ejendommen
+ *   URI: https://data.gov.dk/model/profile/bbr/byg007Bygningsnummer
+ *   Legal source: https://www.retsinformation.dk/eli/lta/2019/797
+ */
+function condenseMetadata(metadata) {
+  const lines = [];
+  const head = [metadata.prefLabel, metadata.definition].filter(Boolean);
+  if (head.length) lines.push(head.join(": "));
+  if (metadata.uri) lines.push(`URI: ${metadata.uri}`);
+  if (metadata.legalSource) lines.push(`Legal source: ${metadata.legalSource}`);
+  return lines.join("\n");
+}
+
+/**
+ * Rewrite every description in `doc` for the given mode. "full" returns the
+ * document untouched; "condensed" replaces Grunddatamodel blocks by
+ * condenseMetadata() (keeping any text before the block); "none" drops all
+ * descriptions.
+ */
+function transformDescriptions(doc, mode = "full") {
+  if (!DESCRIPTION_MODES.includes(mode)) {
+    throw new Error(`Unknown descriptions mode: ${mode} (expected ${DESCRIPTION_MODES.join(", ")})`);
+  }
+  if (mode === "full") return doc;
+
+  return visit(doc, {
+    enter(node) {
+      if (!node.description) return undefined;
+      if (mode === "none") return { ...node, description: undefined };
+      const { text, info } = parseGrunddatamodelInfo(node.description);
+      if (!info) return undefined;
+      const value = [text, condenseMetadata(grunddatamodelMetadata(node.description))].filter(Boolean).join("\n");
+      const description = value ? { kind: Kind.STRING, value, block: value.includes("\n") } : undefined;
+      return { ...node, description };
+    },
+  });
+}
+
+/**
+ * { TypeName: { metadata, fields: { fieldName: metadata } } } for every
+ * object, interface and input type; fields without a Grunddatamodel block are
+ * left out.
+ */
+function extractMetadata(sdlOrDocument) {
+  const out = {};
+  for (const def of toDocument(sdlOrDocument).definitions) {
+    if (
+      def.kind !== Kind.OBJECT_TYPE_DEFINITION &&
+      def.kind !== Kind.INTERFACE_TYPE_DEFINITION &&
+      def.kind !== Kind.INPUT_OBJECT_TYPE_DEFINITION
+    ) {
+      continue;
+    }
+    const fields = {};
+    for (const field of def.fields || []) {
+      const metadata = grunddatamodelMetadata(field.description);
+      if (metadata) fields[field.name.value] = metadata;
+    }
+    const metadata = grunddatamodelMetadata(def.description);
+    if (metadata || Object.keys(fields).length) out[defName(def)] = { metadata, fields };
+  }
+  return out;
+}
+
+// legalSource and, when a block also has a different Danish lovgrundlag, that one
+function legalSourcesOf(metadata) {
+  const danish = metadata.other && metadata.other.lovgrundlag;
+  return danish && danish !== metadata.legalSource ? [metadata.legalSource, danish] : [metadata.legalSource];
+}
+
+/**
+ * Data dictionary of the entity types in `entityToDomain` (name -> register),
+ * e.g. the map returned by simplifySchema / buildEntityIndex:
+ *
+ *   { registers: [{ register, entities: [{ name, metadata, fields: [{ name, type, metadata }] }] }],
+ *     byLegalSource: { url: ["BBR_Bygning.byg007Bygningsnummer", ...] },
+ *     byUri: { uri: ["BBR_Bygning.byg007Bygningsnummer"] } }
+ *
+ * `type` is the field's GraphQL type as printed in the schema. Entities and
+ * fields keep schema order; registers are sorted by name.
+ */
+function buildDataDictionary(sdlOrDocument, entityToDomain) {
+  const doc = toDocument(sdlOrDocument);
+  const byRegister = new Map();
+  const byLegalSource = {};
+  const byUri = {};
+  const addTo = (index, key, ref) => {
+    if (!key) return;
+    if (!index[key]) index[key] = [];
+    index[key].push(ref);
+  };
+
+  for (const def of doc.definitions) {
+    const name = defName(def);
+    if (def.kind !== Kind.OBJECT_TYPE_DEFINITION || !entityToDomain.has(name)) continue;
+
+    const metadata = grunddatamodelMetadata(def.description);
+    if (metadata) {
+      for (const source of legalSourcesOf(metadata)) addTo(byLegalSource, source, name);
+      addTo(byUri, metadata.uri, name);
+    }
+
+    const fields = (def.fields || []).map((field) => {
+      const ref = `${name}.${field.name.value}`;
+      const fieldMetadata = grunddatamodelMetadata(field.description);
+      if (fieldMetadata) {
+        for (const source of legalSourcesOf(fieldMetadata)) addTo(byLegalSource, source, ref);
+        addTo(byUri, fieldMetadata.uri, ref);
+      }
+      return { name: field.name.value, type: print(field.type), metadata: fieldMetadata };
+    });
+
+    const register = entityToDomain.get(name);
+    if (!byRegister.has(register)) byRegister.set(register, []);
+    byRegister.get(register).push({ name, metadata, fields });
+  }
+
+  return {
+    registers: [...byRegister.keys()].sort().map((register) => ({ register, entities: byRegister.get(register) })),
+    byLegalSource,
+    byUri,
+  };
+}
+
+module.exports = {
+  DESCRIPTION_MODES,
+  parseGrunddatamodelInfo,
+  grunddatamodelMetadata,
+  condenseMetadata,
+  transformDescriptions,
+  extractMetadata,
+  buildDataDictionary,
+};
@@ -0,0 +1,38 @@
+/**
+ * Library entry point. The scripts in scripts/ are thin CLI wrappers around
+ * these functions; use them directly from Node code or tests:
+ *
+ *   const { filterSchema, simplifySchema, computeDomainMappings } = require("datafordeler-graphql-schema-filter");
+ *   const { sdl, stats } = filterSchema(fs.readFileSync("FLEXCURRENT_V001.schema.graphql", "utf8"), { registers: ["BBR"] });
+ *
+ * Functions accept either SDL text or a parsed DocumentNode, never touch the
+ * console, and report problems by throwing or via `warnings`. Only the config
+ * helpers (loadConfig, findConfigFile), the pipeline (runPipeline,
+ * createAstCache) and the low-memory filter (filterSchemaFile, indexSdlFile)
+ * touch the filesystem.
+ */
+
+module.exports = {
+  ...require("./ast"),
+  ...require("./grunddatamodel"),
+  ...require("./filter"),
+  ...require("./large-schema"),
+  ...require("./perf"),
+  ...require("./split"),
+  ...require("./merge"),
+  ...require("./rules"),
+  ...require("./operations"),
+  ...require("./lint"),
+  ...require("./query-generator"),
+  ...require("./simplify"),
+  ...require("./typescript"),
+  ...require("./domain-mappings"),
+  ...require("./dependencies"),
+  ...require("./diff"),
+  ...require("./diagram"),
+  ...require("./viewer"),
+  ...require("./dictionary-site"),
+  ...require("./mock"),
+  ...require("./config"),
+  ...require("./pipeline"),
+};
@@ -0,0 +1,398 @@
+/**
+ * Low-memory filter path for SDL files too big to hold as one string and one
+ * AST. A first pass streams the file and indexes every top-level definition
+ * by name and byte range without parsing it; the dependency closure is then
+ * walked lazily, parsing each definition only when the walk reaches it, and
+ * filterSchema runs on the small document of reached definitions. The output
+ * is the same as filterSchema on the whole file.
+ */
+
+const fs = require("fs");
+const { parse, Kind } = require("graphql");
+
+const { BUILTIN_SCALARS, isRootTypeName } = require("./ast");
+const { compileFilterRules, applyFilterRules, makePatternMatcher } = require("./rules");
+const {
+  makePrefixMatcher,
+  collectTypeReferences,
+  pruneRootObjectTypeDef,
+  pruneForeignRefs,
+  registersOfRootFields,
+  makeAllowedTypeName,
+  filterSchema,
+} = require("./filter");
+const { createPhaseTimer } = require("./perf");
+
+const DEFINITION_KEYWORDS = new Set([
+  "schema",
+  "scalar",
+  "type",
+  "interface",
+  "union",
+  "enum",
+  "input",
+  "directive",
+  "extend",
+]);
+
+// Scanner states: outside strings/comments, inside "..." or """...""", or a # comment
+const NORMAL = 0;
+const COMMENT = 1;
+const QUOTE1 = 2; // saw "
+const QUOTE2 = 3; // saw ""
+const STRING = 4;
+const STRING_ESCAPE = 5;
+const BLOCK = 6;
+const BLOCK_ESCAPE = 7;
+const BLOCK_QUOTE1 = 8; // saw " inside a block string
+const BLOCK_QUOTE2 = 9; // saw "" inside a block string
+
+const isNameByte = (c) => (c >= 48 && c <= 57) || (c >= 65 && c <= 90) || (c >= 97 && c <= 122) || c === 95;
+
+/**
+ * Byte-level scanner that splits SDL into top-level definitions. Only tokens
+ * outside all brackets are looked at: a definition keyword starts an entry
+ * (at its description string, if one precedes it), the next name is the
+ * entry's name, and each entry ends where the next one starts.
+ */
+function createDefinitionScanner() {
+  const entries = [];
+  let state = NORMAL;
+  let depth = 0;
+  let token = "";
+  let tokenStart = 0;
+  let description = null; // offset of a top-level string that may describe the next definition
+  let expect = null; // "kind" after extend, "name" after a keyword
+  let current = null;
+
+  const onToken = (text, start) => {
+    if (expect === "kind") {
+      current.keyword = text;
+      expect = text === "schema" ? null : "name";
+      return;
+    }
+    if (expect === "name") {
+      current.name = text;
+      expect = null;
+      return;
+    }
+    if (!DEFINITION_KEYWORDS.has(text)) return;
+
+    const begin = description !== null ? description : start;
+    if (current) current.end = begin;
+    const extend = text === "extend";
+    current = { keyword: extend ? null : text, extend, name: null, start: begin, end: null };
+    entries.push(current);
+    expect = extend ? "kind" : text === "schema" ? null : "name";
+    description = null;
+  };
+
+  const endToken = () => {
+    if (!token) return;
+    onToken(token, tokenStart);
+    token = "";
+  };
+
+  const normal = (c, offset) => {
+    if (isNameByte(c)) {
+      if (depth === 0) {
+        if (!token) tokenStart = offset;
+        token += String.fromCharCode(c);
+      }
+      return;
+    }
+    endToken();
+    if (c === 35) state = COMMENT;
+    else if (c === 34) {
+      state = QUOTE1;
+      if (depth === 0 && description === null && expect === null) description = offset;
+    } else if (c === 123 || c === 40 || c === 91) depth++;
+    else if (c === 125 || c === 41 || c === 93) depth--;
+  };
+
+  const block = (c) => {
+    if (c === 92) state = BLOCK_ESCAPE;
+    else if (c === 34) state = BLOCK_QUOTE1;
+  };
+
+  return {
+    feed(buffer, length, base) {
+      for (let i = 0; i < length; i++) {
+        const c = buffer[i];
+        switch (state) {
+          case NORMAL:
+            normal(c, base + i);
+            break;
+          case COMMENT:
+            if (c === 10 || c === 13) state = NORMAL;
+            break;
+          case QUOTE1:
+            if (c === 34) state = QUOTE2;
+            else if (c === 92) state = STRING_ESCAPE;
+            else state = STRING;
+            break;
+          case QUOTE2:
+            // "" is an empty string unless a third quote opens a block string
+            if (c === 34) state = BLOCK;
+            else {
+              state = NORMAL;
+              normal(c, base + i);
+            }
+            break;
+          case STRING:
+            if (c === 92) state = STRING_ESCAPE;
+            else if (c === 34) state = NORMAL;
+            break;
+          case STRING_ESCAPE:
+            state = STRING;
+            break;
+          case BLOCK:
+            block(c);
+            break;
+          case BLOCK_ESCAPE:
+            state = BLOCK;
+            break;
+          case BLOCK_QUOTE1:
+            if (c === 34) state = BLOCK_QUOTE2;
+            else {
+              state = BLOCK;
+              block(c);
+            }
+            break;
+          case BLOCK_QUOTE2:
+            if (c === 34) state = NORMAL;
+            else {
+              state = BLOCK;
+              block(c);
+            }
+            break;
+        }
+      }
+    },
+
+    end(size) {
+      if (state === NORMAL || state === COMMENT || state === QUOTE2) endToken();
+      else throw new Error("Unterminated string at end of SDL");
+      if (depth !== 0) throw new Error(`Unbalanced brackets at end of SDL (depth ${depth})`);
+      if (current) current.end = size;
+      return entries;
+    },
+  };
+}
+
+/**
+ * Index the top-level definitions of an SDL file by name and byte range,
+ * reading it in chunks of `chunkSize` bytes (default 64 KB). Nothing is
+ * parsed until read() is called for an entry.
+ *
+ *   const index = indexSdlFile("FLEXCURRENT_V001.schema.graphql");
+ *   const def = index.read(index.byName.get("BBR_Bygning")[0]); // DefinitionNode
+ *   index.close();
+ *
+ * Entries are { keyword, extend, name, start, end } in file order; keyword is
+ * the definition kind ("type", "scalar", "directive", ...) and name is null
+ * for schema definitions. byName holds the type definitions and extensions,
+ * not directives. stats counts the entries and bytes read().
+ */
+function indexSdlFile(filePath, options = {}) {
+  const chunkSize = options.chunkSize || 64 * 1024;
+  let fd = fs.openSync(filePath, "r");
+  let entries;
+  let size;
+  try {
+    size = fs.fstatSync(fd).size;
+    const scanner = createDefinitionScanner();
+    const buffer = Buffer.alloc(chunkSize);
+    let offset = 0;
+    for (;;) {
+      const n = fs.readSync(fd, buffer, 0, chunkSize, offset);
+      if (!n) break;
+      scanner.feed(buffer, n, offset);
+      offset += n;
+    }
+    entries = scanner.end(size);
+  } catch (err) {
+    fs.closeSync(fd);
+    throw err;
+  }
+
+  const byName = new Map();
+  for (const entry of entries) {
+    if (!entry.name || entry.keyword === "directive") continue;
+    const list = byName.get(entry.name) || [];
+    list.push(entry);
+    byName.set(entry.name, list);
+  }
+
+  const stats = { parsed: 0, parsedBytes: 0 };
+
+  return {
+    path: filePath,
+    size,
+    entries,
+    byName,
+    stats,
+
+    read(entry) {
+      if (fd === null) throw new Error(`${filePath}: index is closed`);
+      const length = entry.end - entry.start;
+      const buffer = Buffer.alloc(length);
+      fs.readSync(fd, buffer, 0, length, entry.start);
+      stats.parsed++;
+      stats.parsedBytes += length;
+
+      const label = `${entry.extend ? "extend " : ""}${entry.keyword}${entry.name ? ` ${entry.name}` : ""}`;
+      let doc;
+      try {
+        doc = parse(buffer.toString("utf8"), { noLocation: true });
+      } catch (err) {
+        throw new Error(`${filePath}: cannot parse ${label} at byte ${entry.start}: ${err.message}`);
+      }
+      if (doc.definitions.length !== 1) {
+        throw new Error(
+          `${filePath}: expected one definition for ${label} at byte ${entry.start}, found ${doc.definitions.length}`
+        );
+      }
+      return doc.definitions[0];
+    },
+
+    close() {
+      if (fd !== null) fs.closeSync(fd);
+      fd = null;
+    },
+  };
+}
+
+/**
+ * Entries of the index that filterSchema needs to produce its full-file
+ * result: schema definitions, directives, scalars, root types and the
+ * dependency closure of the options' selection. Mirrors the seeding and the
+ * pruning of filterSchema, but parses a definition only when it is reached.
+ * Returns { entries (file order), definitions: Map entry -> DefinitionNode }.
+ */
+function collectLazyClosure(index, options) {
+  const rootFieldMatcher =
+    options.rootFields && options.rootFields.length ? makePatternMatcher(options.rootFields) : null;
+  const keepRootFields = new Set(options.keepRootFields || []);
+  const pruneForeign = options.pruneForeign !== false;
+  const rules = compileFilterRules(options.rules);
+
+  const definitions = new Map();
+  const read = (entry) => {
+    if (!definitions.has(entry)) definitions.set(entry, index.read(entry));
+    return definitions.get(entry);
+  };
+
+  const selected = new Set();
+  for (const entry of index.entries) {
+    const always =
+      entry.keyword === "schema" ||
+      entry.keyword === "directive" ||
+      entry.keyword === "scalar" ||
+      (entry.name && isRootTypeName(entry.name));
+    if (always) selected.add(entry);
+  }
+
+  const rootEntries = index.entries.filter((e) => e.name && isRootTypeName(e.name));
+  const registers = (options.registers || []).length
+    ? options.registers
+    : rootFieldMatcher
+      ? registersOfRootFields(rootEntries.map(read), rootFieldMatcher)
+      : [];
+
+  const matchesRegister = makePrefixMatcher(registers);
+  const selectRootField = rootFieldMatcher
+    ? (name) => rootFieldMatcher.test(name) || keepRootFields.has(name)
+    : (name) => matchesRegister(name) || keepRootFields.has(name);
+  const isAllowedTypeName = makeAllowedTypeName(registers, new Set(options.allowPrefixes || []));
+  const pruneDef = (def) => {
+    let effective = applyFilterRules(def, rules);
+    if (pruneForeign) effective = pruneForeignRefs(effective, isAllowedTypeName);
+    return effective;
+  };
+
+  const seen = new Set();
+  const queue = [];
+  const enqueue = (name) => {
+    if (!name || BUILTIN_SCALARS.has(name) || seen.has(name)) return;
+    seen.add(name);
+    queue.push(name);
+  };
+
+  for (const [name] of index.byName) {
+    if (!rules && !rootFieldMatcher && matchesRegister(name)) enqueue(name);
+  }
+  for (const entry of rootEntries) enqueue(entry.name);
+  for (const entry of index.entries) {
+    if (entry.keyword !== "directive" && entry.keyword !== "schema") continue;
+    const def = read(entry);
+    if (entry.keyword === "directive" && !applyFilterRules(def, rules)) continue;
+    for (const ref of collectTypeReferences(def)) enqueue(ref.name);
+  }
+
+  for (let i = 0; i < queue.length; i++) {
+    const name = queue[i];
+    for (const entry of index.byName.get(name) || []) {
+      selected.add(entry);
+      const def = read(entry);
+      const effective = isRootTypeName(name) ? pruneDef(pruneRootObjectTypeDef(def, selectRootField)) : pruneDef(def);
+      for (const ref of collectTypeReferences(effective)) enqueue(ref.name);
+    }
+  }
+
+  // filterSchema warns about registers without any type; keep one type of
+  // each register present in the file so that warning matches the full run
+  for (const r of registers) {
+    const prefix = `${r}_`;
+    if ([...selected].some((e) => e.name && e.name.startsWith(prefix))) continue;
+    const entry = index.entries.find((e) => e.name && e.keyword !== "directive" && e.name.startsWith(prefix));
+    if (entry) selected.add(entry);
+  }
+
+  const entries = [...selected].sort((a, b) => a.start - b.start);
+  for (const entry of entries) read(entry);
+  return { entries, definitions };
+}
+
+/**
+ * filterSchema for an SDL file, without reading the whole file into memory:
+ * indexes the file, parses only the definitions the selection reaches, and
+ * filters those. Takes the options of filterSchema plus
+ *   timer      createPhaseTimer() to record the phases in (default: a new one)
+ *   chunkSize  read size of the indexing pass
+ *
+ * Returns the filterSchema result plus `timings` (timer.report()) and
+ * `lowMemory`: { definitions, parsedDefinitions, parsedBytes, totalBytes,
+ * typeNames } where typeNames are the names of all type definitions in the
+ * file (for "not defined" checks, as the result has no full document).
+ */
+function filterSchemaFile(filePath, options = {}) {
+  const timer = options.timer || createPhaseTimer();
+  const index = timer.phase("index", () => indexSdlFile(filePath, { chunkSize: options.chunkSize }));
+  try {
+    const closure = timer.phase("closure", () => collectLazyClosure(index, options));
+    const document = {
+      kind: Kind.DOCUMENT,
+      definitions: closure.entries.map((entry) => closure.definitions.get(entry)),
+    };
+    const result = timer.phase("filter", () => filterSchema(document, options));
+    return {
+      ...result,
+      timings: timer.report(),
+      lowMemory: {
+        definitions: index.entries.length,
+        parsedDefinitions: index.stats.parsed,
+        parsedBytes: index.stats.parsedBytes,
+        totalBytes: index.size,
+        typeNames: [...index.byName.keys()],
+      },
+    };
+  } finally {
+    index.close();
+  }
+}
+
+module.exports = {
+  indexSdlFile,
+  filterSchemaFile,
+};
@@ -0,0 +1,387 @@
+/**
+ * Offline query linter for the Datafordeler cost / filter directives.
+ *
+ * For every operation it computes the static cost and checks the rules the
+ * live service enforces:
+ *
+ *   @cost(weight:)                 on fields, arguments, input fields and types
+ *   @listSize(assumedSize:, slicingArguments:, slicingArgumentDefaultValue:,
+ *             sizedFields:, requireOneSlicingArgument:)
+ *   @filterRequirement(requiresOneOfFields:, requiresOneOfArguments:)
+ *   @filterBounds(MinValue:, MaxValue:, MinStringLength:, MaxStringLength:,
+ *                 AllowedStrings:, MaxListSize:) on input fields
+ *   @requiredField                 the field must be selected
+ *
+ * Cost of a field = its weight (or its return type's weight) + the weights of
+ * the arguments and input fields given + list size * cost of its selections.
+ * The list size is the value of the slicing argument (literal or variable
+ * default), else slicingArgumentDefaultValue, else assumedSize. With
+ * sizedFields the size applies to those child fields (e.g. nodes / edges)
+ * instead of the field itself.
+ */
+
+const {
+  parse,
+  Source,
+  Kind,
+  GraphQLError,
+  validate,
+  specifiedRules,
+  NoUnusedFragmentsRule,
+  buildASTSchema,
+  getLocation,
+  valueFromASTUntyped,
+  getNamedType: getNamedSchemaType,
+  isListType: isListSchemaType,
+  isNonNullType,
+  isCompositeType,
+  isInputObjectType,
+  isObjectType,
+  isInterfaceType,
+} = require("graphql");
+
+const { toDocument } = require("./ast");
+const { prepareOperations } = require("./operations");
+
+const SEVERITIES = ["error", "warning", "info"];
+
+// Fragment-only files are validated without the rule that every fragment is spread
+const FRAGMENT_FILE_RULES = specifiedRules.filter((rule) => rule !== NoUnusedFragmentsRule);
+
+function directiveArgs(astNode, name) {
+  const d = astNode && (astNode.directives || []).find((x) => x.name.value === name);
+  if (!d) return null;
+  const out = {};
+  for (const arg of d.arguments || []) out[arg.name.value] = valueFromASTUntyped(arg.value);
+  return out;
+}
+
+function weightOf(astNode) {
+  const args = directiveArgs(astNode, "cost");
+  if (!args) return null;
+  const w = Number(args.weight);
+  return Number.isFinite(w) ? w : null;
+}
+
+function unwrapList(type) {
+  const t = isNonNullType(type) ? type.ofType : type;
+  return isListSchemaType(t);
+}
+
+function locate(node) {
+  if (!node || !node.loc) return { file: null, line: null, column: null };
+  const { line, column } = getLocation(node.loc.source, node.loc.start);
+  return { file: node.loc.source.name, line, column };
+}
+
+/**
+ * Lint one operation document. `problems` receives { severity, rule, message, file, line, column }.
+ */
+function lintOperation(schema, operation, fragments, options, problems) {
+  const defaultListSize = options.defaultListSize === undefined ? 1 : options.defaultListSize;
+  const variableDefaults = new Map();
+  for (const v of operation.variableDefinitions || []) {
+    if (v.defaultValue) variableDefaults.set(v.variable.name.value, valueFromASTUntyped(v.defaultValue));
+  }
+  const report = (severity, rule, node, message) => problems.push({ severity, rule, message, ...locate(node) });
+
+  // Literal value of an argument / object field, or undefined if it is a variable without default
+  const literal = (valueNode) => {
+    if (valueNode.kind === Kind.VARIABLE) return variableDefaults.get(valueNode.name.value);
+    return valueFromASTUntyped(valueNode);
+  };
+
+  // Weights of input fields used in a literal, plus @filterBounds checks
+  const inputCost = (inputType, valueNode) => {
+    const named = getNamedSchemaType(inputType);
+    if (valueNode.kind === Kind.LIST) {
+      return valueNode.values.reduce((n, v) => n + inputCost(inputType, v), 0);
+    }
+    if (!isInputObjectType(named) || valueNode.kind !== Kind.OBJECT) return 0;
+    const fields = named.getFields();
+    let cost = 0;
+    for (const of of valueNode.fields) {
+      const fieldDef = fields[of.name.value];
+      if (!fieldDef) continue;
+      cost += weightOf(fieldDef.astNode) || 0;
+      checkBounds(named.name, fieldDef, of);
+      cost += inputCost(fieldDef.type, of.value);
+    }
+    return cost;
+  };
+
+  const checkBounds = (typeName, fieldDef, objectField) => {
+    const bounds = directiveArgs(fieldDef.astNode, "filterBounds");
+    if (!bounds) return;
+    const value = literal(objectField.value);
+    if (value === undefined || value === null) return;
+    const where = `${typeName}.${fieldDef.name}`;
+    const values = Array.isArray(value) ? value : [value];
+    if (bounds.MaxListSize != null && Array.isArray(value) && value.length > bounds.MaxListSize) {
+      report("error", "filter-bounds", objectField, `${where} has ${value.length} values; at most ${bounds.MaxListSize} allowed`);
+    }
+    for (const v of values) {
+      if (typeof v === "number") {
+        if (bounds.MinValue != null && v < bounds.MinValue) {
+          report("error", "filter-bounds", objectField, `${where} = ${v} is below the minimum ${bounds.MinValue}`);
+        }
+        if (bounds.MaxValue != null && v > bounds.MaxValue) {
+          report("error", "filter-bounds", objectField, `${where} = ${v} is above the maximum ${bounds.MaxValue}`);
+        }
+      }
+      if (typeof v === "string") {
+        if (bounds.MinStringLength != null && v.length < bounds.MinStringLength) {
+          report("error", "filter-bounds", objectField, `${where} "${v}" is shorter than ${bounds.MinStringLength} characters`);
+        }
+        if (bounds.MaxStringLength != null && v.length > bounds.MaxStringLength) {
+          report("error", "filter-bounds", objectField, `${where} "${v}" is longer than ${bounds.MaxStringLength} characters`);
+        }
+        if (bounds.AllowedStrings) {
+          const allowed = String(bounds.AllowedStrings).split(",").map((x) => x.trim());
+          if (!allowed.includes(v)) {
+            report("error", "filter-bounds", objectField, `${where} "${v}" is not one of: ${allowed.join(", ")}`);
+          }
+        }
+      }
+    }
+  };
+
+  const checkFilterRequirement = (parentName, fieldDef, fieldNode) => {
+    const req = directiveArgs(fieldDef.astNode, "filterRequirement");
+    if (!req) return;
+    const fields = req.requiresOneOfFields || [];
+    const args = req.requiresOneOfArguments || [];
+    if (!fields.length && !args.length) return;
+
+    const given = new Map((fieldNode.arguments || []).map((a) => [a.name.value, a]));
+    if (args.some((a) => given.has(a))) return;
+
+    const where = given.get("where");
+    if (where && where.value.kind === Kind.VARIABLE) {
+      report(
+        "warning",
+        "filter-requirement",
+        fieldNode,
+        `${parentName}.${fieldDef.name}: "where" is a variable, cannot check that it filters on one of ${fields.join(", ")}`
+      );
+      return;
+    }
+    // Filter keys at the top level or inside "and" count; "or" branches do not guarantee the filter
+    const keys = new Set();
+    const collect = (node) => {
+      if (!node || node.kind !== Kind.OBJECT) return;
+      for (const of of node.fields) {
+        keys.add(of.name.value);
+        if (of.name.value === "and" && of.value.kind === Kind.LIST) of.value.values.forEach(collect);
+      }
+    };
+    if (where) collect(where.value);
+    if (fields.some((f) => keys.has(f))) return;
+
+    const expected = [
+      fields.length ? `a where filter on one of: ${fields.join(", ")}` : null,
+      args.length ? `one of the arguments: ${args.join(", ")}` : null,
+    ].filter(Boolean);
+    report("error", "filter-requirement", fieldNode, `${parentName}.${fieldDef.name} requires ${expected.join(" or ")}`);
+  };
+
+  // Returns the list size for a @listSize field, checking requireOneSlicingArgument
+  const listSizeOf = (parentName, fieldDef, fieldNode, listSize) => {
+    const slicing = listSize.slicingArguments || [];
+    const given = (fieldNode.arguments || []).filter((a) => slicing.includes(a.name.value));
+    const label = `${parentName}.${fieldDef.name}`;
+    if (listSize.requireOneSlicingArgument !== false && slicing.length && given.length !== 1) {
+      report("error", "slicing-argument", fieldNode, `${label} requires exactly one of: ${slicing.join(", ")}`);
+    }
+    for (const a of given) {
+      const v = literal(a.value);
+      if (v !== undefined && v !== null) return Number(v);
+    }
+    if (given.length) {
+      report("warning", "list-size", fieldNode, `${label}: slicing argument is a variable without default; assuming ${listSize.assumedSize ?? defaultListSize}`);
+    }
+    if (listSize.slicingArgumentDefaultValue != null) return listSize.slicingArgumentDefaultValue;
+    if (listSize.assumedSize != null) return listSize.assumedSize;
+    return defaultListSize;
+  };
+
+  const selectionCost = (parentType, selectionSet, sized, seenFragments) => {
+    let total = 0;
+    const selected = new Set();
+    for (const sel of selectionSet.selections) {
+      if (sel.kind === Kind.FIELD) {
+        selected.add(sel.name.value);
+        total += fieldCost(parentType, sel, sized && sized.fields.includes(sel.name.value) ? sized.size : null, seenFragments);
+      } else if (sel.kind === Kind.INLINE_FRAGMENT) {
+        const type = sel.typeCondition ? schema.getType(sel.typeCondition.name.value) : parentType;
+        total += selectionCost(type, sel.selectionSet, sized, seenFragments);
+        for (const s of sel.selectionSet.selections) if (s.kind === Kind.FIELD) selected.add(s.name.value);
+      } else if (sel.kind === Kind.FRAGMENT_SPREAD) {
+        const frag = fragments.get(sel.name.value);
+        if (!frag || seenFragments.has(frag)) continue;
+        const type = schema.getType(frag.typeCondition.name.value);
+        const next = new Set(seenFragments).add(frag);
+        total += selectionCost(type, frag.selectionSet, sized, next);
+        for (const s of frag.selectionSet.selections) if (s.kind === Kind.FIELD) selected.add(s.name.value);
+      }
+    }
+
+    // @requiredField: must be selected whenever the type is selected
+    if (isObjectType(parentType) || isInterfaceType(parentType)) {
+      for (const f of Object.values(parentType.getFields())) {
+        if (directiveArgs(f.astNode, "requiredField") && !selected.has(f.name)) {
+          report("error", "required-field", selectionSet, `${parentType.name}.${f.name} must be included in the selection`);
+        }
+      }
+    }
+    return total;
+  };
+
+  const fieldCost = (parentType, fieldNode, sizedMultiplier, seenFragments) => {
+    if (!parentType || !(isObjectType(parentType) || isInterfaceType(parentType))) return 0;
+    const fieldDef = parentType.getFields()[fieldNode.name.value];
+    if (!fieldDef) return 0;
+
+    const returnType = getNamedSchemaType(fieldDef.type);
+    let cost = weightOf(fieldDef.astNode) ?? weightOf(returnType.astNode) ?? 0;
+
+    for (const argNode of fieldNode.arguments || []) {
+      const argDef = fieldDef.args.find((a) => a.name === argNode.name.value);
+      if (!argDef) continue;
+      cost += weightOf(argDef.astNode) || 0;
+      cost += inputCost(argDef.type, argNode.value);
+    }
+    checkFilterRequirement(parentType.name, fieldDef, fieldNode);
+
+    if (!fieldNode.selectionSet || !isCompositeType(returnType)) return cost;
+
+    const listSize = directiveArgs(fieldDef.astNode, "listSize");
+    let multiplier = 1;
+    let sized = null;
+    if (listSize) {
+      const size = listSizeOf(parentType.name, fieldDef, fieldNode, listSize);
+      if (listSize.sizedFields && listSize.sizedFields.length) sized = { fields: listSize.sizedFields, size };
+      else multiplier = size;
+    } else if (sizedMultiplier !== null) {
+      multiplier = sizedMultiplier;
+    } else if (unwrapList(fieldDef.type)) {
+      multiplier = defaultListSize;
+    }
+
+    return cost + multiplier * selectionCost(returnType, fieldNode.selectionSet, sized, seenFragments);
+  };
+
+  const root = schema.getRootType(operation.operation);
+  const cost = root ? selectionCost(root, operation.selectionSet, null, new Set()) : 0;
+
+  const name = operation.name ? operation.name.value : "(anonymous)";
+  if (options.maxCost != null && cost > options.maxCost) {
+    report("error", "max-cost", operation, `Operation ${name} costs ${cost}, above the limit of ${options.maxCost}`);
+  }
+  return { name, cost, ...locate(operation) };
+}
+
+/**
+ * Lint operations ([{ name, source }]) against a schema.
+ *
+ * Options:
+ *   maxCost          Report operations whose cost exceeds this as errors
+ *   defaultListSize  Size assumed for list fields without @listSize (default 1)
+ *
+ * Returns { files: [{ name, operations: [{ name, cost, line }], problems }], totals }.
+ * A file that does not parse gets a "syntax" problem, and a file defining a
+ * fragment another file already defines a "duplicate-fragment" problem; the
+ * other files are still linted. GraphQL validation errors are reported as "validation"
+ * problems; cost and directive checks only run on operations that validate.
+ */
+function lintOperations(sdlOrDocument, operations, options = {}) {
+  const schema = buildASTSchema(toDocument(sdlOrDocument), { assumeValidSDL: true });
+
+  const fileProblems = new Map(); // file -> problems found before validation
+  const addFileProblem = (file, problem) => {
+    if (!fileProblems.has(file)) fileProblems.set(file, []);
+    fileProblems.get(file).push(problem);
+  };
+  const parsed = [];
+  for (const op of operations) {
+    if (op.document) {
+      parsed.push(op);
+      continue;
+    }
+    try {
+      parsed.push({ name: op.name, document: parse(new Source(op.source, op.name)) });
+    } catch (err) {
+      if (!(err instanceof GraphQLError)) throw err;
+      const [loc] = err.locations || [];
+      const at = loc ? { line: loc.line, column: loc.column } : { line: null, column: null };
+      addFileProblem(op.name, { severity: "error", rule: "syntax", message: err.message, file: op.name, ...at });
+    }
+  }
+  const prepared = prepareOperations(parsed, {
+    fragmentFiles: true,
+    onDuplicateFragment: (fragment, firstFile, file) => {
+      const message = `Fragment ${fragment.name.value} is already defined in ${firstFile}`;
+      addFileProblem(file, { severity: "error", rule: "duplicate-fragment", message, file, ...locate(fragment) });
+    },
+  });
+  const byName = new Map(prepared.map((op) => [op.name, op]));
+
+  const files = operations.map((op) => {
+    const problems = [...(fileProblems.get(op.name) || [])];
+    const ops = [];
+    const doc = byName.get(op.name);
+    if (doc) {
+      const fragmentFile = !doc.document.definitions.some((d) => d.kind === Kind.OPERATION_DEFINITION);
+      const errors = validate(schema, doc.document, fragmentFile ? FRAGMENT_FILE_RULES : specifiedRules);
+      for (const e of errors) {
+        const node = e.nodes && e.nodes[0];
+        problems.push({ severity: "error", rule: "validation", message: e.message, ...locate(node) });
+      }
+      if (!errors.length) {
+        const fragments = new Map(
+          doc.document.definitions.filter((d) => d.kind === Kind.FRAGMENT_DEFINITION).map((d) => [d.name.value, d])
+        );
+        for (const def of doc.document.definitions) {
+          if (def.kind !== Kind.OPERATION_DEFINITION) continue;
+          ops.push(lintOperation(schema, def, fragments, options, problems));
+        }
+      }
+    }
+    problems.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) || (a.line || 0) - (b.line || 0));
+    return { name: op.name, operations: ops, problems };
+  });
+
+  const totals = { files: files.length, operations: 0, error: 0, warning: 0, info: 0 };
+  for (const f of files) {
+    totals.operations += f.operations.length;
+    for (const p of f.problems) totals[p.severity]++;
+  }
+  return { files, totals };
+}
+
+/**
+ * Compiler-style text report: "file:line:column  severity  rule  message".
+ */
+function formatLintReport({ files, totals }) {
+  const lines = [];
+  const row = (file, line, column, severity, rule, message) =>
+    lines.push(`${file}:${line || 0}:${column || 0}  ${severity.padEnd(7)}  ${rule.padEnd(18)}  ${message}`);
+  for (const f of files) {
+    for (const op of f.operations) {
+      row(f.name, op.line, op.column, "info", "cost", `${op.name}: ${op.cost}`);
+    }
+    for (const p of f.problems) {
+      row(p.file || f.name, p.line, p.column, p.severity, p.rule, p.message);
+    }
+  }
+  lines.push("");
+  lines.push(
+    `${totals.files} file(s), ${totals.operations} operation(s): ${totals.error} error(s), ${totals.warning} warning(s)`
+  );
+  return lines.join("\n");
+}
+
+module.exports = {
+  lintOperations,
+  formatLintReport,
+};
@@ -0,0 +1,344 @@
+/**
+ * Schema merge: the reverse of the filter. Combines per-register schemas,
+ * possibly from different service versions (e.g. CVR_V001 and
+ * FLEXCURRENT_V001), into one composite schema for a gateway. Identical
+ * shared definitions are deduplicated, root fields are recombined, and
+ * definitions that differ between sources are reported as conflicts and
+ * resolved with a strategy.
+ */
+
+const { print, visit, Kind, buildASTSchema } = require("graphql");
+
+const { toDocument, defName, isRootTypeName, underscorePrefix } = require("./ast");
+const { diffDocuments } = require("./diff");
+const { discoverRegisters } = require("./domain-mappings");
+
+/**
+ * How a conflict is resolved:
+ *   error  leave it unresolved; the merge produces no schema
+ *   first  keep the definition of the first source that has it
+ *   last   keep the definition of the last source that has it
+ *   union  combine fields, enum values, union members, directive locations
+ *          and root field arguments; a member defined differently keeps its
+ *          first version, a root field keeps its first return type
+ */
+const MERGE_STRATEGIES = ["error", "first", "last", "union"];
+
+const KIND_LABELS = {
+  [Kind.OBJECT_TYPE_DEFINITION]: "type",
+  [Kind.INTERFACE_TYPE_DEFINITION]: "interface",
+  [Kind.INPUT_OBJECT_TYPE_DEFINITION]: "input",
+  [Kind.ENUM_TYPE_DEFINITION]: "enum",
+  [Kind.UNION_TYPE_DEFINITION]: "union",
+  [Kind.SCALAR_TYPE_DEFINITION]: "scalar",
+  [Kind.DIRECTIVE_DEFINITION]: "directive",
+  [Kind.FIELD_DEFINITION]: "root field",
+};
+
+// Members whose order carries no meaning; canonical() sorts them
+const UNORDERED_KEYS = ["fields", "arguments", "values", "types", "interfaces", "locations", "directives"];
+
+// Print without descriptions and with members sorted, so only real differences remain
+function canonical(node) {
+  const sorted = visit(node, {
+    leave(n) {
+      const out = { ...n, description: undefined };
+      // List values (e.g. @listSize(slicingArguments:) or list defaults) keep their order
+      if (n.kind === Kind.LIST) return out;
+      for (const key of UNORDERED_KEYS) {
+        if (!Array.isArray(n[key])) continue;
+        out[key] = n[key]
+          .map((member) => ({ member, printed: print(member) }))
+          .sort((x, y) => (x.printed < y.printed ? -1 : x.printed > y.printed ? 1 : 0))
+          .map((x) => x.member);
+      }
+      return out;
+    },
+  });
+  return print(sorted);
+}
+
+// Differences from `a` to `b`, in the words of the schema diff
+function differences(a, b) {
+  return diffDocuments({ kind: Kind.DOCUMENT, definitions: [a] }, { kind: Kind.DOCUMENT, definitions: [b] }).map(
+    (c) => ({ level: c.level, message: c.message })
+  );
+}
+
+function sameDefinition(a, b) {
+  return canonical(a) === canonical(b);
+}
+
+// Union of named members; a member defined differently keeps its first version
+function unionByName(lists, label, notes, sourceOf) {
+  const out = new Map();
+  lists.forEach((list, i) => {
+    for (const member of list || []) {
+      const name = member.kind === Kind.NAME ? member.value : member.name.value;
+      const kept = out.get(name);
+      if (!kept) out.set(name, { member, from: i });
+      else if (canonical(kept.member) !== canonical(member)) {
+        notes.push(`${label} ${name} differs; kept the ${sourceOf(kept.from)} version`);
+      }
+    }
+  });
+  return [...out.values()].map((v) => v.member);
+}
+
+function unionDefinitions(defs, sourceOf) {
+  const notes = [];
+  const [first] = defs;
+  const lists = (key) => defs.map((d) => d[key]);
+  switch (first.kind) {
+    case Kind.OBJECT_TYPE_DEFINITION:
+    case Kind.INTERFACE_TYPE_DEFINITION:
+      return {
+        def: {
+          ...first,
+          interfaces: unionByName(lists("interfaces"), "Interface", notes, sourceOf),
+          fields: unionByName(lists("fields"), "Field", notes, sourceOf),
+        },
+        notes,
+      };
+    case Kind.INPUT_OBJECT_TYPE_DEFINITION:
+      return { def: { ...first, fields: unionByName(lists("fields"), "Input field", notes, sourceOf) }, notes };
+    case Kind.ENUM_TYPE_DEFINITION:
+      return { def: { ...first, values: unionByName(lists("values"), "Value", notes, sourceOf) }, notes };
+    case Kind.UNION_TYPE_DEFINITION:
+      return { def: { ...first, types: unionByName(lists("types"), "Member", notes, sourceOf) }, notes };
+    case Kind.FIELD_DEFINITION: {
+      // Root fields: combine the arguments; the return type is the first one's
+      const types = new Set(defs.map((d) => print(d.type)));
+      if (types.size > 1) notes.push(`Return types differ (${[...types].join(", ")}); kept ${print(first.type)}`);
+      return { def: { ...first, arguments: unionByName(lists("arguments"), "Argument", notes, sourceOf) }, notes };
+    }
+    case Kind.DIRECTIVE_DEFINITION: {
+      const locations = unionByName(lists("locations"), "Location", notes, sourceOf);
+      return {
+        def: {
+          ...first,
+          arguments: unionByName(lists("arguments"), "Argument", notes, sourceOf),
+          locations,
+          repeatable: defs.some((d) => d.repeatable),
+        },
+        notes,
+      };
+    }
+    default:
+      notes.push(`${KIND_LABELS[first.kind]} definitions cannot be combined; kept the ${sourceOf(0)} version`);
+      return { def: first, notes };
+  }
+}
+
+function rootDescription(registers, sourceCount) {
+  const lines = registers.map((r) => `- ${r.register} ${r.version}`);
+  const intro = `Query type merged from ${sourceCount} schemas, containing the following register versions:`;
+  return [intro, ...lines].join("\n");
+}
+
+/**
+ * Merge schemas: `sources` is [{ name, schema }] with SDL text or a document.
+ * Options:
+ *   strategy  How to resolve conflicts (MERGE_STRATEGIES, default "error")
+ *   resolve   Per-definition strategies: { "DafStringOperationFilterInput": "union",
+ *             "Query.CVR_Virksomhed": "last", "@cost": "first" }
+ *   validate  Build the merged schema to check it (default true)
+ *
+ * Returns { document, sdl, conflicts, rootFields, registers, stats, warnings }.
+ * conflicts are [{ name, kind, sources, differences: [{ level, message }],
+ * resolution, notes }], differences being those from the first source's
+ * definition to each other one. rootFields tells which sources serve each
+ * root field the way it was kept ([{ type, field, sources }]), for routing
+ * in a gateway. With an unresolved conflict (resolution "error") document and
+ * sdl are null.
+ */
+function mergeSchemas(sources, options = {}) {
+  const strategy = options.strategy || "error";
+  const resolve = options.resolve || {};
+  for (const s of [strategy, ...Object.values(resolve)]) {
+    if (!MERGE_STRATEGIES.includes(s)) {
+      throw new Error(`Unknown merge strategy: ${s} (expected ${MERGE_STRATEGIES.join(", ")})`);
+    }
+  }
+  if (!sources.length) throw new Error("mergeSchemas: no sources given");
+
+  const warnings = [];
+  const names = sources.map((s) => s.name);
+  const docs = sources.map((s) => toDocument(s.schema));
+
+  // Group the definitions by name, in order of first appearance
+  const groups = new Map(); // key -> [{ source, def }]
+  const rootGroups = new Map(); // "Query.field" -> [{ source, def: field }]
+  const rootTypes = new Map(); // Query -> first root type definition
+  const operations = new Map(); // query -> { operation, type }
+  const extensions = [];
+  const sequence = []; // group keys and root type names in order of first appearance
+  const add = (map, key, entry) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(entry);
+  };
+  const addGroup = (key, entry) => {
+    if (!groups.has(key)) sequence.push(key);
+    add(groups, key, entry);
+  };
+
+  docs.forEach((doc, source) => {
+    for (const def of doc.definitions) {
+      if (def.kind === Kind.SCHEMA_DEFINITION) {
+        for (const op of def.operationTypes) {
+          const known = operations.get(op.operation);
+          if (!known) operations.set(op.operation, op);
+          else if (known.type.name.value !== op.type.name.value) {
+            const type = op.type.name.value;
+            warnings.push(`${names[source]}: ${op.operation} type ${type}; using ${known.type.name.value}`);
+          }
+        }
+        continue;
+      }
+      const name = defName(def);
+      if (!name || def.kind === Kind.SCHEMA_EXTENSION || /Extension$/.test(def.kind)) {
+        if (!extensions.some((e) => print(e) === print(def))) extensions.push(def);
+        continue;
+      }
+      if (isRootTypeName(name) && def.kind === Kind.OBJECT_TYPE_DEFINITION) {
+        if (!rootTypes.has(name)) {
+          rootTypes.set(name, def);
+          sequence.push(name);
+        }
+        for (const field of def.fields || []) add(rootGroups, `${name}.${field.name.value}`, { source, def: field });
+        continue;
+      }
+      addGroup(def.kind === Kind.DIRECTIVE_DEFINITION ? `@${name}` : name, { source, def });
+    }
+  });
+
+  const conflicts = [];
+  let deduplicated = 0;
+
+  // Keep one definition per group, resolving conflicts with the strategy
+  const resolveGroup = (key, entries, kind, compare) => {
+    const [first] = entries;
+    const others = entries.slice(1);
+    const differing = others.filter((e) => !compare(first.def, e.def));
+    deduplicated += others.length - differing.length;
+    if (!differing.length) return first.def;
+
+    const resolution = resolve[key] || strategy;
+    const conflict = {
+      name: key,
+      kind,
+      sources: [...new Set(entries.map((e) => names[e.source]))],
+      differences: [],
+      resolution,
+      notes: [],
+    };
+    for (const e of differing) {
+      const a = compare.wrap ? compare.wrap(first.def) : first.def;
+      const b = compare.wrap ? compare.wrap(e.def) : e.def;
+      let found =
+        a.kind === b.kind ? differences(a, b) : [{ level: "breaking", message: `${key} is a different kind` }];
+      // The diff only describes the conflict; it does not see every difference
+      if (!found.length) found = [{ level: "dangerous", message: `${key} is defined differently` }];
+      for (const d of found) {
+        conflict.differences.push({ ...d, message: `${names[first.source]} -> ${names[e.source]}: ${d.message}` });
+      }
+    }
+    conflicts.push(conflict);
+
+    if (resolution === "first") return first.def;
+    if (resolution === "last") return entries[entries.length - 1].def;
+    if (resolution === "union") {
+      if (entries.some((e) => e.def.kind !== first.def.kind)) {
+        conflict.notes.push("Definitions of different kinds cannot be combined");
+        conflict.resolution = "error";
+        return null;
+      }
+      const { def, notes } = unionDefinitions(
+        entries.map((e) => e.def),
+        (i) => names[entries[i].source]
+      );
+      conflict.notes.push(...notes);
+      return def;
+    }
+    return null;
+  };
+
+  const resolved = new Map(); // group key or root type name -> definition
+  for (const [key, entries] of groups) {
+    const def = resolveGroup(key, entries, KIND_LABELS[entries[0].def.kind], sameDefinition);
+    if (def) resolved.set(key, def);
+  }
+
+  // Root types: recombine the fields of all sources
+  const rootFields = [];
+  for (const [typeName, rootType] of rootTypes) {
+    const fields = [];
+    for (const [key, entries] of rootGroups) {
+      if (!key.startsWith(`${typeName}.`)) continue;
+      // Compare root fields as one-field root types, so the diff reports Query.field changes
+      const wrap = (field) => ({ ...rootType, description: undefined, fields: [field] });
+      const compare = (a, b) => sameDefinition(wrap(a), wrap(b));
+      compare.wrap = wrap;
+      const field = resolveGroup(key, entries, "root field", compare);
+      if (!field) continue;
+      fields.push(field);
+      // A gateway can route the field to any source that defines it like the kept version
+      const served = [...new Set(entries.filter((e) => compare(field, e.def)).map((e) => names[e.source]))];
+      rootFields.push({ type: typeName, field: field.name.value, sources: served });
+    }
+    resolved.set(typeName, { ...rootType, fields });
+  }
+
+  // Register versions served by each source, from their Query descriptions
+  const registers = [];
+  docs.forEach((doc, source) => {
+    const { registers: found } = discoverRegisters(doc);
+    const served = new Set(
+      rootFields.filter((f) => f.sources.includes(names[source])).map((f) => underscorePrefix(f.field))
+    );
+    for (const [register, info] of Object.entries(found)) {
+      if (!info.version || !info.prefixes.some((p) => served.has(p))) continue;
+      const known = registers.find((r) => r.register === register);
+      if (!known) registers.push({ register, version: info.version, source: names[source] });
+      else if (known.version !== info.version) {
+        warnings.push(
+          `Register ${register} is ${known.version} in ${known.source} and ${info.version} in ${names[source]}`
+        );
+      }
+    }
+  });
+  registers.sort((a, b) => a.register.localeCompare(b.register));
+  if (resolved.has("Query") && registers.length) {
+    const description = { kind: Kind.STRING, value: rootDescription(registers, sources.length), block: true };
+    resolved.set("Query", { ...resolved.get("Query"), description });
+  }
+  const definitions = sequence.filter((key) => resolved.has(key)).map((key) => resolved.get(key));
+
+  const stats = {
+    sources: sources.length,
+    types: definitions.filter((d) => d.kind !== Kind.DIRECTIVE_DEFINITION).length,
+    rootFields: rootFields.length,
+    deduplicated,
+    conflicts: conflicts.length,
+    unresolved: conflicts.filter((c) => c.resolution === "error").length,
+  };
+  if (stats.unresolved) {
+    return { document: null, sdl: null, conflicts, rootFields, registers, stats, warnings };
+  }
+
+  const schemaDef = operations.size
+    ? [{ kind: Kind.SCHEMA_DEFINITION, directives: [], operationTypes: [...operations.values()] }]
+    : [];
+  const document = {
+    kind: Kind.DOCUMENT,
+    definitions: [...schemaDef, ...definitions, ...extensions],
+  };
+  if (options.validate !== false) buildASTSchema(document, { assumeValidSDL: false });
+
+  return { document, sdl: print(document) + "\n", conflicts, rootFields, registers, stats, warnings };
+}
+
+module.exports = {
+  MERGE_STRATEGIES,
+  mergeSchemas,
+};
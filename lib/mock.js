@@ -0,0 +1,613 @@
+/**
+ * Offline mock of a (filtered) Datafordeler GraphQL API for front-end
+ * development. Every entity type gets a fixed pool of records whose values,
+ * ids and bitemporal versions are derived from a seed, so the same query
+ * always returns the same data — in every schema that contains the type.
+ *
+ * - Root fields and connection joins page with `first` / `after` and return
+ *   `pageInfo`, `edges` and `nodes`.
+ * - `virkningstid` picks the version of each record that is in effect at
+ *   that time; records that did not exist yet are left out, joins follow the
+ *   same point in time.
+ * - `where:` filters are evaluated with the Daf*OperationFilterInput
+ *   operators (eq, neq, in, gt, ngte, startsWith, ...) and `and` / `or`.
+ *   Spatial filters are not evaluated; they are reported in
+ *   `extensions.warnings` of the response instead.
+ * - Joins are consistent across registers: when a join has a matching
+ *   foreign-key field (BBR_Bygning.husnummer for husnummerBygning, or
+ *   BBR_Enhed.bygning for BBR_Bygning.liggerIBygning) the key holds the
+ *   id_lokalId of the joined record. Joins without one pick deterministic
+ *   records.
+ */
+
+const http = require("http");
+const {
+  buildASTSchema,
+  graphql,
+  printSchema,
+  getNamedType,
+  isNonNullType,
+  isListType,
+  isScalarType,
+  isEnumType,
+  isObjectType,
+  isAbstractType,
+} = require("graphql");
+
+const { toDocument } = require("./ast");
+
+const DEFAULT_MOCK_OPTIONS = {
+  seed: "datafordeler",
+  records: 25,
+  pageSize: 100,
+  maxPageSize: 1000,
+};
+
+const META = Symbol("mockRecord");
+
+const TEMPORAL_FIELDS = new Set(["virkningFra", "virkningTil", "registreringFra", "registreringTil"]);
+const KEY_TYPES = new Set(["String", "ID", "UUID"]);
+const DAY = 24 * 60 * 60 * 1000;
+const EPOCH = Date.UTC(1990, 0, 1);
+
+// ---------------------------------------------------------------------------
+// Deterministic values
+// ---------------------------------------------------------------------------
+
+// FNV-1a over the joined parts, mapped to [0, 1)
+function random(...parts) {
+  let h = 0x811c9dc5;
+  const text = parts.join("|");
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x45d9f3b);
+  h ^= h >>> 16;
+  return (h >>> 0) / 0x100000000;
+}
+
+function randomInt(min, max, ...parts) {
+  return min + Math.floor(random(...parts) * (max - min + 1));
+}
+
+function uuid(...parts) {
+  let hex = "";
+  for (let i = 0; i < 4; i++) {
+    hex += Math.floor(random(...parts, i) * 0x100000000)
+      .toString(16)
+      .padStart(8, "0");
+  }
+  const variant = "89ab"[parseInt(hex[16], 16) % 4];
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-4${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20)}`;
+}
+
+function isoDate(time) {
+  return new Date(time).toISOString();
+}
+
+// Geometry in EPSG:25832 (or 4326) around Denmark, shaped after the Spatial* type name
+function fakeWkt(typeName, parts) {
+  const wgs = typeName.includes("4326");
+  const x = wgs ? 8 + random(...parts, "x") * 4.5 : 440000 + Math.floor(random(...parts, "x") * 450000);
+  const y = wgs ? 54.8 + random(...parts, "y") * 2.7 : 6050000 + Math.floor(random(...parts, "y") * 350000);
+  const d = wgs ? 0.001 : 50;
+  const z = /Z(Epsg|Type)/.test(typeName);
+  const pt = (px, py) => (z ? `${px} ${py} 0` : `${px} ${py}`);
+  const ring = `(${pt(x, y)}, ${pt(x + d, y)}, ${pt(x + d, y + d)}, ${pt(x, y + d)}, ${pt(x, y)})`;
+  const line = `(${pt(x, y)}, ${pt(x + d, y + d)})`;
+  const tag = (name) => (z ? `${name} Z` : name);
+  if (typeName.includes("MultiPolygon")) return `${tag("MULTIPOLYGON")} (${ring})`;
+  if (typeName.includes("Polygon")) return `${tag("POLYGON")} ${ring}`;
+  if (typeName.includes("MultiLineString")) return `${tag("MULTILINESTRING")} (${line})`;
+  if (typeName.includes("LineString")) return `${tag("LINESTRING")} ${line}`;
+  if (typeName.includes("MultiPoint")) return `${tag("MULTIPOINT")} ((${pt(x, y)}))`;
+  return `${tag("POINT")} (${pt(x, y)})`;
+}
+
+function fakeScalar(name, field, parts) {
+  if (/^(Int|Long|Short)$/.test(name) && /aar$/i.test(field)) return randomInt(1850, 2023, ...parts);
+  switch (name) {
+    case "Boolean":
+      return random(...parts) < 0.5;
+    case "Int":
+      return randomInt(0, 999, ...parts);
+    case "Short":
+      return randomInt(0, 99, ...parts);
+    case "Long":
+      return randomInt(1, 99999, ...parts);
+    case "Float":
+      return Math.round(random(...parts) * 100000) / 100;
+    case "ID":
+    case "UUID":
+      return uuid(...parts);
+    case "DafDateTime":
+      return isoDate(EPOCH + randomInt(0, 34 * 365, ...parts) * DAY);
+    case "LocalDate":
+      return isoDate(EPOCH + randomInt(0, 34 * 365, ...parts) * DAY).slice(0, 10);
+    case "TimeSpan": {
+      const minutes = randomInt(0, 24 * 60 - 1, ...parts);
+      return `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}:00`;
+    }
+    default:
+      // Codes and numbers look like the real ones; other strings repeat so eq filters hit several records
+      if (/(kode|nummer|nr)$/i.test(field)) return String(randomInt(1, 999, ...parts)).padStart(4, "0");
+      return `${field} ${randomInt(1, 20, ...parts)}`;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Filters and pagination
+// ---------------------------------------------------------------------------
+
+function comparer(operationType) {
+  if (/DateTime/.test(operationType)) return (a, b) => Date.parse(a) - Date.parse(b);
+  if (/(Int|Long|Short|Float|Decimal)/.test(operationType)) return (a, b) => Number(a) - Number(b);
+  return (a, b) => (String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0);
+}
+
+function matchesOperations(actual, operations, operationType, warnings) {
+  const compare = comparer(operationType);
+  const missing = (v) => v === null || v === undefined;
+  const equals = (a, b) => (missing(a) || missing(b) ? missing(a) && missing(b) : compare(a, b) === 0);
+  const ordered = (a, b, test) => !missing(a) && !missing(b) && test(compare(a, b));
+  const text = (test) => typeof actual === "string" && test(actual);
+
+  return Object.keys(operations).every((op) => {
+    const expected = operations[op];
+    switch (op) {
+      case "eq":
+        return equals(actual, expected);
+      case "neq":
+        return !equals(actual, expected);
+      case "in":
+        return (expected || []).some((e) => equals(actual, e));
+      case "nin":
+        return !(expected || []).some((e) => equals(actual, e));
+      case "gt":
+      case "ngt":
+        return ordered(actual, expected, (c) => c > 0) === (op === "gt");
+      case "gte":
+      case "ngte":
+        return ordered(actual, expected, (c) => c >= 0) === (op === "gte");
+      case "lt":
+      case "nlt":
+        return ordered(actual, expected, (c) => c < 0) === (op === "lt");
+      case "lte":
+      case "nlte":
+        return ordered(actual, expected, (c) => c <= 0) === (op === "lte");
+      case "startsWith":
+      case "nstartsWith":
+        return text((s) => s.startsWith(expected)) === (op === "startsWith");
+      case "endsWith":
+      case "nendsWith":
+        return text((s) => s.endsWith(expected)) === (op === "endsWith");
+      case "contains":
+      case "ncontains":
+        return text((s) => s.includes(expected)) === (op === "contains");
+      default:
+        warnings.add(`Filter operator "${op}" (${operationType}) is not evaluated by the mock server`);
+        return true;
+    }
+  });
+}
+
+function matchesFilter(value, filter, inputType, warnings) {
+  if (!filter) return true;
+  const fields = inputType.getFields();
+  return Object.keys(filter).every((key) => {
+    const operand = filter[key];
+    if (operand === null || operand === undefined) return true;
+    if (key === "and") return operand.every((f) => matchesFilter(value, f, inputType, warnings));
+    if (key === "or") return operand.some((f) => matchesFilter(value, f, inputType, warnings));
+
+    const fieldType = getNamedType(fields[key].type);
+    if (fieldType.name.startsWith("Spatial")) {
+      warnings.add(`Spatial filter on "${key}" is not evaluated by the mock server`);
+      return true;
+    }
+    const actual = value[key];
+    if (fieldType.name.endsWith("OperationFilterInput")) {
+      return matchesOperations(actual, operand, fieldType.name, warnings);
+    }
+    if (actual && typeof actual === "object" && !Array.isArray(actual)) {
+      return matchesFilter(actual, operand, fieldType, warnings);
+    }
+    warnings.add(`Filter on "${key}" (${fieldType.name}) is not evaluated by the mock server`);
+    return true;
+  });
+}
+
+function encodeCursor(index) {
+  return Buffer.from(String(index)).toString("base64");
+}
+
+function decodeCursor(cursor) {
+  const index = Number(Buffer.from(String(cursor), "base64").toString("utf8"));
+  if (!Number.isInteger(index) || index < 0) throw new Error(`Invalid cursor: ${cursor}`);
+  return index;
+}
+
+function paginate(items, args, options) {
+  const first = args.first === undefined || args.first === null ? options.pageSize : args.first;
+  if (first < 0) throw new Error(`"first" must not be negative, got ${first}`);
+  if (first > options.maxPageSize) throw new Error(`"first" must be at most ${options.maxPageSize}, got ${first}`);
+  const offset = args.after === undefined || args.after === null ? 0 : decodeCursor(args.after) + 1;
+
+  const page = items.slice(offset, offset + first);
+  const edges = page.map((node, i) => ({ cursor: encodeCursor(offset + i), node }));
+  return {
+    pageInfo: {
+      hasNextPage: offset + first < items.length,
+      hasPreviousPage: offset > 0,
+      startCursor: edges.length ? edges[0].cursor : null,
+      endCursor: edges.length ? edges[edges.length - 1].cursor : null,
+    },
+    edges,
+    nodes: page,
+    totalCount: items.length,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Schema model: entities, connections and join keys
+// ---------------------------------------------------------------------------
+
+// Connection types (pageInfo/nodes) -> node type name
+function connectionNodeType(type) {
+  if (!isObjectType(type)) return null;
+  const fields = type.getFields();
+  return fields.pageInfo && fields.nodes ? getNamedType(fields.nodes.type).name : null;
+}
+
+function hasEntityJoin(field) {
+  return !!(field.astNode && (field.astNode.directives || []).some((d) => d.name.value === "entityJoin"));
+}
+
+// Foreign-key fields of `holder` named like a prefix or suffix of the join field, longest first
+function keyCandidates(holder, joinName) {
+  const name = joinName.toLowerCase();
+  return Object.values(holder.getFields())
+    .filter((f) => {
+      const fieldName = f.name.toLowerCase();
+      if (f.name === "id_lokalId" || TEMPORAL_FIELDS.has(f.name) || f.name.startsWith("datafordeler")) return false;
+      if (isListType(isNonNullType(f.type) ? f.type.ofType : f.type)) return false;
+      if (!KEY_TYPES.has(getNamedType(f.type).name) || fieldName === name) return false;
+      return name.startsWith(fieldName) || name.endsWith(fieldName);
+    })
+    .map((f) => f.name)
+    .sort((a, b) => b.length - a.length);
+}
+
+function buildMockModel(schema) {
+  const types = Object.values(schema.getTypeMap()).filter((t) => !t.name.startsWith("__"));
+  const connections = new Map();
+  for (const type of types) {
+    const node = connectionNodeType(type);
+    if (node) connections.set(type.name, node);
+  }
+
+  // Entities: connection nodes and the targets of @entityJoin fields
+  const entities = new Set(connections.values());
+  for (const type of types.filter(isObjectType)) {
+    for (const field of Object.values(type.getFields())) {
+      if (hasEntityJoin(field)) entities.add(getNamedType(field.type).name);
+    }
+  }
+  for (const name of [...entities]) {
+    if (!isObjectType(schema.getType(name)) || connections.has(name)) entities.delete(name);
+  }
+
+  // Joins: fields of entities that return an entity or a connection of one
+  const joins = new Map();
+  const keys = new Map(); // "Holder.field" -> target entity
+  const claim = (holder, candidates, target) => {
+    for (const field of candidates) {
+      const id = `${holder}.${field}`;
+      if (!keys.has(id)) keys.set(id, target);
+      if (keys.get(id) === target) return field;
+    }
+    return null;
+  };
+
+  for (const owner of [...entities].sort()) {
+    const ownerType = schema.getType(owner);
+    for (const field of Object.values(ownerType.getFields())) {
+      const named = getNamedType(field.type).name;
+      const list = connections.has(named);
+      const target = list ? connections.get(named) : named;
+      if (!entities.has(target)) continue;
+
+      const targetType = schema.getType(target);
+      const forward = () => {
+        const key = claim(owner, keyCandidates(ownerType, field.name), target);
+        return key && { mode: "forward", key };
+      };
+      const reverse = () => {
+        const key = claim(target, keyCandidates(targetType, field.name), owner);
+        return key && { mode: "reverse", key };
+      };
+      const how = (list ? reverse() || forward() : forward() || reverse()) || { mode: "pick", key: null };
+      joins.set(`${owner}.${field.name}`, { owner, field: field.name, target, list, ...how });
+    }
+  }
+
+  const keysByHolder = new Map();
+  for (const [id, target] of keys) {
+    const [holder, field] = id.split(".");
+    if (!keysByHolder.has(holder)) keysByHolder.set(holder, []);
+    keysByHolder.get(holder).push({ field, target });
+  }
+
+  return { connections, entities, joins, keys, keysByHolder };
+}
+
+// ---------------------------------------------------------------------------
+// Mock API
+// ---------------------------------------------------------------------------
+
+/**
+ * Build an executable mock of a schema produced by filter-schema.js (SDL text
+ * or DocumentNode). Returns { schema, entities, roots, joins, execute, sdl },
+ * where execute({ query, variables, operationName }) resolves to a GraphQL
+ * response. Options: seed, records (per entity type), pageSize (when `first`
+ * is omitted) and maxPageSize.
+ */
+function createMockApi(sdlOrDocument, options = {}) {
+  const opts = { ...DEFAULT_MOCK_OPTIONS, ...options };
+  if (!Number.isInteger(opts.records) || opts.records < 1) throw new Error("records must be a positive integer");
+  const schema = buildASTSchema(toDocument(sdlOrDocument));
+  const queryType = schema.getQueryType();
+  if (!queryType) throw new Error("Schema has no Query type");
+
+  const model = buildMockModel(schema);
+  const seed = String(opts.seed);
+  const records = new Map();
+  const versions = new Map();
+
+  // Identity, foreign keys and version timeline of record `index` of `type`
+  function record(type, index) {
+    const id = `${type}#${index}`;
+    if (records.has(id)) return records.get(id);
+    const keys = {};
+    for (const key of model.keysByHolder.get(type) || []) {
+      keys[key.field] = randomInt(0, opts.records - 1, seed, type, index, key.field);
+    }
+    const timeline = [];
+    let from = EPOCH + randomInt(0, 20 * 365, seed, type, index, "from") * DAY;
+    const count = randomInt(1, 3, seed, type, index, "versions");
+    for (let v = 0; v < count; v++) {
+      const to = v < count - 1 ? from + randomInt(365, 6 * 365, seed, type, index, "to", v) * DAY : null;
+      timeline.push({ from, to });
+      from = to;
+    }
+    const rec = { type, index, id: uuid(seed, type, index), keys, timeline };
+    records.set(id, rec);
+    return rec;
+  }
+
+  // Nullable fields are null one time in ten
+  function fakeValue(type, field, parts, depth, required = false) {
+    if (isNonNullType(type)) return fakeValue(type.ofType, field, parts, depth, true);
+    if (!required && (depth > 3 || random(...parts, "null") < 0.1)) return null;
+    if (isListType(type)) {
+      const length = randomInt(1, 3, ...parts, "length");
+      return Array.from({ length }, (_, i) => fakeValue(type.ofType, field, [...parts, i], depth));
+    }
+    if (isScalarType(type)) return fakeScalar(type.name, field, parts);
+    if (isEnumType(type)) {
+      const values = type.getValues();
+      return values[randomInt(0, values.length - 1, ...parts)].value;
+    }
+    if (isAbstractType(type)) {
+      const possible = schema.getPossibleTypes(type);
+      if (!possible.length) return null;
+      return fakeValue(possible[randomInt(0, possible.length - 1, ...parts, "type")], field, parts, depth, true);
+    }
+    if (isObjectType(type) && !model.entities.has(type.name) && !model.connections.has(type.name)) {
+      return fakeObject(type, parts, depth + 1);
+    }
+    return null;
+  }
+
+  // Value objects (Spatial*, ...): every field, with geometry that matches the type name
+  function fakeObject(type, parts, depth) {
+    const value = { __typename: type.name };
+    for (const field of Object.values(type.getFields())) {
+      const named = getNamedType(field.type);
+      if (field.name === "wkt") value.wkt = fakeWkt(type.name, parts);
+      else if (field.name === "crs") value.crs = Number((type.name.match(/Epsg(\d+)/) || [0, 25832])[1]);
+      else if (field.name === "dimension" && isEnumType(named)) {
+        value.dimension = /Z(Epsg|Type)/.test(type.name) ? "XYZ" : "XY";
+      }
+      else if (field.name === "type" && isEnumType(named)) {
+        const names = named.getValues().map((v) => v.value);
+        value.type = names.filter((n) => type.name.includes(n)).sort((a, b) => b.length - a.length)[0] || names[0];
+      } else value[field.name] = fakeValue(field.type, field.name, [...parts, field.name], depth);
+    }
+    return value;
+  }
+
+  // Version `v` of a record: every non-join field, plus the record it belongs to
+  function version(type, index, v, at) {
+    const id = `${type}#${index}#${v}`;
+    if (!versions.has(id)) {
+      const rec = record(type, index);
+      const { from, to } = rec.timeline[v];
+      const value = {};
+      for (const field of Object.values(schema.getType(type).getFields())) {
+        const name = field.name;
+        if (model.joins.has(`${type}.${name}`)) continue;
+        if (name === "id_lokalId") value[name] = rec.id;
+        else if (name in rec.keys) value[name] = record(model.keys.get(`${type}.${name}`), rec.keys[name]).id;
+        else if (name === "virkningFra" || name === "registreringFra") value[name] = isoDate(from);
+        else if (name === "virkningTil") value[name] = to === null ? null : isoDate(to);
+        else if (name === "registreringTil") value[name] = null;
+        else if (name === "datafordelerRowVersion") value[name] = v + 1;
+        else value[name] = fakeValue(field.type, name, [seed, type, index, v, name], 0);
+      }
+      versions.set(id, value);
+    }
+    // Joins are resolved at the same virkningstid as the record that was asked for
+    return { ...versions.get(id), [META]: { type, index, at } };
+  }
+
+  function versionAt(type, index, at) {
+    const v = record(type, index).timeline.findIndex((t) => t.from <= at && (t.to === null || at < t.to));
+    return v === -1 ? null : version(type, index, v, at);
+  }
+
+  function entitiesAt(type, indices, at) {
+    return indices.map((i) => versionAt(type, i, at)).filter(Boolean);
+  }
+
+  function allIndices() {
+    return Array.from({ length: opts.records }, (_, i) => i);
+  }
+
+  function whereType(info) {
+    const arg = info.parentType.getFields()[info.fieldName].args.find((a) => a.name === "where");
+    return arg ? getNamedType(arg.type) : null;
+  }
+
+  function select(items, args, info, context) {
+    const inputType = whereType(info);
+    if (!args.where || !inputType) return items;
+    return items.filter((item) => matchesFilter(item, args.where, inputType, context.warnings));
+  }
+
+  function resolveRoot(args, info, context) {
+    const named = getNamedType(info.returnType).name;
+    const target = model.connections.get(named) || named;
+    if (!model.entities.has(target)) {
+      return fakeValue(info.returnType, info.fieldName, [seed, "Query", info.fieldName], 0);
+    }
+    const at = args.virkningstid == null ? Date.now() : Date.parse(args.virkningstid);
+    if (Number.isNaN(at)) throw new Error(`Invalid virkningstid: ${args.virkningstid}`);
+    const items = select(entitiesAt(target, allIndices(), at), args, info, context);
+    return model.connections.has(named) ? paginate(items, args, opts) : items[0] || null;
+  }
+
+  function resolveJoin(meta, join, args, info, context) {
+    let indices;
+    if (join.mode === "forward") {
+      indices = [record(meta.type, meta.index).keys[join.key]];
+    } else if (join.mode === "reverse") {
+      indices = allIndices().filter((i) => record(join.target, i).keys[join.key] === meta.index);
+    } else {
+      const parts = [seed, meta.type, meta.index, join.field];
+      const count = join.list ? randomInt(0, 3, ...parts, "count") : 1;
+      indices = [...new Set(Array.from({ length: count }, (_, i) => randomInt(0, opts.records - 1, ...parts, i)))];
+    }
+    const items = select(entitiesAt(join.target, indices.sort((a, b) => a - b), meta.at), args, info, context);
+    return join.list ? paginate(items, args, opts) : items[0] || null;
+  }
+
+  function fieldResolver(source, args, context, info) {
+    if (info.parentType === queryType) return resolveRoot(args, info, context);
+    const meta = source && source[META];
+    const join = meta && model.joins.get(`${info.parentType.name}.${info.fieldName}`);
+    if (join) return resolveJoin(meta, join, args, info, context);
+    return source ? source[info.fieldName] : null;
+  }
+
+  async function execute({ query, variables, operationName } = {}) {
+    if (!query) return { errors: [{ message: "Missing query" }] };
+    const context = { warnings: new Set() };
+    const result = await graphql({
+      schema,
+      source: query,
+      variableValues: variables || undefined,
+      operationName: operationName || undefined,
+      contextValue: context,
+      fieldResolver,
+      typeResolver: (value) => value.__typename,
+    });
+    if (context.warnings.size) result.extensions = { ...result.extensions, warnings: [...context.warnings] };
+    return result;
+  }
+
+  const entityOf = (type) => model.connections.get(getNamedType(type).name) || getNamedType(type).name;
+  const roots = Object.values(queryType.getFields())
+    .filter((f) => model.entities.has(entityOf(f.type)))
+    .map((f) => f.name);
+
+  return {
+    schema,
+    entities: [...model.entities].sort(),
+    roots,
+    joins: [...model.joins.values()],
+    execute,
+    sdl: () => printSchema(schema),
+  };
+}
+
+/**
+ * HTTP server for a mock API: GraphQL over POST (JSON body) and GET (query
+ * string) on `path`, the SDL on /schema.graphql, and permissive CORS so a dev
+ * server on another port can call it. `onRequest` receives
+ * { method, path, operationName, status, ms } for logging. The caller listens.
+ */
+function createMockServer(api, options = {}) {
+  const endpoint = options.path || "/graphql";
+  const onRequest = options.onRequest || (() => {});
+
+  return http.createServer((req, res) => {
+    const started = Date.now();
+    const url = new URL(req.url, "http://localhost");
+    const send = (status, body, type = "application/json", operationName) => {
+      res.writeHead(status, {
+        "Content-Type": `${type}; charset=utf-8`,
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type, Authorization",
+      });
+      res.end(typeof body === "string" ? body : JSON.stringify(body));
+      const ms = Date.now() - started;
+      onRequest({ method: req.method, path: url.pathname, operationName: operationName || null, status, ms });
+    };
+    const run = (params) => {
+      api.execute(params).then(
+        (result) => send(result.data === undefined ? 400 : 200, result, "application/json", params.operationName),
+        (err) => send(500, { errors: [{ message: err.message }] })
+      );
+    };
+
+    if (req.method === "OPTIONS") return send(204, "");
+    if (req.method === "GET" && url.pathname === "/schema.graphql") return send(200, api.sdl(), "text/plain");
+    if (url.pathname !== endpoint) {
+      return send(404, { errors: [{ message: `Not found; the endpoint is ${endpoint}` }] });
+    }
+
+    if (req.method === "GET") {
+      let variables;
+      try {
+        variables = url.searchParams.get("variables") ? JSON.parse(url.searchParams.get("variables")) : undefined;
+      } catch (err) {
+        return send(400, { errors: [{ message: `Invalid variables: ${err.message}` }] });
+      }
+      const operationName = url.searchParams.get("operationName");
+      return run({ query: url.searchParams.get("query"), variables, operationName });
+    }
+    if (req.method !== "POST") return send(405, { errors: [{ message: `Method ${req.method} not allowed` }] });
+
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      let body;
+      try {
+        body = JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}");
+      } catch (err) {
+        return send(400, { errors: [{ message: `Invalid JSON body: ${err.message}` }] });
+      }
+      run(body);
+    });
+  });
+}
+
+module.exports = {
+  DEFAULT_MOCK_OPTIONS,
+  createMockApi,
+  createMockServer,
+};
@@ -0,0 +1,409 @@
+/**
+ * Operation-driven pruning: reduce a schema to exactly what a set of GraphQL
+ * operations (queries, fragments) use, so that every operation still validates.
+ *
+ * Usage is collected with TypeInfo while visiting each operation: fields,
+ * arguments, input fields and enum values. Input objects / enums that are
+ * passed through variables are kept whole, since their values are not known.
+ */
+
+const {
+  parse,
+  Source,
+  print,
+  visit,
+  validate,
+  Kind,
+  TypeInfo,
+  visitWithTypeInfo,
+  buildASTSchema,
+  getNamedType: getNamedSchemaType,
+  isInputObjectType,
+  isEnumType,
+  isInterfaceType,
+  isObjectType,
+} = require("graphql");
+
+const { BUILTIN_SCALARS, toDocument, getNamedType, defName, indexDefinitions } = require("./ast");
+
+/**
+ * Parse operation sources ({ name, source } or { name, document }) and make
+ * every fragment available to every operation, so files may share fragments.
+ * Fragment-only files are only returned with `fragmentFiles`; otherwise their
+ * fragments are validated as part of the operations that spread them.
+ *
+ * A fragment name defined in two files throws, unless `onDuplicateFragment(
+ * fragment, firstFile, file)` is given: then it is called and other files
+ * spreading the fragment get the first definition.
+ */
+function prepareOperations(operations, options = {}) {
+  const parsed = operations.map((op) => ({
+    name: op.name,
+    // Keep locations (with the file name as source) for error reporting
+    document: op.document || parse(new Source(op.source, op.name)),
+  }));
+
+  const fragments = new Map();
+  const fragmentFiles = new Map(); // fragment name -> file that defines it
+  for (const op of parsed) {
+    for (const d of op.document.definitions) {
+      if (d.kind !== Kind.FRAGMENT_DEFINITION) continue;
+      const name = d.name.value;
+      const other = fragmentFiles.get(name);
+      // Duplicates within one file are left to validation (UniqueFragmentNames)
+      if (other !== undefined && other !== op.name) {
+        if (!options.onDuplicateFragment) {
+          throw new Error(`Fragment ${name} is defined in both ${other} and ${op.name}`);
+        }
+        options.onDuplicateFragment(d, other, op.name);
+        continue;
+      }
+      fragments.set(name, d);
+      fragmentFiles.set(name, op.name);
+    }
+  }
+
+  // Append fragments defined in other files that this document spreads (transitively)
+  const withOperations = parsed.filter(
+    (op) => options.fragmentFiles || op.document.definitions.some((d) => d.kind === Kind.OPERATION_DEFINITION)
+  );
+  return withOperations.map((op) => {
+    const own = new Set(
+      op.document.definitions.filter((d) => d.kind === Kind.FRAGMENT_DEFINITION).map((d) => d.name.value)
+    );
+    const extra = [];
+    const queue = [op.document];
+    while (queue.length) {
+      visit(queue.pop(), {
+        FragmentSpread(node) {
+          const name = node.name.value;
+          if (own.has(name) || !fragments.has(name)) return;
+          own.add(name);
+          extra.push(fragments.get(name));
+          queue.push(fragments.get(name));
+        },
+      });
+    }
+    return { ...op, document: { ...op.document, definitions: [...op.document.definitions, ...extra] } };
+  });
+}
+
+function createUsage() {
+  return {
+    types: new Set(),
+    fields: new Map(), // type -> Set(field)
+    args: new Map(), // "Type.field" -> Set(arg)
+    inputFields: new Map(), // input type -> Set(field)
+    enumValues: new Map(), // enum -> Set(value)
+    wholeTypes: new Set(), // input objects / enums kept with all members
+    directives: new Set(),
+  };
+}
+
+function addTo(map, key, value) {
+  if (!map.has(key)) map.set(key, new Set());
+  map.get(key).add(value);
+}
+
+/**
+ * Record everything one (valid) operation document uses.
+ */
+function collectUsage(schema, document, usage) {
+  const typeInfo = new TypeInfo(schema);
+  const useType = (type) => {
+    const named = type && getNamedSchemaType(type);
+    if (named) usage.types.add(named.name);
+    return named;
+  };
+
+  visit(
+    document,
+    visitWithTypeInfo(typeInfo, {
+      Field(node) {
+        const parent = typeInfo.getParentType();
+        const fieldDef = typeInfo.getFieldDef();
+        if (!parent || !fieldDef) return; // __typename and friends
+        usage.types.add(parent.name);
+        addTo(usage.fields, parent.name, fieldDef.name);
+        const named = useType(fieldDef.type);
+        // Output enums can return any value
+        if (isEnumType(named)) usage.wholeTypes.add(named.name);
+      },
+      Argument(node) {
+        const arg = typeInfo.getArgument();
+        const parent = typeInfo.getParentType();
+        const fieldDef = typeInfo.getFieldDef();
+        const directive = typeInfo.getDirective();
+        if (!arg) return;
+        if (!directive && parent && fieldDef) addTo(usage.args, `${parent.name}.${fieldDef.name}`, arg.name);
+        const named = useType(arg.type);
+        if (node.value.kind === Kind.VARIABLE && named) usage.wholeTypes.add(named.name);
+      },
+      ObjectField(node) {
+        const parent = getNamedSchemaType(typeInfo.getParentInputType());
+        if (!parent || !isInputObjectType(parent)) return;
+        addTo(usage.inputFields, parent.name, node.name.value);
+        const named = useType(typeInfo.getInputType());
+        if (node.value.kind === Kind.VARIABLE && named) usage.wholeTypes.add(named.name);
+      },
+      EnumValue(node) {
+        const named = getNamedSchemaType(typeInfo.getInputType());
+        if (named && isEnumType(named)) addTo(usage.enumValues, named.name, node.value);
+      },
+      VariableDefinition(node) {
+        const name = getNamedType(node.type);
+        usage.types.add(name);
+        usage.wholeTypes.add(name);
+      },
+      InlineFragment(node) {
+        if (node.typeCondition) usage.types.add(node.typeCondition.name.value);
+      },
+      FragmentDefinition(node) {
+        usage.types.add(node.typeCondition.name.value);
+      },
+      Directive(node) {
+        usage.directives.add(node.name.value);
+      },
+      OperationDefinition(node) {
+        const root = schema.getRootType(node.operation);
+        if (root) usage.types.add(root.name);
+      },
+    })
+  );
+}
+
+function isRequiredInput(node) {
+  return node.type.kind === Kind.NON_NULL_TYPE && !node.defaultValue;
+}
+
+/**
+ * Build the minimal SDL document from the original definitions and the usage.
+ */
+function buildPrunedDocument(doc, schema, usage, warnings) {
+  const { defsByName, directiveDefs } = indexDefinitions(doc);
+  const kept = new Set(usage.types);
+  const whole = new Set(usage.wholeTypes);
+
+  const fieldsOf = (name) => usage.fields.get(name) || new Set();
+  const definitionOf = (name) => (defsByName.get(name) || []).find((d) => d.kind !== Kind.DIRECTIVE_DEFINITION);
+
+  // Objects implementing a kept interface must keep the interface's fields and arguments
+  for (const name of kept) {
+    const type = schema.getType(name);
+    if (!type || !(isObjectType(type) || isInterfaceType(type))) continue;
+    for (const iface of type.getInterfaces()) {
+      if (!kept.has(iface.name)) continue;
+      for (const f of fieldsOf(iface.name)) {
+        addTo(usage.fields, name, f);
+        for (const a of usage.args.get(`${iface.name}.${f}`) || []) addTo(usage.args, `${name}.${f}`, a);
+      }
+    }
+  }
+
+  // Expand whole input objects / enums and the types of required inputs
+  const queue = Array.from(kept);
+  const keep = (name, wholeType) => {
+    if (!name || BUILTIN_SCALARS.has(name)) return;
+    if (wholeType && !whole.has(name)) {
+      whole.add(name);
+      queue.push(name);
+    }
+    if (!kept.has(name)) {
+      kept.add(name);
+      queue.push(name);
+    }
+  };
+
+  while (queue.length) {
+    const name = queue.pop();
+    const def = definitionOf(name);
+    if (!def) continue;
+
+    if (def.kind === Kind.INPUT_OBJECT_TYPE_DEFINITION) {
+      for (const f of def.fields || []) {
+        const used = whole.has(name) || (usage.inputFields.get(name) || new Set()).has(f.name.value);
+        if (used || isRequiredInput(f)) keep(getNamedType(f.type), whole.has(name));
+      }
+    }
+
+    if (def.kind === Kind.OBJECT_TYPE_DEFINITION || def.kind === Kind.INTERFACE_TYPE_DEFINITION) {
+      if (!fieldsOf(name).size && (def.fields || []).length) {
+        // Only reached through a fragment type condition / __typename: keep one
+        // leaf field so the type stays valid
+        const leaf =
+          def.fields.find((f) => BUILTIN_SCALARS.has(getNamedType(f.type))) ||
+          def.fields.find((f) => !(f.arguments || []).length) ||
+          def.fields[0];
+        addTo(usage.fields, name, leaf.name.value);
+        warnings.push(`${name} has no selected fields; kept ${name}.${leaf.name.value} so the type is not empty`);
+        keep(getNamedType(leaf.type), true);
+      }
+      for (const f of def.fields || []) {
+        if (!fieldsOf(name).has(f.name.value)) continue;
+        for (const a of f.arguments || []) {
+          if (isRequiredInput(a)) keep(getNamedType(a.type), false);
+        }
+      }
+    }
+
+    if (def.kind === Kind.UNION_TYPE_DEFINITION && (def.types || []).length) {
+      // Only reached through __typename: keep one member so the union stays valid
+      if (!def.types.some((t) => kept.has(t.name.value))) {
+        const member = def.types[0].name.value;
+        warnings.push(`${name} has no selected members; kept ${member} so the union is not empty`);
+        keep(member, false);
+      }
+    }
+  }
+
+  // Directive definitions: those used in the operations or applied to kept elements
+  const appliedDirectives = new Set(usage.directives);
+  const prunedByDef = new Map();
+  const emit = (d) => {
+    const pruned = pruneDefinition(d, usage, whole, kept);
+    if (!pruned) return;
+    visit(pruned, {
+      Directive(node) {
+        appliedDirectives.add(node.name.value);
+      },
+    });
+    prunedByDef.set(d, pruned);
+  };
+  for (const d of doc.definitions) {
+    const name = defName(d);
+    if (!name || d.kind === Kind.DIRECTIVE_DEFINITION || d.kind === Kind.SCHEMA_DEFINITION) continue;
+    if (kept.has(name)) emit(d);
+  }
+
+  // Their argument types are kept whole (e.g. JoinKindEnumType for @entityJoin)
+  const outDirectives = new Set(directiveDefs.filter((dd) => appliedDirectives.has(dd.name.value)));
+  for (const dd of outDirectives) {
+    for (const arg of dd.arguments || []) {
+      const t = getNamedType(arg.type);
+      if (!t || BUILTIN_SCALARS.has(t) || kept.has(t)) continue;
+      kept.add(t);
+      whole.add(t);
+      const def = definitionOf(t);
+      if (def) emit(def);
+    }
+  }
+
+  // Emit in original order
+  const outDefs = [];
+  for (const d of doc.definitions) {
+    if (d.kind === Kind.SCHEMA_DEFINITION) {
+      const ops = (d.operationTypes || []).filter((op) => kept.has(op.type.name.value));
+      if (ops.length) outDefs.push({ ...d, operationTypes: ops });
+    } else if (d.kind === Kind.DIRECTIVE_DEFINITION) {
+      if (outDirectives.has(d)) outDefs.push(d);
+    } else if (prunedByDef.has(d)) {
+      outDefs.push(prunedByDef.get(d));
+    }
+  }
+
+  return { ...doc, definitions: outDefs };
+}
+
+function pruneDefinition(def, usage, whole, kept) {
+  const name = def.name.value;
+  switch (def.kind) {
+    case Kind.OBJECT_TYPE_DEFINITION:
+    case Kind.INTERFACE_TYPE_DEFINITION: {
+      const used = usage.fields.get(name) || new Set();
+      const fields = (def.fields || [])
+        .filter((f) => used.has(f.name.value))
+        .map((f) => {
+          const usedArgs = usage.args.get(`${name}.${f.name.value}`) || new Set();
+          const args = (f.arguments || []).filter((a) => usedArgs.has(a.name.value) || isRequiredInput(a));
+          return { ...f, arguments: args };
+        });
+      const interfaces = (def.interfaces || []).filter((i) => kept.has(i.name.value));
+      return { ...def, fields, interfaces };
+    }
+    case Kind.INPUT_OBJECT_TYPE_DEFINITION: {
+      if (whole.has(name)) return def;
+      const used = usage.inputFields.get(name) || new Set();
+      return { ...def, fields: (def.fields || []).filter((f) => used.has(f.name.value) || isRequiredInput(f)) };
+    }
+    case Kind.ENUM_TYPE_DEFINITION: {
+      if (whole.has(name)) return def;
+      const used = usage.enumValues.get(name) || new Set();
+      return { ...def, values: (def.values || []).filter((v) => used.has(v.name.value)) };
+    }
+    case Kind.UNION_TYPE_DEFINITION: {
+      return { ...def, types: (def.types || []).filter((t) => kept.has(t.name.value)) };
+    }
+    default:
+      return def;
+  }
+}
+
+function countUsage(usage) {
+  const size = (map) => Array.from(map.values()).reduce((n, s) => n + s.size, 0);
+  return {
+    fields: size(usage.fields),
+    arguments: size(usage.args),
+    inputFields: size(usage.inputFields),
+    enumValues: size(usage.enumValues),
+  };
+}
+
+/**
+ * Prune a schema to what the given operations use.
+ *
+ * operations: [{ name, source }] (or { name, document }). Every operation is
+ * validated against the full schema first; invalid operations are returned in
+ * `invalid` and do not contribute to the output. The pruned schema is then
+ * built and every valid operation is validated against it again.
+ *
+ * Returns { document, sdl, operations, invalid, stats, warnings }.
+ */
+function pruneSchemaToOperations(sdlOrDocument, operations) {
+  const doc = toDocument(sdlOrDocument);
+  const schema = buildASTSchema(doc, { assumeValidSDL: true });
+  const warnings = [];
+
+  const prepared = prepareOperations(operations);
+  const usage = createUsage();
+  const valid = [];
+  const invalid = [];
+
+  for (const op of prepared) {
+    const errors = validate(schema, op.document);
+    if (errors.length) {
+      invalid.push({ name: op.name, errors: errors.map((e) => e.message) });
+      continue;
+    }
+    collectUsage(schema, op.document, usage);
+    valid.push(op);
+  }
+
+  if (!valid.length) {
+    return { document: null, sdl: null, operations: [], invalid, stats: null, warnings };
+  }
+
+  const document = buildPrunedDocument(doc, schema, usage, warnings);
+  const prunedSchema = buildASTSchema(document, { assumeValidSDL: false });
+  for (const op of valid) {
+    const errors = validate(prunedSchema, op.document);
+    if (errors.length) {
+      throw new Error(`Operation ${op.name} does not validate against the pruned schema: ${errors[0].message}`);
+    }
+  }
+
+  const typeCount = document.definitions.filter((d) => d.kind !== Kind.DIRECTIVE_DEFINITION && defName(d)).length;
+  return {
+    document,
+    sdl: print(document) + "\n",
+    operations: valid.map((op) => op.name),
+    invalid,
+    stats: { types: typeCount, ...countUsage(usage) },
+    warnings,
+  };
+}
+
+module.exports = {
+  prepareOperations,
+  collectUsage,
+  pruneSchemaToOperations,
+};
@@ -0,0 +1,67 @@
+/**
+ * Phase timings and memory high-water marks, for comparing the regular and
+ * the low-memory filter paths (filter-schema.js --timings / --low-memory).
+ */
+
+const MB = 1024 * 1024;
+
+/**
+ * Records how long each phase took and the memory in use when it ended.
+ *
+ *   const timer = createPhaseTimer();
+ *   const doc = timer.phase("parse", () => parse(sdl));
+ *   timer.report(); // { phases: [{ name, ms, heapUsed, rss }], totalMs, peakHeapUsed, peakRss }
+ *
+ * peakHeapUsed is the largest heap sampled at the end of a phase, so it misses
+ * garbage collected within a phase; peakRss is the process high-water mark.
+ */
+function createPhaseTimer() {
+  const started = process.hrtime.bigint();
+  const phases = [];
+  let peakHeapUsed = 0;
+
+  const sample = () => {
+    const { heapUsed, rss } = process.memoryUsage();
+    peakHeapUsed = Math.max(peakHeapUsed, heapUsed);
+    return { heapUsed, rss };
+  };
+
+  return {
+    phase(name, fn) {
+      const begin = process.hrtime.bigint();
+      try {
+        return fn();
+      } finally {
+        phases.push({ name, ms: Number(process.hrtime.bigint() - begin) / 1e6, ...sample() });
+      }
+    },
+
+    report() {
+      sample();
+      return {
+        phases: phases.slice(),
+        totalMs: Number(process.hrtime.bigint() - started) / 1e6,
+        peakHeapUsed,
+        // maxRSS is in kilobytes
+        peakRss: process.resourceUsage().maxRSS * 1024,
+      };
+    },
+  };
+}
+
+/** Text lines for a createPhaseTimer() report. */
+function formatPhaseReport(report) {
+  const width = Math.max(5, ...report.phases.map((p) => p.name.length));
+  const mb = (bytes) => `${(bytes / MB).toFixed(1)} MB`;
+  const lines = report.phases.map(
+    (p) => `${p.name.padEnd(width)}  ${`${p.ms.toFixed(0)} ms`.padStart(8)}   heap ${mb(p.heapUsed).padStart(9)}`
+  );
+  lines.push(`${"total".padEnd(width)}  ${`${report.totalMs.toFixed(0)} ms`.padStart(8)}`);
+  lines.push(`Peak memory: ${mb(report.peakRss)} RSS, ${mb(report.peakHeapUsed)} heap (sampled after each phase)`);
+  return lines;
+}
+
+module.exports = {
+  createPhaseTimer,
+  formatPhaseReport,
+};
@@ -0,0 +1,299 @@
+/**
+ * Incremental build of every artifact of the config profiles: the filtered
+ * schema, its domain mappings, the simplified schema and the viewer page.
+ *
+ * Parsed documents are cached by the SHA-256 of their text, in memory and
+ * (with `dir`) as JSON on disk, so an unchanged 3 MB source is parsed once
+ * per run, or once ever with a disk cache. Each output is keyed by the hashes
+ * of its inputs and its profile settings; the keys of the last build are kept
+ * in a state file, and an output is only rebuilt when its key changed or the
+ * file on disk no longer matches what was written.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { parse } = require("graphql");
+
+const { filterSchema } = require("./filter");
+const { simplifySchema } = require("./simplify");
+const { computeDomainMappings } = require("./domain-mappings");
+const { buildGraphModel, renderHtml } = require("./viewer");
+
+// Bump when a step's output changes for the same inputs, to invalidate old keys
+const PIPELINE_VERSION = 1;
+const PIPELINE_STATE_FILE = "pipeline-state.json";
+
+function sha256(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+function stepKey(step, ...inputs) {
+  return sha256(JSON.stringify([PIPELINE_VERSION, step, ...inputs]));
+}
+
+/**
+ * Parsed-document cache keyed by content hash. Keeps the `maxEntries` most
+ * recently used documents in memory and, with `dir`, as <hash>.ast.json files.
+ *
+ *   const cache = createAstCache({ dir: ".graphql-viz-cache" });
+ *   const source = cache.read("FLEXCURRENT_V001.schema.graphql"); // { path, sdl, hash }
+ *   const doc = cache.document(source);
+ */
+function createAstCache(options = {}) {
+  const dir = options.dir || null;
+  const maxEntries = options.maxEntries || 8;
+  const memory = new Map(); // hash -> document, least recently used first
+  const stats = { memory: 0, disk: 0, parsed: 0 };
+
+  const diskPath = (hash) => path.join(dir, `${hash}.ast.json`);
+
+  function keep(hash, document) {
+    memory.delete(hash);
+    memory.set(hash, document);
+    while (memory.size > maxEntries) memory.delete(memory.keys().next().value);
+  }
+
+  function prune() {
+    const entries = fs
+      .readdirSync(dir)
+      .filter((f) => f.endsWith(".ast.json"))
+      .map((f) => ({ file: path.join(dir, f), time: fs.statSync(path.join(dir, f)).mtimeMs }))
+      .sort((a, b) => b.time - a.time);
+    for (const entry of entries.slice(maxEntries)) fs.unlinkSync(entry.file);
+  }
+
+  function store(hash, document) {
+    keep(hash, document);
+    if (!dir || fs.existsSync(diskPath(hash))) return;
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(diskPath(hash), JSON.stringify(document), "utf8");
+    prune();
+  }
+
+  return {
+    dir,
+    stats,
+
+    read(filePath) {
+      const sdl = fs.readFileSync(filePath, "utf8");
+      return { path: filePath, sdl, hash: sha256(sdl) };
+    },
+
+    /** Document for a read() source; `from` on the source tells where it came from. */
+    document(source) {
+      if (memory.has(source.hash)) {
+        stats.memory++;
+        source.from = "memory";
+        keep(source.hash, memory.get(source.hash));
+      } else if (dir && fs.existsSync(diskPath(source.hash))) {
+        stats.disk++;
+        source.from = "disk";
+        keep(source.hash, JSON.parse(fs.readFileSync(diskPath(source.hash), "utf8")));
+        fs.utimesSync(diskPath(source.hash), new Date(), new Date());
+      } else {
+        stats.parsed++;
+        source.from = "parse";
+        store(source.hash, parse(source.sdl, { noLocation: true }));
+      }
+      return memory.get(source.hash);
+    },
+
+    /** Add a document built in this process (e.g. a filter result) under the hash of its text. */
+    remember(sdl, document) {
+      store(sha256(sdl), document);
+    },
+  };
+}
+
+function loadPipelineState(statePath) {
+  if (!statePath || !fs.existsSync(statePath)) return { version: PIPELINE_VERSION, outputs: {} };
+  try {
+    const state = JSON.parse(fs.readFileSync(statePath, "utf8"));
+    if (state.version === PIPELINE_VERSION && state.outputs) return state;
+  } catch (err) {
+    // A damaged state file only costs a full rebuild
+  }
+  return { version: PIPELINE_VERSION, outputs: {} };
+}
+
+function savePipelineState(statePath, state) {
+  if (!statePath) return;
+  fs.mkdirSync(path.dirname(statePath), { recursive: true });
+  fs.writeFileSync(statePath, JSON.stringify(state, null, 2) + "\n", "utf8");
+}
+
+function writeFile(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content, "utf8");
+}
+
+function filterSettings(profile) {
+  const { registers, rootFields, keepRootFields, allowPrefixes, pruneForeign, rules, descriptions } = profile;
+  return { registers, rootFields, keepRootFields, allowPrefixes, pruneForeign, rules, descriptions };
+}
+
+function simplifySettings(simplify) {
+  if (!simplify) return null;
+  const { descriptions, rules, fidelity, domains, strict } = simplify;
+  return { descriptions, rules, fidelity, domains, strict };
+}
+
+/**
+ * Build the artifacts of resolved profiles (see resolveProfile), skipping the
+ * ones that are up to date. Options:
+ *   cache     createAstCache() instance, reused across runs (watch mode)
+ *   state     state object from loadPipelineState(); updated in place
+ *   statePath where to save the state after each profile
+ *   validate  false skips validation of the filtered schemas
+ *   force     rebuild everything
+ *
+ * Returns { profiles: [{ name, steps: [{ step, output, status, detail, ms }] }],
+ * sources: [{ path, from, ms }], warnings, built, upToDate }. `status` is
+ * "built" or "up to date"; sources lists the documents that had to be loaded.
+ */
+function runPipeline(profiles, options = {}) {
+  const cache = options.cache || createAstCache();
+  const state = options.state || { version: PIPELINE_VERSION, outputs: {} };
+  const validate = options.validate !== false;
+  const force = !!options.force;
+
+  const report = { profiles: [], sources: [], warnings: [], built: 0, upToDate: 0 };
+
+  const loaded = new Set();
+  const loadDocument = (source) => {
+    const started = Date.now();
+    const document = cache.document(source);
+    if (!loaded.has(source.hash)) report.sources.push({ path: source.path, from: source.from, ms: Date.now() - started });
+    loaded.add(source.hash);
+    return document;
+  };
+
+  // An output is fresh when the last build used the same key and the file is still what it wrote
+  const isFresh = (output, key) => {
+    const entry = state.outputs[output];
+    if (force || !entry || entry.key !== key || !fs.existsSync(output)) return false;
+    return sha256(fs.readFileSync(output, "utf8")) === entry.hash;
+  };
+
+  for (const profile of profiles) {
+    const steps = [];
+    const warn = (message) => report.warnings.push(`Profile "${profile.name}": ${message}`);
+    const step = (name, output, key, build) => {
+      const started = Date.now();
+      if (output && isFresh(output, key)) {
+        steps.push({ step: name, output, status: "up to date", detail: null, ms: Date.now() - started });
+        report.upToDate++;
+        return false;
+      }
+      const { content, detail } = build();
+      if (output) {
+        writeFile(output, content);
+        state.outputs[output] = { key, hash: sha256(content) };
+      }
+      steps.push({ step: name, output, status: "built", detail, ms: Date.now() - started });
+      report.built++;
+      return true;
+    };
+
+    // Filtered schema
+    const source = cache.read(profile.input);
+    const settings = { ...filterSettings(profile), validate: validate && profile.validate };
+    const filterKey = stepKey("filter", source.hash, settings);
+    let filtered = null;
+    step("filter", profile.output, filterKey, () => {
+      const result = filterSchema(loadDocument(source), settings);
+      result.warnings.forEach(warn);
+      cache.remember(result.sdl, result.document);
+      filtered = { hash: sha256(result.sdl), document: result.document };
+      return { content: result.sdl, detail: `${result.stats.selectedTypes} types` };
+    });
+    const filteredHash = filtered ? filtered.hash : state.outputs[profile.output].hash;
+    const filteredDocument = () => {
+      if (!filtered) {
+        const output = cache.read(profile.output);
+        filtered = { hash: output.hash, document: loadDocument(output) };
+      }
+      return filtered.document;
+    };
+
+    // Domain mappings of the filtered schema, unless simplify reads them from a file
+    const mappingsFile = profile.simplify && profile.simplify.mappings;
+    const mappingsSource = mappingsFile ? cache.read(mappingsFile) : null;
+    const mappingsKey = stepKey("mappings", filteredHash);
+    const mappingsId = mappingsSource ? mappingsSource.hash : mappingsKey;
+    let mappings = null;
+    const domainMappings = () => {
+      if (!mappings && mappingsSource) mappings = JSON.parse(mappingsSource.sdl);
+      if (!mappings && profile.mappings && fs.existsSync(profile.mappings.output)) {
+        mappings = JSON.parse(fs.readFileSync(profile.mappings.output, "utf8"));
+      }
+      if (!mappings) mappings = computeDomainMappings(filteredDocument()).mappings;
+      return mappings;
+    };
+    if (profile.mappings) {
+      step("mappings", profile.mappings.output, mappingsKey, () => {
+        const computed = computeDomainMappings(filteredDocument()).mappings;
+        if (!mappingsSource) mappings = computed;
+        return { content: JSON.stringify(computed, null, 2), detail: `${Object.keys(computed).length} types` };
+      });
+    }
+
+    // Simplified schema, and the viewer page drawn from the same simplification
+    const simplifyOptions = simplifySettings(profile.simplify);
+    let simplified = null;
+    const simplify = () => {
+      if (!simplified) {
+        simplified = simplifySchema(filteredDocument(), domainMappings(), simplifyOptions || {});
+        for (const p of simplified.report) {
+          if (p.severity === "error") throw new Error(`Profile "${profile.name}": ${p.message}`);
+          warn(p.message);
+        }
+      }
+      return simplified;
+    };
+    if (profile.simplify) {
+      const key = stepKey("simplify", filteredHash, mappingsId, simplifyOptions);
+      step("simplify", profile.simplify.output, key, () => {
+        const result = simplify();
+        const detail = `${result.simplifiedTypes.length} entities, ${result.relationshipEdges.length} relationships`;
+        return { content: result.sdl, detail };
+      });
+    }
+    if (profile.viewer) {
+      const title = profile.viewer.title || path.basename(profile.output);
+      const key = stepKey("viewer", filteredHash, mappingsId, simplifyOptions, title);
+      step("viewer", profile.viewer.output, key, () => {
+        const model = buildGraphModel(simplify());
+        return { content: renderHtml(model, title), detail: `${model.nodes.length} entities` };
+      });
+    }
+
+    report.profiles.push({ name: profile.name, steps });
+    savePipelineState(options.statePath, state);
+  }
+
+  return report;
+}
+
+/**
+ * Files a pipeline run reads: the profile inputs and simplify mapping files.
+ * Watch these (and the config file) to rebuild on change.
+ */
+function pipelineInputs(profiles) {
+  const files = new Set();
+  for (const profile of profiles) {
+    files.add(profile.input);
+    if (profile.simplify && profile.simplify.mappings) files.add(profile.simplify.mappings);
+  }
+  return [...files];
+}
+
+module.exports = {
+  PIPELINE_STATE_FILE,
+  createAstCache,
+  loadPipelineState,
+  savePipelineState,
+  runPipeline,
+  pipelineInputs,
+};
@@ -0,0 +1,279 @@
+/**
+ * Query generator: builds a ready-to-run, bitemporal query document for one
+ * root entity.
+ *
+ *   query BBR_Bygning($first: Int = 100, $after: String, $virkningstid: DafDateTime!, $where: BBR_BygningFilterInput) {
+ *     BBR_Bygning(first: $first, after: $after, virkningstid: $virkningstid, where: $where) {
+ *       pageInfo { hasNextPage endCursor }
+ *       nodes { ...every scalar / enum field... bygningGrund { ... } }
+ *     }
+ *   }
+ *
+ * Every argument of the root field becomes a variable of the same type, so
+ * the required temporal arguments (virkningstid) are declared non-null and the
+ * slicing argument gets a default. @entityJoin fields are followed up to
+ * `depth` levels, keeping only the join kinds asked for (by default the
+ * bitemporal joins, which apply the same point in time as the root). Joins
+ * returning a connection are sliced with a literal `first` and select
+ * pageInfo + nodes; to-one joins select the entity directly.
+ */
+
+const {
+  Kind,
+  OperationTypeNode,
+  print,
+  parseType,
+  buildASTSchema,
+  getNamedType,
+  isLeafType,
+  isObjectType,
+  isAbstractType,
+  isNonNullType,
+  isRequiredArgument,
+} = require("graphql");
+
+const { toDocument } = require("./ast");
+
+const DEFAULT_JOIN_KINDS = ["StandardBiTemporalLeftJoin"];
+const PAGE_INFO_FIELDS = ["hasNextPage", "endCursor"];
+
+function nameNode(value) {
+  return { kind: Kind.NAME, value };
+}
+
+function variableNode(name) {
+  return { kind: Kind.VARIABLE, name: nameNode(name) };
+}
+
+function fieldNode(name, args = [], selections = null) {
+  return {
+    kind: Kind.FIELD,
+    name: nameNode(name),
+    arguments: args.map(([argName, value]) => ({ kind: Kind.ARGUMENT, name: nameNode(argName), value })),
+    directives: [],
+    selectionSet: selections ? { kind: Kind.SELECTION_SET, selections } : undefined,
+  };
+}
+
+function joinKindOf(field) {
+  const d = field.astNode && (field.astNode.directives || []).find((x) => x.name.value === "entityJoin");
+  if (!d) return null;
+  const arg = (d.arguments || []).find((a) => a.name.value === "joinKind");
+  return arg && arg.value.kind === Kind.ENUM ? arg.value.value : "Custom";
+}
+
+function slicingArguments(field) {
+  const d = field.astNode && (field.astNode.directives || []).find((x) => x.name.value === "listSize");
+  const arg = d && (d.arguments || []).find((a) => a.name.value === "slicingArguments");
+  if (!arg || arg.value.kind !== Kind.LIST) return [];
+  return arg.value.values.filter((v) => v.kind === Kind.STRING).map((v) => v.value);
+}
+
+function filterRequirementOf(field) {
+  const d = field.astNode && (field.astNode.directives || []).find((x) => x.name.value === "filterRequirement");
+  const arg = d && (d.arguments || []).find((a) => a.name.value === "requiresOneOfFields");
+  if (!arg || arg.value.kind !== Kind.LIST) return null;
+  return arg.value.values.map((v) => v.value);
+}
+
+// Connection types carry the entity in `nodes: [Entity!]`
+function connectionNodeType(type) {
+  if (!isObjectType(type)) return null;
+  const fields = type.getFields();
+  if (!fields.nodes || !fields.pageInfo) return null;
+  const nodeType = getNamedType(fields.nodes.type);
+  return isObjectType(nodeType) ? nodeType : null;
+}
+
+function findRootField(schema, entityName) {
+  const query = schema.getQueryType();
+  if (!query) throw new Error("Schema has no query type");
+  const fields = Object.values(query.getFields());
+  const match =
+    fields.find((f) => f.name === entityName) ||
+    fields.find((f) => {
+      const node = connectionNodeType(getNamedType(f.type));
+      return node ? node.name === entityName : getNamedType(f.type).name === entityName;
+    });
+  if (!match) {
+    throw new Error(`No root field on ${query.name} returns ${entityName} (or ${entityName}Connection)`);
+  }
+  return match;
+}
+
+/**
+ * Build a query document for `entityName` (an entity type such as BBR_Bygning,
+ * or the name of a root field).
+ *
+ * Options:
+ *   depth        levels of @entityJoin fields to follow (default 1; 0 = none)
+ *   joinKinds    join kinds to follow (default ["StandardBiTemporalLeftJoin"])
+ *   first        default value of the root slicing variable (default 100)
+ *   nestedFirst  slice size for joined connections (default 10)
+ *   operationName
+ *
+ * Returns { query, document, operationName, rootField, entity, variables,
+ * joins, skippedJoins, warnings }. `joins` / `skippedJoins` list
+ * { path, field, type, joinKind, list } for the joins followed / left out.
+ */
+function generateQuery(sdlOrDocument, entityName, options = {}) {
+  const depth = options.depth === undefined ? 1 : options.depth;
+  const joinKinds = new Set(options.joinKinds || DEFAULT_JOIN_KINDS);
+  const first = options.first === undefined ? 100 : options.first;
+  const nestedFirst = options.nestedFirst === undefined ? 10 : options.nestedFirst;
+  if (!Number.isInteger(depth) || depth < 0) throw new Error(`depth must be a non-negative integer, got ${depth}`);
+
+  const schema = buildASTSchema(toDocument(sdlOrDocument), { assumeValidSDL: true });
+  const rootField = findRootField(schema, entityName);
+  const rootType = getNamedType(rootField.type);
+  const entity = connectionNodeType(rootType) || rootType;
+  if (!isObjectType(entity)) throw new Error(`${rootField.name} does not return an object type`);
+
+  const operationName = options.operationName || rootField.name;
+  const warnings = [];
+  const joins = [];
+  const skippedJoins = [];
+  const variables = new Map(); // name -> { name, type (string), defaultValue }
+
+  const joinKindEnum = schema.getType("JoinKindEnumType");
+  if (joinKindEnum && joinKindEnum.getValues) {
+    const known = new Set(joinKindEnum.getValues().map((v) => v.name));
+    for (const kind of joinKinds) {
+      if (!known.has(kind)) warnings.push(`Unknown join kind: ${kind} (expected ${[...known].join(", ")})`);
+    }
+  }
+
+  const declare = (name, type, defaultValue) => {
+    const typeString = String(type);
+    const existing = variables.get(name);
+    if (existing && existing.type !== typeString) return null;
+    if (!existing) variables.set(name, { name, type: typeString, defaultValue });
+    return variableNode(name);
+  };
+
+  // Root arguments: all passed through as variables
+  const slicing = new Set(slicingArguments(rootField));
+  const rootArgs = rootField.args.map((arg) => {
+    const defaultValue = slicing.has(arg.name) && !isNonNullType(arg.type) ? first : undefined;
+    return [arg.name, declare(arg.name, arg.type, defaultValue)];
+  });
+
+  const requirement = filterRequirementOf(rootField);
+  if (requirement && requirement.length) {
+    warnings.push(`${rootField.name} requires a where filter on one of: ${requirement.join(", ")}`);
+  }
+
+  // Leaf fields of a value object (spatial types, embedded records); no joins
+  const valueSelections = (type, seen) => {
+    if (isAbstractType(type)) return [fieldNode("__typename")];
+    const selections = [];
+    for (const field of Object.values(type.getFields())) {
+      if (joinKindOf(field) || field.args.some(isRequiredArgument)) continue;
+      const named = getNamedType(field.type);
+      if (isLeafType(named)) {
+        selections.push(fieldNode(field.name));
+      } else if (!seen.has(named.name)) {
+        const inner = valueSelections(named, new Set([...seen, named.name]));
+        if (inner.length) selections.push(fieldNode(field.name, [], inner));
+      }
+    }
+    return selections;
+  };
+
+  const joinArguments = (field, path) => {
+    const fieldSlicing = new Set(slicingArguments(field));
+    const args = [];
+    for (const arg of field.args) {
+      if (fieldSlicing.has(arg.name)) {
+        args.push([arg.name, { kind: Kind.INT, value: String(nestedFirst) }]);
+      } else if (isRequiredArgument(arg)) {
+        // Temporal arguments share the root's variable when the types agree
+        const value = declare(arg.name, arg.type) || declare(`${path.replace(/\./g, "_")}_${arg.name}`, arg.type);
+        args.push([arg.name, value]);
+      }
+    }
+    return args;
+  };
+
+  const entitySelections = (type, level, path) => {
+    const selections = [];
+    for (const field of Object.values(type.getFields())) {
+      const joinKind = joinKindOf(field);
+      const named = getNamedType(field.type);
+      const fieldPath = `${path}.${field.name}`;
+
+      if (!joinKind) {
+        if (field.args.some(isRequiredArgument)) {
+          warnings.push(`Skipped ${type.name}.${field.name}: it has required arguments`);
+        } else if (isLeafType(named)) {
+          selections.push(fieldNode(field.name));
+        } else {
+          const inner = valueSelections(named, new Set([named.name]));
+          if (inner.length) selections.push(fieldNode(field.name, [], inner));
+        }
+        continue;
+      }
+
+      const target = connectionNodeType(named) || named;
+      const info = { path: fieldPath, field: `${type.name}.${field.name}`, type: target.name, joinKind, list: target !== named };
+      if (level >= depth || !joinKinds.has(joinKind) || !isObjectType(target)) {
+        skippedJoins.push(info);
+        continue;
+      }
+      joins.push(info);
+
+      const inner = entitySelections(target, level + 1, fieldPath);
+      const selectionSet = info.list
+        ? [fieldNode("pageInfo", [], PAGE_INFO_FIELDS.map((f) => fieldNode(f))), fieldNode("nodes", [], inner)]
+        : inner;
+      selections.push(fieldNode(field.name, joinArguments(field, fieldPath), selectionSet));
+    }
+    return selections;
+  };
+
+  const nodes = entitySelections(entity, 0, rootField.name);
+  const rootSelections =
+    entity === rootType
+      ? nodes
+      : [fieldNode("pageInfo", [], PAGE_INFO_FIELDS.map((f) => fieldNode(f))), fieldNode("nodes", [], nodes)];
+
+  const document = {
+    kind: Kind.DOCUMENT,
+    definitions: [
+      {
+        kind: Kind.OPERATION_DEFINITION,
+        operation: OperationTypeNode.QUERY,
+        name: nameNode(operationName),
+        variableDefinitions: [...variables.values()].map((v) => ({
+          kind: Kind.VARIABLE_DEFINITION,
+          variable: variableNode(v.name),
+          type: parseType(v.type, { noLocation: true }),
+          defaultValue: v.defaultValue === undefined ? undefined : { kind: Kind.INT, value: String(v.defaultValue) },
+          directives: [],
+        })),
+        directives: [],
+        selectionSet: {
+          kind: Kind.SELECTION_SET,
+          selections: [fieldNode(rootField.name, rootArgs, rootSelections)],
+        },
+      },
+    ],
+  };
+
+  return {
+    query: print(document) + "\n",
+    document,
+    operationName,
+    rootField: rootField.name,
+    entity: entity.name,
+    variables: [...variables.values()],
+    joins,
+    skippedJoins,
+    warnings,
+  };
+}
+
+module.exports = {
+  DEFAULT_JOIN_KINDS,
+  generateQuery,
+};
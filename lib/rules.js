@@ -0,0 +1,238 @@
+/**
+ * Field-level allow/deny rules for the schema filter.
+ *
+ *   {
+ *     "fields":     { "include": ["BBR_Bygning.id_*"], "exclude": ["*.datafordeler*", "@entityJoin"] },
+ *     "arguments":  { "exclude": ["where", "BBR_*.*.order"] },
+ *     "directives": { "exclude": ["cost", "listSize"] }
+ *   }
+ *
+ * Patterns are globs (`*`, `?`) or regular expressions written as `/.../flags`.
+ *
+ * - fields: matched against "Type.field" (object, interface and input types,
+ *   including Query). "@name" matches fields carrying the @name directive.
+ *   An include list only restricts the types its patterns' type part matches,
+ *   so ["BBR_Bygning.id_*"] trims BBR_Bygning and leaves every other type alone.
+ * - arguments: matched against the argument name, or "Type.field.arg" when the
+ *   pattern contains a dot. A non-empty include list keeps only matching arguments.
+ * - directives: matched against the directive name (without "@"). Excluded
+ *   directives lose both their definition and every application. Built-in
+ *   directives are never removed.
+ */
+
+const { Kind } = require("graphql");
+
+const BUILTIN_DIRECTIVES = new Set(["deprecated", "specifiedBy", "include", "skip", "oneOf"]);
+
+function globToRegExp(glob) {
+  const body = glob.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+  return new RegExp(`^${body}$`);
+}
+
+function compilePattern(pattern) {
+  if (typeof pattern !== "string" || !pattern) {
+    throw new Error(`Invalid filter rule pattern: ${JSON.stringify(pattern)}`);
+  }
+  const m = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  if (m) {
+    try {
+      return new RegExp(m[1], m[2]);
+    } catch (err) {
+      throw new Error(`Invalid filter rule regex ${pattern}: ${err.message}`);
+    }
+  }
+  return globToRegExp(pattern);
+}
+
+function compileList(patterns, label, hits) {
+  if (patterns === undefined || patterns === null) return [];
+  if (!Array.isArray(patterns)) {
+    throw new Error(`Filter rules: "${label}" must be an array`);
+  }
+  return patterns.map((source) => ({ source, label, regex: compilePattern(source), hits }));
+}
+
+function compileFieldPattern(source, label, hits) {
+  if (source.startsWith("@")) {
+    return { source, label, hits, typeRegex: /^/, directive: compilePattern(source.slice(1)) };
+  }
+  const dot = source.indexOf(".");
+  // "Type.field": the type part decides which types an include list restricts
+  const typeRegex = dot > 0 && !source.startsWith("/") ? compilePattern(source.slice(0, dot)) : /^/;
+  return { source, label, hits, typeRegex, regex: compilePattern(source) };
+}
+
+// True if any entry matches; records the hit so unused patterns can be reported
+function anyMatch(entries, test) {
+  for (const entry of entries) {
+    if (test(entry)) {
+      entry.hits.add(`${entry.label}:${entry.source}`);
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Compile a rules object into matchers. Returns null when there are no rules.
+ */
+function compileFilterRules(spec) {
+  if (!spec) return null;
+  if (typeof spec !== "object") throw new Error("Filter rules must be an object");
+
+  const hits = new Set();
+  const section = (key) => {
+    const s = spec[key] || {};
+    if (typeof s !== "object" || Array.isArray(s)) {
+      throw new Error(`Filter rules: "${key}" must be an object with include/exclude lists`);
+    }
+    return s;
+  };
+  const fields = section("fields");
+  const args = section("arguments");
+  const directives = section("directives");
+
+  const fieldList = (list, label) => {
+    if (list !== undefined && list !== null && !Array.isArray(list)) {
+      throw new Error(`Filter rules: "${label}" must be an array`);
+    }
+    return (list || []).map((p) => compileFieldPattern(p, label, hits));
+  };
+
+  const rules = {
+    fieldInclude: fieldList(fields.include, "fields.include"),
+    fieldExclude: fieldList(fields.exclude, "fields.exclude"),
+    argInclude: compileList(args.include, "arguments.include", hits),
+    argExclude: compileList(args.exclude, "arguments.exclude", hits),
+    directiveInclude: compileList(directives.include, "directives.include", hits),
+    directiveExclude: compileList(directives.exclude, "directives.exclude", hits),
+    hits,
+  };
+  const total = Object.values(rules).reduce((n, v) => n + (Array.isArray(v) ? v.length : 0), 0);
+  return total ? rules : null;
+}
+
+function keepField(rules, typeName, field) {
+  const test = (entry) =>
+    entry.directive
+      ? (field.directives || []).some((d) => entry.directive.test(d.name.value))
+      : entry.regex.test(`${typeName}.${field.name.value}`);
+
+  if (anyMatch(rules.fieldExclude, test)) return false;
+  const scoped = rules.fieldInclude.filter((e) => e.typeRegex.test(typeName));
+  return !scoped.length || anyMatch(scoped, test);
+}
+
+function keepArgument(rules, typeName, fieldName, arg) {
+  const argName = arg.name.value;
+  const test = (entry) =>
+    entry.regex.test(entry.source.includes(".") ? `${typeName}.${fieldName}.${argName}` : argName);
+
+  if (anyMatch(rules.argExclude, test)) return false;
+  return !rules.argInclude.length || anyMatch(rules.argInclude, test);
+}
+
+function keepDirective(rules, name) {
+  if (BUILTIN_DIRECTIVES.has(name)) return true;
+  const test = (entry) => entry.regex.test(name);
+  if (anyMatch(rules.directiveExclude, test)) return false;
+  return !rules.directiveInclude.length || anyMatch(rules.directiveInclude, test);
+}
+
+function stripDirectives(node, rules) {
+  if (!node.directives || !node.directives.length) return node;
+  const kept = node.directives.filter((d) => keepDirective(rules, d.name.value));
+  return kept.length === node.directives.length ? node : { ...node, directives: kept };
+}
+
+/**
+ * Apply compiled rules to one definition: drop excluded fields, input fields
+ * and arguments, and strip excluded directive applications. Returns null for
+ * excluded directive definitions.
+ */
+function applyFilterRules(def, rules) {
+  if (!rules) return def;
+
+  switch (def.kind) {
+    case Kind.DIRECTIVE_DEFINITION:
+      return keepDirective(rules, def.name.value) ? def : null;
+    case Kind.OBJECT_TYPE_DEFINITION:
+    case Kind.OBJECT_TYPE_EXTENSION:
+    case Kind.INTERFACE_TYPE_DEFINITION:
+    case Kind.INTERFACE_TYPE_EXTENSION: {
+      const typeName = def.name.value;
+      const fields = (def.fields || [])
+        .filter((f) => keepField(rules, typeName, f))
+        .map((f) => {
+          const args = (f.arguments || [])
+            .filter((a) => keepArgument(rules, typeName, f.name.value, a))
+            .map((a) => stripDirectives(a, rules));
+          return stripDirectives({ ...f, arguments: args }, rules);
+        });
+      return stripDirectives({ ...def, fields }, rules);
+    }
+    case Kind.INPUT_OBJECT_TYPE_DEFINITION:
+    case Kind.INPUT_OBJECT_TYPE_EXTENSION: {
+      const typeName = def.name.value;
+      const fields = (def.fields || [])
+        .filter((f) => keepField(rules, typeName, f))
+        .map((f) => stripDirectives(f, rules));
+      return stripDirectives({ ...def, fields }, rules);
+    }
+    case Kind.ENUM_TYPE_DEFINITION:
+    case Kind.ENUM_TYPE_EXTENSION:
+      return stripDirectives(
+        { ...def, values: (def.values || []).map((v) => stripDirectives(v, rules)) },
+        rules
+      );
+    case Kind.SCALAR_TYPE_DEFINITION:
+    case Kind.SCALAR_TYPE_EXTENSION:
+    case Kind.UNION_TYPE_DEFINITION:
+    case Kind.UNION_TYPE_EXTENSION:
+      return stripDirectives(def, rules);
+    default:
+      return def;
+  }
+}
+
+/**
+ * Match plain names against a list of globs / regexes. `unmatched()` lists the
+ * patterns that matched none of the names tested so far.
+ */
+function makePatternMatcher(patterns) {
+  const entries = patterns.map((source) => ({ source, regex: compilePattern(source) }));
+  const used = new Set();
+  return {
+    test(name) {
+      const entry = entries.find((e) => e.regex.test(name));
+      if (entry) used.add(entry.source);
+      return !!entry;
+    },
+    unmatched() {
+      return entries.map((e) => e.source).filter((source) => !used.has(source));
+    },
+  };
+}
+
+/**
+ * Patterns that never matched anything, as "section.list:pattern" strings.
+ */
+function unmatchedRules(rules) {
+  if (!rules) return [];
+  const all = [
+    ...rules.fieldInclude,
+    ...rules.fieldExclude,
+    ...rules.argInclude,
+    ...rules.argExclude,
+    ...rules.directiveInclude,
+    ...rules.directiveExclude,
+  ];
+  return all.map((e) => `${e.label}:${e.source}`).filter((key) => !rules.hits.has(key));
+}
+
+module.exports = {
+  compileFilterRules,
+  applyFilterRules,
+  unmatchedRules,
+  makePatternMatcher,
+};
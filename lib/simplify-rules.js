@@ -0,0 +1,181 @@
+/**
+ * Type and field rules for the schema simplifier.
+ *
+ *   {
+ *     "skipTypes":  ["PageInfo", "Query"],
+ *     "skipFields": ["datafordeler*", "id_namespace", "BBR_Bygning.byg0*"],
+ *     "rewrite": [
+ *       { "types": ["Spatial*"], "to": "Geometry" },
+ *       { "fields": ["*.status"], "to": "String" }
+ *     ],
+ *     "keepEnums": ["*StatusEnum*"],
+ *     "keepScalars": ["DafDateTime", "UUID"],
+ *     "keepWrappers": true,
+ *     "fallback": "String",
+ *     "infrastructureSuffixes": ["Connection", "Edge", "FilterInput", "SortInput"]
+ *   }
+ *
+ * Patterns are globs (`*`, `?`) or regular expressions written as `/.../flags`.
+ *
+ * - skipTypes: entity types that are never simplified, and fields whose type
+ *   is one of them are dropped.
+ * - skipFields: matched against the field name, or "Type.field" when the
+ *   pattern contains a dot.
+ * - rewrite: tried in order, the first match wins. `types` is matched against
+ *   the field's named type, `fields` like skipFields; with both, both must
+ *   match. `to` is the replacement type name; names that are neither built-in
+ *   scalars nor entities are declared as scalars in the output.
+ * - keepEnums: enum types kept as enums (with their definition) instead of
+ *   falling through to `fallback`.
+ * - keepScalars: custom scalars kept under their own name (and declared)
+ *   instead of falling through to `fallback`.
+ * - keepWrappers: keep the list / non-null wrappers when a field's type is
+ *   rewritten, kept or replaced by the fallback. Otherwise those fields
+ *   become a bare nullable type; entity fields always keep their wrappers.
+ * - fallback: the type for everything else that is not an entity or a
+ *   built-in scalar.
+ * - infrastructureSuffixes: only used for legacy name -> domain mappings,
+ *   which do not record which types are connections, edges or inputs.
+ *
+ * User rules replace the defaults key by key, except `rewrite`: those rules
+ * are tried before the default ones. The defaults are DEFAULT_SIMPLIFY_RULES,
+ * or FIDELITY_SIMPLIFY_RULES in fidelity mode, which keeps every enum and
+ * custom scalar (DafDateTime, UUID, Long, LocalDate, ...) with its wrappers
+ * and only turns spatial value objects into String.
+ */
+
+const { makePatternMatcher } = require("./rules");
+
+const DEFAULT_SIMPLIFY_RULES = {
+  skipTypes: ["PageInfo", "Query", "Mutation", "Subscription"],
+  skipFields: ["datafordeler*", "id_namespace"],
+  rewrite: [{ types: ["Spatial*", "DafDateTime", "LocalDate", "UUID", "Long"], to: "String" }],
+  keepEnums: [],
+  keepScalars: [],
+  keepWrappers: false,
+  fallback: "String",
+  infrastructureSuffixes: ["Connection", "Edge", "FilterInput", "SortInput"],
+};
+
+const FIDELITY_SIMPLIFY_RULES = {
+  ...DEFAULT_SIMPLIFY_RULES,
+  rewrite: [{ types: ["Spatial*"], to: "String" }],
+  keepEnums: ["*"],
+  keepScalars: ["*"],
+  keepWrappers: true,
+};
+
+const RULE_KEYS = Object.keys(DEFAULT_SIMPLIFY_RULES);
+
+function patternList(value, key) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) throw new Error(`Simplify rules: "${key}" must be an array`);
+  return value;
+}
+
+function typeName(value, key) {
+  if (typeof value !== "string" || !/^[_A-Za-z][_0-9A-Za-z]*$/.test(value)) {
+    throw new Error(`Simplify rules: "${key}" must be a type name, got ${JSON.stringify(value)}`);
+  }
+  return value;
+}
+
+// Field patterns: bare names match the field name, dotted ones "Type.field"
+function makeFieldMatcher(patterns) {
+  const bare = makePatternMatcher(patterns.filter((p) => !p.includes(".")));
+  const dotted = makePatternMatcher(patterns.filter((p) => p.includes(".")));
+  return {
+    test(owner, field) {
+      return bare.test(field) || dotted.test(`${owner}.${field}`);
+    },
+    unmatched() {
+      return [...bare.unmatched(), ...dotted.unmatched()];
+    },
+  };
+}
+
+function compileRewrite(rule, index) {
+  const label = `rewrite[${index}]`;
+  if (!rule || typeof rule !== "object") throw new Error(`Simplify rules: ${label} must be an object`);
+  const types = patternList(rule.types, `${label}.types`);
+  const fields = patternList(rule.fields, `${label}.fields`);
+  if (!types.length && !fields.length) {
+    throw new Error(`Simplify rules: ${label} needs "types" or "fields"`);
+  }
+  return {
+    label,
+    to: typeName(rule.to, `${label}.to`),
+    types: types.length ? makePatternMatcher(types) : null,
+    fields: fields.length ? makeFieldMatcher(fields) : null,
+  };
+}
+
+/**
+ * Merge user rules over the defaults (FIDELITY_SIMPLIFY_RULES with
+ * `{ fidelity: true }`) and compile the patterns. Throws on unknown keys and
+ * malformed values.
+ */
+function compileSimplifyRules(spec = null, options = {}) {
+  const defaults = options.fidelity ? FIDELITY_SIMPLIFY_RULES : DEFAULT_SIMPLIFY_RULES;
+  const user = spec || {};
+  if (typeof user !== "object" || Array.isArray(user)) throw new Error("Simplify rules must be an object");
+  for (const key of Object.keys(user)) {
+    if (!RULE_KEYS.includes(key)) {
+      throw new Error(`Simplify rules: unknown key "${key}" (expected ${RULE_KEYS.join(", ")})`);
+    }
+  }
+
+  const merged = { ...defaults, ...user };
+  const userRewrites = patternList(user.rewrite, "rewrite").map(compileRewrite);
+  const defaultRewrites = defaults.rewrite.map((rule, i) => compileRewrite(rule, userRewrites.length + i));
+
+  const skipTypes = makePatternMatcher(patternList(merged.skipTypes, "skipTypes"));
+  const skipFields = makeFieldMatcher(patternList(merged.skipFields, "skipFields"));
+  const keepEnums = makePatternMatcher(patternList(merged.keepEnums, "keepEnums"));
+  const keepScalars = makePatternMatcher(patternList(merged.keepScalars, "keepScalars"));
+  if (typeof merged.keepWrappers !== "boolean") throw new Error('Simplify rules: "keepWrappers" must be a boolean');
+  const suffixes = patternList(merged.infrastructureSuffixes, "infrastructureSuffixes");
+
+  return {
+    fallback: typeName(merged.fallback, "fallback"),
+    skipType: (name) => skipTypes.test(name),
+    skipField: (owner, field) => skipFields.test(owner, field),
+    keepEnum: (name) => keepEnums.test(name),
+    keepScalar: (name) => keepScalars.test(name),
+    keepWrappers: merged.keepWrappers,
+    isInfrastructure: (name) => suffixes.some((suffix) => name.endsWith(suffix)),
+
+    /** Replacement type name for a field, or null when no rewrite rule matches. */
+    rewrite(owner, field, namedType) {
+      for (const rule of [...userRewrites, ...defaultRewrites]) {
+        if (rule.types && !rule.types.test(namedType)) continue;
+        if (rule.fields && !rule.fields.test(owner, field)) continue;
+        return rule.to;
+      }
+      return null;
+    },
+
+    /** User-supplied patterns that matched nothing, as "key:pattern" strings. */
+    unmatched() {
+      const out = [];
+      const add = (key, matcher) => {
+        for (const pattern of matcher.unmatched()) out.push(`${key}:${pattern}`);
+      };
+      if (user.skipTypes) add("skipTypes", skipTypes);
+      if (user.skipFields) add("skipFields", skipFields);
+      if (user.keepEnums) add("keepEnums", keepEnums);
+      if (user.keepScalars) add("keepScalars", keepScalars);
+      for (const rule of userRewrites) {
+        if (rule.types) add(`${rule.label}.types`, rule.types);
+        if (rule.fields) add(`${rule.label}.fields`, rule.fields);
+      }
+      return out;
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_SIMPLIFY_RULES,
+  FIDELITY_SIMPLIFY_RULES,
+  compileSimplifyRules,
+};
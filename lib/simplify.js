@@ -0,0 +1,462 @@
+/**
+ * Schema simplifier for visualization: reduces a schema to its domain entities
+ * and their relationships, removing the pagination/connection bloat.
+ */
+
+const { print, Kind, buildASTSchema } = require("graphql");
+
+const { BUILTIN_SCALARS, toDocument, getNamedType, defName, isListType } = require("./ast");
+const { normalizeMappingEntry } = require("./domain-mappings");
+const { DESCRIPTION_MODES, grunddatamodelMetadata, transformDescriptions } = require("./grunddatamodel");
+const { DEFAULT_SIMPLIFY_RULES, FIDELITY_SIMPLIFY_RULES, compileSimplifyRules } = require("./simplify-rules");
+
+const DEFAULT_RULES = compileSimplifyRules();
+
+function isInfrastructureType(typeName, rules = DEFAULT_RULES) {
+  return rules.isInfrastructure(typeName);
+}
+
+function extractEntityFromConnection(connectionTypeName) {
+  // BBR_BygningConnection -> BBR_Bygning
+  if (connectionTypeName.endsWith("Connection")) {
+    return connectionTypeName.slice(0, -"Connection".length);
+  }
+  return null;
+}
+
+function createSimplifiedNamedType(name, isNonNull = false, isList = false) {
+  let typeNode = {
+    kind: Kind.NAMED_TYPE,
+    name: { kind: Kind.NAME, value: name },
+  };
+
+  if (isList) {
+    typeNode = {
+      kind: Kind.LIST_TYPE,
+      type: typeNode,
+    };
+  }
+
+  if (isNonNull) {
+    typeNode = {
+      kind: Kind.NON_NULL_TYPE,
+      type: typeNode,
+    };
+  }
+
+  return typeNode;
+}
+
+// Same list / non-null wrappers around a different named type
+function replaceNamedType(typeNode, name) {
+  if (typeNode.kind === Kind.NAMED_TYPE) return createSimplifiedNamedType(name);
+  return { kind: typeNode.kind, type: replaceNamedType(typeNode.type, name) };
+}
+
+/**
+ * Simplified type for a field. `context` carries the compiled simplify rules
+ * and what the rules match on: { rules, owner, field, enumTypes, scalarTypes }.
+ * Rewritten, kept and fallback types lose their list/non-null wrappers unless
+ * the rules set keepWrappers.
+ */
+function simplifyFieldType(typeNode, entityTypes, connectionToEntity = null, context = {}) {
+  const { rules = DEFAULT_RULES, owner = "", field = "", enumTypes = null, scalarTypes = null } = context;
+  const namedType = getNamedType(typeNode);
+  if (!namedType) return null;
+  const replace = (name) =>
+    rules.keepWrappers ? replaceNamedType(typeNode, name) : createSimplifiedNamedType(name, false, false);
+
+  // User rules come first so they can also flatten connections or entities
+  const rewritten = rules.rewrite(owner, field, namedType);
+  if (rewritten) {
+    return replace(rewritten);
+  }
+
+  // Check if it's a Connection type -> extract the entity and make it a list
+  const entityFromConnection = connectionToEntity
+    ? connectionToEntity.get(namedType)
+    : extractEntityFromConnection(namedType);
+  if (entityFromConnection && entityTypes.has(entityFromConnection)) {
+    // Return [EntityType] (list of the entity)
+    return createSimplifiedNamedType(entityFromConnection, false, true);
+  }
+
+  // Check if it's a known entity type or a basic scalar - keep as is
+  if (entityTypes.has(namedType) || BUILTIN_SCALARS.has(namedType)) {
+    return typeNode;
+  }
+
+  if (
+    (enumTypes && enumTypes.has(namedType) && rules.keepEnum(namedType)) ||
+    (scalarTypes && scalarTypes.has(namedType) && rules.keepScalar(namedType))
+  ) {
+    return replace(namedType);
+  }
+
+  // Everything else (other enums and scalars, value objects)
+  return replace(rules.fallback);
+}
+
+/**
+ * Split the domain mappings into entity types and infrastructure. Mappings with
+ * recorded categories are used as-is; legacy name -> domain mappings fall back
+ * to the rules' infrastructureSuffixes name heuristics. Types matching the
+ * rules' skipTypes are never entities.
+ */
+function buildEntityIndex(domainMappings, rules = DEFAULT_RULES) {
+  const entityTypes = new Set();
+  const entityToDomain = new Map();
+  const inputTypes = new Set();
+  let connectionToEntity = new Map();
+  let legacy = false;
+
+  for (const [typeName, raw] of Object.entries(domainMappings)) {
+    const entry = normalizeMappingEntry(raw);
+    if (rules.skipType(typeName)) continue;
+    if (!entry.category) {
+      legacy = true;
+      if (!isInfrastructureType(typeName, rules)) {
+        entityTypes.add(typeName);
+        entityToDomain.set(typeName, entry.domain);
+      }
+      continue;
+    }
+
+    if (entry.category === "entity") {
+      entityTypes.add(typeName);
+      entityToDomain.set(typeName, entry.domain);
+    } else if (entry.category === "Connection" && entry.node) {
+      connectionToEntity.set(typeName, entry.node);
+    } else if (entry.category === "FilterInput" || entry.category === "SortInput") {
+      inputTypes.add(typeName);
+    }
+  }
+
+  // Without categories there are no recorded Connection -> node links; derive them from names
+  if (legacy) connectionToEntity = null;
+  const isFilterOrSortInput = legacy
+    ? (name) => name.endsWith("FilterInput")
+    : (name) => inputTypes.has(name);
+
+  return { entityTypes, entityToDomain, connectionToEntity, isFilterOrSortInput };
+}
+
+/**
+ * Simplify a schema down to the entity types listed in the domain mappings
+ * (type name -> domain).
+ *
+ * Options:
+ *   descriptions  "none" (default) | "full" (or true) | "condensed": keep the
+ *                 original type and field descriptions (the "Grunddatamodel
+ *                 info" blocks) on the simplified definitions, as-is or
+ *                 shortened by condenseMetadata()
+ *   rules         simplify rules (see simplify-rules.js) merged over
+ *                 DEFAULT_SIMPLIFY_RULES: skipped types and fields, type
+ *                 rewrites, enums and scalars to keep and the fallback type
+ *   fidelity      merge the rules over FIDELITY_SIMPLIFY_RULES instead: keep
+ *                 every enum (with its values) and custom scalar, and the
+ *                 list / non-null wrappers of scalar fields
+ *   domains       only simplify the entities of these domains (default: all)
+ *   validate      build the output schema and report it if it fails (default true)
+ *   strict        throw when the report has any entry, instead of returning it
+ *
+ * Relationship fields whose target entity is not emitted (outside `domains`,
+ * missing from the schema or left without fields) are dropped, so the output
+ * always refers to defined types.
+ *
+ * Returns { document, sdl, entityTypes, entityToDomain, simplifiedTypes,
+ * relationshipEdges, metadata, missingEntities, report, warnings } so other
+ * tools (e.g. the HTML viewer) can reuse the same entity model. `metadata` maps
+ * each simplified entity to { metadata, fields: { field: metadata } } parsed
+ * from the Grunddatamodel blocks, whatever the descriptions mode. `report`
+ * lists { severity, rule, message, type?, field?, target?, pattern? } entries
+ * (rules: missing-entity, dangling-reference, empty-entity, unused-rule,
+ * invalid-schema); `warnings` holds their messages.
+ */
+function simplifySchema(sdlOrDocument, domainMappings, options = {}) {
+  const descriptionMode = options.descriptions === true ? "full" : options.descriptions || "none";
+  const keepDescriptions = descriptionMode !== "none";
+  if (!DESCRIPTION_MODES.includes(descriptionMode)) {
+    throw new Error(`Unknown descriptions mode: ${descriptionMode} (expected ${DESCRIPTION_MODES.join(", ")})`);
+  }
+  const rules = compileSimplifyRules(options.rules, { fidelity: options.fidelity });
+  const doc = toDocument(sdlOrDocument);
+  const { entityTypes, entityToDomain, connectionToEntity, isFilterOrSortInput } = buildEntityIndex(
+    domainMappings,
+    rules
+  );
+
+  // Build map of type definitions
+  const typeDefsByName = new Map();
+  const enumDefsByName = new Map();
+  const scalarDefsByName = new Map();
+  for (const def of doc.definitions) {
+    const name = defName(def);
+    if (name && def.kind === Kind.OBJECT_TYPE_DEFINITION) {
+      typeDefsByName.set(name, def);
+    } else if (name && def.kind === Kind.ENUM_TYPE_DEFINITION) {
+      enumDefsByName.set(name, def);
+    } else if (name && def.kind === Kind.SCALAR_TYPE_DEFINITION) {
+      scalarDefsByName.set(name, def);
+    }
+  }
+
+  const selectedDomains = options.domains && options.domains.length ? new Set(options.domains) : null;
+  const isSelected = (name) => !selectedDomains || selectedDomains.has(entityToDomain.get(name));
+  const report = [];
+  const problem = (severity, rule, message, details) => report.push({ severity, rule, message, ...details });
+
+  // First pass: simplify every field; relationship targets are resolved below
+  const candidates = new Map(); // entity -> { typeDef, fields: [{ field, type, target }] }
+  const missingEntities = [];
+
+  for (const entityName of entityTypes) {
+    if (!isSelected(entityName)) continue;
+    const typeDef = typeDefsByName.get(entityName);
+    if (!typeDef) {
+      missingEntities.push(entityName);
+      problem("warning", "missing-entity", `Entity type ${entityName} not found in schema`, { type: entityName });
+      continue;
+    }
+
+    const fields = [];
+    for (const field of typeDef.fields || []) {
+      const fieldName = field.name.value;
+      const namedType = getNamedType(field.type);
+
+      // Skip certain field patterns
+      if (rules.skipField(entityName, fieldName)) continue;
+      if (namedType && (isFilterOrSortInput(namedType) || rules.skipType(namedType))) continue;
+
+      // Simplify the field type
+      const simplifiedType = simplifyFieldType(field.type, entityTypes, connectionToEntity, {
+        rules,
+        owner: entityName,
+        field: fieldName,
+        enumTypes: enumDefsByName,
+        scalarTypes: scalarDefsByName,
+      });
+      if (!simplifiedType) continue;
+
+      const simplifiedTypeName = getNamedType(simplifiedType);
+      const target = entityTypes.has(simplifiedTypeName) ? simplifiedTypeName : null;
+      fields.push({ field, type: simplifiedType, target });
+    }
+    candidates.set(entityName, { typeDef, fields });
+  }
+
+  // Entities are emitted when they keep a field once relationships into
+  // entities that are not emitted are dropped
+  const emitted = new Set([...candidates.keys()].filter((name) => candidates.get(name).fields.length > 0));
+  for (let changed = true; changed; ) {
+    changed = false;
+    for (const name of emitted) {
+      if (candidates.get(name).fields.every((f) => f.target && !emitted.has(f.target))) {
+        emitted.delete(name);
+        changed = true;
+      }
+    }
+  }
+
+  const danglingReason = (target) => {
+    if (!isSelected(target)) return `is outside the selected domains (${entityToDomain.get(target)})`;
+    if (!typeDefsByName.has(target)) return "is not in the schema";
+    return "has no fields left";
+  };
+
+  // Second pass: build the simplified types
+  const simplifiedTypes = [];
+  const relationshipEdges = []; // Track relationships for summary
+  const metadata = {};
+  const usedTypes = new Set(); // non-entity, non-built-in names the simplified fields refer to
+
+  for (const [entityName, { typeDef, fields }] of candidates) {
+    const simplifiedFields = [];
+    const fieldMetadata = {};
+
+    for (const { field, type: simplifiedType, target } of fields) {
+      const fieldName = field.name.value;
+      const simplifiedTypeName = getNamedType(simplifiedType);
+
+      if (target && !emitted.has(target)) {
+        problem(
+          "warning",
+          "dangling-reference",
+          `${entityName}.${fieldName} dropped: relationship target ${target} ${danglingReason(target)}`,
+          { type: entityName, field: fieldName, target }
+        );
+        continue;
+      }
+      if (!target && !BUILTIN_SCALARS.has(simplifiedTypeName)) {
+        usedTypes.add(simplifiedTypeName);
+      }
+
+      // Track relationships
+      if (target && target !== entityName) {
+        relationshipEdges.push({
+          from: entityName,
+          to: target,
+          field: fieldName,
+          // Connections are rewritten to [Entity], so this is the "many" side
+          list: isListType(simplifiedType),
+        });
+      }
+
+      // Create simplified field (no arguments, no directives)
+      const simplifiedField = {
+        kind: Kind.FIELD_DEFINITION,
+        description: keepDescriptions ? field.description : undefined,
+        name: { kind: Kind.NAME, value: fieldName },
+        arguments: [],
+        type: simplifiedType,
+        directives: [],
+      };
+
+      simplifiedFields.push(simplifiedField);
+
+      const md = grunddatamodelMetadata(field.description);
+      if (md) fieldMetadata[fieldName] = md;
+    }
+
+    // Only include types that have fields
+    if (simplifiedFields.length > 0) {
+      // Add domain as a comment in the description
+      const domain = entityToDomain.get(entityName);
+      const original = keepDescriptions && typeDef.description ? typeDef.description.value : "";
+      const text = [domain ? `Domain: ${domain}` : "", original].filter(Boolean).join("\n\n");
+      const description = text ? { kind: Kind.STRING, value: text, block: text.includes("\n") } : null;
+
+      const simplifiedTypeDef = {
+        kind: Kind.OBJECT_TYPE_DEFINITION,
+        description,
+        name: { kind: Kind.NAME, value: entityName },
+        interfaces: [],
+        directives: [],
+        fields: simplifiedFields,
+      };
+
+      simplifiedTypes.push(simplifiedTypeDef);
+      metadata[entityName] = { metadata: grunddatamodelMetadata(typeDef.description), fields: fieldMetadata };
+    } else {
+      problem("warning", "empty-entity", `Entity type ${entityName} has no fields left after simplification`, {
+        type: entityName,
+      });
+    }
+  }
+
+  // Create output document with schema declaration
+  const schemaDefinition = {
+    kind: Kind.SCHEMA_DEFINITION,
+    operationTypes: [
+      {
+        kind: Kind.OPERATION_TYPE_DEFINITION,
+        operation: "query",
+        type: { kind: Kind.NAMED_TYPE, name: { kind: Kind.NAME, value: "Query" } },
+      },
+    ],
+  };
+
+  // Create a simple Query type with one field per entity type (ALL of them)
+  const queryFields = simplifiedTypes.map((typeDef) => ({
+    kind: Kind.FIELD_DEFINITION,
+    name: { kind: Kind.NAME, value: defName(typeDef) },
+    arguments: [],
+    type: createSimplifiedNamedType(defName(typeDef), false, true),
+    directives: [],
+  }));
+
+  const queryType = {
+    kind: Kind.OBJECT_TYPE_DEFINITION,
+    name: { kind: Kind.NAME, value: "Query" },
+    interfaces: [],
+    directives: [],
+    fields: queryFields,
+  };
+
+  // Kept enums are copied without directives; other rewrite / fallback targets become scalars
+  const extraTypes = [...usedTypes].sort().map((name) => {
+    const enumDef = enumDefsByName.get(name);
+    if (enumDef && rules.keepEnum(name)) {
+      return {
+        ...enumDef,
+        description: keepDescriptions ? enumDef.description : undefined,
+        directives: [],
+        values: (enumDef.values || []).map((value) => ({
+          ...value,
+          description: keepDescriptions ? value.description : undefined,
+          directives: [],
+        })),
+      };
+    }
+    const scalarDef = scalarDefsByName.get(name);
+    return {
+      kind: Kind.SCALAR_TYPE_DEFINITION,
+      description: keepDescriptions && scalarDef ? scalarDef.description : undefined,
+      name: { kind: Kind.NAME, value: name },
+      directives: [],
+    };
+  });
+
+  for (const rule of rules.unmatched()) {
+    problem("warning", "unused-rule", `Simplify rule matched nothing: ${rule}`, { pattern: rule });
+  }
+
+  const document = transformDescriptions(
+    {
+      kind: Kind.DOCUMENT,
+      definitions: [schemaDefinition, queryType, ...simplifiedTypes, ...extraTypes],
+    },
+    descriptionMode === "condensed" ? "condensed" : "full"
+  );
+
+  if (options.validate !== false) {
+    try {
+      buildASTSchema(document, { assumeValidSDL: false });
+    } catch (err) {
+      problem("error", "invalid-schema", `Simplified schema does not build: ${err.message}`, {});
+    }
+  }
+
+  if (options.strict && report.length) {
+    const lines = report.map((p) => `  ${p.severity.padEnd(7)}  ${p.rule.padEnd(18)}  ${p.message}`);
+    throw new Error(`Simplification has ${report.length} problem(s) (strict mode):\n${lines.join("\n")}`);
+  }
+
+  return {
+    document,
+    sdl: print(document) + "\n",
+    entityTypes,
+    entityToDomain,
+    simplifiedTypes,
+    relationshipEdges,
+    metadata,
+    missingEntities,
+    report,
+    warnings: report.map((p) => p.message),
+  };
+}
+
+/**
+ * Count relationships per "FROM -> TO" domain pair, most connected first.
+ */
+function summarizeRelationships(relationshipEdges, entityToDomain) {
+  const relationshipsByDomain = new Map();
+  for (const edge of relationshipEdges) {
+    const fromDomain = entityToDomain.get(edge.from);
+    const toDomain = entityToDomain.get(edge.to);
+    const key = `${fromDomain} -> ${toDomain}`;
+    relationshipsByDomain.set(key, (relationshipsByDomain.get(key) || 0) + 1);
+  }
+  return Array.from(relationshipsByDomain.entries()).sort((a, b) => b[1] - a[1]);
+}
+
+module.exports = {
+  DEFAULT_SIMPLIFY_RULES,
+  FIDELITY_SIMPLIFY_RULES,
+  compileSimplifyRules,
+  isInfrastructureType,
+  buildEntityIndex,
+  simplifyFieldType,
+  simplifySchema,
+  summarizeRelationships,
+};
@@ -0,0 +1,171 @@
+/**
+ * Split a full schema into one filtered schema per register plus the shared
+ * definitions they have in common (Daf* filter inputs, Spatial* types,
+ * scalars and directives), from a single parsed document.
+ */
+
+const { print, Kind, buildASTSchema } = require("graphql");
+
+const { BUILTIN_SCALARS, toDocument, defName, isRootTypeName, underscorePrefix } = require("./ast");
+const { filterSchema } = require("./filter");
+const { discoverRegisters } = require("./domain-mappings");
+
+// Shared definitions belong to no register: directives and unprefixed, non-root types
+function isSharedDefinition(def) {
+  if (def.kind === Kind.DIRECTIVE_DEFINITION) return true;
+  const name = defName(def);
+  return !!name && !underscorePrefix(name) && !isRootTypeName(name);
+}
+
+function sharedKey(def) {
+  return def.kind === Kind.DIRECTIVE_DEFINITION ? `@${def.name.value}` : defName(def);
+}
+
+function printDocument(definitions) {
+  return print({ kind: Kind.DOCUMENT, definitions }) + "\n";
+}
+
+/**
+ * Filter `sdlOrDocument` once per register. Options:
+ *   registers       Registers to split out (default: every register
+ *                   discoverRegisters finds). A register covers all of its
+ *                   prefixes, e.g. EJF also keeps EJFCustom_ types
+ *   externalCommon  Leave the shared definitions out of the bundles, which are
+ *                   then only valid together with common (default false:
+ *                   every bundle is a complete schema)
+ *   descriptions    As for filterSchema
+ *   validate        Build every bundle (with common when external) and common
+ *                   to check them (default true)
+ *
+ * Returns { bundles: [{ register, version, prefixes, document, sdl, stats,
+ * sharedTypes, warnings }], common: { document, sdl, types }, warnings }.
+ * sharedTypes are the shared type names a bundle references. A shared
+ * definition that differs between bundles (pruned differently) is reported
+ * in `warnings`; common keeps the first version and, with externalCommon,
+ * the other bundles keep their own copy.
+ */
+function splitSchema(sdlOrDocument, options = {}) {
+  const doc = toDocument(sdlOrDocument);
+  const externalCommon = !!options.externalCommon;
+  const validate = options.validate !== false;
+  const warnings = [];
+
+  const discovered = discoverRegisters(doc).registers;
+  const names = (options.registers || []).length ? options.registers : Object.keys(discovered);
+  if (!names.length) throw new Error("splitSchema: no registers found in the schema");
+  const unknown = names.filter((r) => !discovered[r]);
+  if (unknown.length) {
+    const known = Object.keys(discovered).join(", ");
+    throw new Error(`Unknown register(s): ${unknown.join(", ")} (the schema has ${known})`);
+  }
+
+  // key -> { printed, register, def } of the version common.graphql gets
+  const shared = new Map();
+  const bundles = names.map((register) => {
+    const info = discovered[register];
+    const result = filterSchema(doc, {
+      registers: info.prefixes,
+      descriptions: options.descriptions,
+      validate: validate && !externalCommon,
+    });
+
+    let definitions = result.document.definitions;
+    const local = [];
+    for (const def of definitions) {
+      if (!isSharedDefinition(def)) continue;
+      const key = sharedKey(def);
+      const printed = print(def);
+      const first = shared.get(key);
+      if (!first) {
+        shared.set(key, { printed, register, def });
+      } else if (first.printed !== printed) {
+        warnings.push(
+          `Shared definition ${key} differs between ${first.register} and ${register}; ` +
+            `common has the ${first.register} version`
+        );
+        local.push(def);
+      }
+    }
+    if (externalCommon) definitions = definitions.filter((def) => !isSharedDefinition(def) || local.includes(def));
+
+    const sharedTypes = [...result.provenance.keys()]
+      .filter((name) => !BUILTIN_SCALARS.has(name) && !underscorePrefix(name) && !isRootTypeName(name))
+      .sort();
+
+    return {
+      register,
+      version: info.version,
+      prefixes: info.prefixes,
+      document: { kind: Kind.DOCUMENT, definitions },
+      sdl: externalCommon ? printDocument(definitions) : result.sdl,
+      stats: result.stats,
+      sharedTypes,
+      warnings: result.warnings,
+    };
+  });
+
+  // Shared definitions in the order of the input schema
+  const order = new Map();
+  doc.definitions.forEach((def, i) => {
+    if (isSharedDefinition(def) && !order.has(sharedKey(def))) order.set(sharedKey(def), i);
+  });
+  const commonDefs = [...shared.entries()]
+    .sort(([a], [b]) => order.get(a) - order.get(b))
+    .map(([, entry]) => entry.def);
+  const common = {
+    document: { kind: Kind.DOCUMENT, definitions: commonDefs },
+    sdl: printDocument(commonDefs),
+    types: commonDefs.filter((def) => def.kind !== Kind.DIRECTIVE_DEFINITION).map(defName),
+  };
+
+  if (validate) {
+    buildASTSchema(common.document, { assumeValidSDL: false });
+    if (externalCommon) {
+      for (const bundle of bundles) {
+        // A bundle's own copy of a differing shared definition replaces the common one
+        const own = new Set(bundle.document.definitions.filter(isSharedDefinition).map(sharedKey));
+        const fromCommon = commonDefs.filter((def) => !own.has(sharedKey(def)));
+        try {
+          buildASTSchema(
+            { kind: Kind.DOCUMENT, definitions: [...fromCommon, ...bundle.document.definitions] },
+            { assumeValidSDL: false }
+          );
+        } catch (err) {
+          throw new Error(`Bundle ${bundle.register} is not valid with common: ${err.message}`);
+        }
+      }
+    }
+  }
+
+  return { bundles, common, warnings };
+}
+
+/**
+ * Index of a split for the files it was written to: which register is in
+ * which file and which shared types each bundle needs from common.
+ *   files  { input, common, bundle: (register) => file name }
+ */
+function splitManifest(split, files) {
+  return {
+    input: files.input,
+    common: {
+      file: files.common,
+      types: split.common.types,
+    },
+    bundles: split.bundles.map((b) => ({
+      register: b.register,
+      version: b.version,
+      prefixes: b.prefixes,
+      file: files.bundle(b.register),
+      types: b.stats.selectedTypes,
+      sharedTypes: b.sharedTypes,
+      warnings: b.warnings,
+    })),
+    warnings: split.warnings,
+  };
+}
+
+module.exports = {
+  splitSchema,
+  splitManifest,
+};
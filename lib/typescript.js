@@ -0,0 +1,178 @@
+/**
+ * TypeScript emitter for the simplified entity model: one module per domain
+ * with an interface per entity, `import type` lines for relationships into
+ * other domains, and JSDoc built from the Grunddatamodel descriptions.
+ *
+ * Run simplifySchema with `{ descriptions: true }` first, otherwise there is
+ * nothing to document.
+ */
+
+const { Kind } = require("graphql");
+
+const { parseGrunddatamodelInfo } = require("./grunddatamodel");
+
+const SCALAR_TS_TYPES = {
+  String: "string",
+  ID: "string",
+  Int: "number",
+  Float: "number",
+  Boolean: "boolean",
+};
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+function domainModuleName(domain) {
+  return domain.replace(/[^\w-]/g, "_");
+}
+
+function tsType(typeNode, entityNames, enumValues) {
+  switch (typeNode.kind) {
+    case Kind.NON_NULL_TYPE:
+      return tsType(typeNode.type, entityNames, enumValues);
+    case Kind.LIST_TYPE: {
+      const inner = typeNode.type.kind === Kind.NON_NULL_TYPE
+        ? tsType(typeNode.type, entityNames, enumValues)
+        : `${tsType(typeNode.type, entityNames, enumValues)} | null`;
+      return inner.includes(" ") ? `Array<${inner}>` : `${inner}[]`;
+    }
+    default: {
+      const name = typeNode.name.value;
+      if (entityNames.has(name)) return name;
+      // Enums kept by the simplifier's fidelity mode become string literal unions
+      if (enumValues.has(name)) return enumValues.get(name).map((v) => JSON.stringify(v)).join(" | ");
+      // Custom scalars (DafDateTime, Long, ...) and everything mapped to String
+      return SCALAR_TS_TYPES[name] || "string";
+    }
+  }
+}
+
+function descriptionValue(node, dropDomain) {
+  if (!node.description) return "";
+  const value = node.description.value;
+  // simplifySchema prefixes entity descriptions with "Domain: X"
+  return dropDomain ? value.replace(/^Domain: [^\n]*\n*/, "") : value;
+}
+
+/**
+ * JSDoc lines for a type or field: prefLabel, definition, free text and an
+ * @see link to the Grunddatamodel URI.
+ */
+function docLines(node, dropDomain = false) {
+  const { text, info } = parseGrunddatamodelInfo(descriptionValue(node, dropDomain));
+  const lines = [];
+  if (info) {
+    const label = info.prefLabel || info.name;
+    if (label) lines.push(label);
+    if (info.definition && info.definition !== label) {
+      if (lines.length) lines.push("");
+      lines.push(info.definition);
+    }
+  }
+  if (text) {
+    if (lines.length) lines.push("");
+    lines.push(...text.split("\n"));
+  }
+  if (info && info.URI) {
+    if (lines.length) lines.push("");
+    lines.push(`@see ${info.URI}`);
+  }
+  return lines.map((l) => l.replace(/\*\//g, "*\\/"));
+}
+
+function jsDoc(lines, indent) {
+  if (!lines.length) return [];
+  if (lines.length === 1) return [`${indent}/** ${lines[0]} */`];
+  return [`${indent}/**`, ...lines.map((l) => (l ? `${indent} * ${l}` : `${indent} *`)), `${indent} */`];
+}
+
+/**
+ * Render the simplifier result as TypeScript modules.
+ *
+ * Options:
+ *   domains   only emit these domains (default: all). Relationships into other
+ *             domains are still typed and imported, so their modules are
+ *             emitted too.
+ *   header    comment placed at the top of every file
+ *
+ * Returns { files: [{ path, domain, content }], entities } with one "<Domain>.ts"
+ * per domain plus an "index.ts" re-exporting all of them.
+ */
+function renderTypeScript(result, options = {}) {
+  const { simplifiedTypes, entityToDomain } = result;
+  const enumValues = new Map(
+    result.document.definitions
+      .filter((def) => def.kind === Kind.ENUM_TYPE_DEFINITION)
+      .map((def) => [def.name.value, def.values.map((v) => v.name.value)])
+  );
+  const header = options.header || "Generated from the simplified entity model. Do not edit by hand.";
+  const entityNames = new Set(simplifiedTypes.map((t) => t.name.value));
+  const typeByName = new Map(simplifiedTypes.map((t) => [t.name.value, t]));
+  const domainOf = (name) => entityToDomain.get(name) || "Unknown";
+
+  // Selected entities plus everything they reference, transitively
+  const selected = options.domains && options.domains.length ? new Set(options.domains) : null;
+  const included = new Set();
+  const queue = simplifiedTypes.map((t) => t.name.value).filter((n) => !selected || selected.has(domainOf(n)));
+  while (queue.length) {
+    const name = queue.shift();
+    if (included.has(name)) continue;
+    included.add(name);
+    for (const field of typeByName.get(name).fields) {
+      let t = field.type;
+      while (t.kind !== Kind.NAMED_TYPE) t = t.type;
+      if (entityNames.has(t.name.value) && !included.has(t.name.value)) queue.push(t.name.value);
+    }
+  }
+
+  const byDomain = new Map();
+  for (const name of [...included].sort()) {
+    const domain = domainOf(name);
+    if (!byDomain.has(domain)) byDomain.set(domain, []);
+    byDomain.get(domain).push(typeByName.get(name));
+  }
+
+  const files = [];
+  for (const domain of [...byDomain.keys()].sort()) {
+    const imports = new Map(); // domain -> Set(entity)
+    const body = [];
+
+    for (const typeDef of byDomain.get(domain)) {
+      const typeName = typeDef.name.value;
+      body.push("", ...jsDoc(docLines(typeDef, true), ""));
+      body.push(`export interface ${typeName} {`);
+      for (const field of typeDef.fields) {
+        const type = tsType(field.type, entityNames, enumValues);
+        for (const ref of type.match(/[A-Za-z_$][\w$]*/g)) {
+          if (!entityNames.has(ref) || domainOf(ref) === domain) continue;
+          if (!imports.has(domainOf(ref))) imports.set(domainOf(ref), new Set());
+          imports.get(domainOf(ref)).add(ref);
+        }
+        const name = IDENTIFIER.test(field.name.value) ? field.name.value : JSON.stringify(field.name.value);
+        body.push(...jsDoc(docLines(field), "  "));
+        body.push(
+          field.type.kind === Kind.NON_NULL_TYPE ? `  ${name}: ${type};` : `  ${name}?: ${type} | null;`
+        );
+      }
+      body.push("}");
+    }
+
+    const lines = [`// ${header}`];
+    if (imports.size) lines.push("");
+    for (const importDomain of [...imports.keys()].sort()) {
+      const names = [...imports.get(importDomain)].sort().join(", ");
+      lines.push(`import type { ${names} } from "./${domainModuleName(importDomain)}";`);
+    }
+    lines.push(...body);
+    files.push({ path: `${domainModuleName(domain)}.ts`, domain, content: lines.join("\n") + "\n" });
+  }
+
+  const index = [`// ${header}`, ""];
+  for (const file of files) index.push(`export * from "./${file.path.replace(/\.ts$/, "")}";`);
+  files.push({ path: "index.ts", domain: null, content: index.join("\n") + "\n" });
+
+  return { files, entities: included.size };
+}
+
+module.exports = {
+  renderTypeScript,
+};
@@ -0,0 +1,459 @@
+/**
+ * Standalone, offline HTML entity-relationship viewer for the simplified
+ * entity model.
+ */
+
+const { Kind } = require("graphql");
+
+const { getNamedType } = require("./ast");
+
+// Distinct colors assigned to domains in alphabetical order
+const DOMAIN_PALETTE = [
+  "#4e79a7",
+  "#f28e2b",
+  "#e15759",
+  "#76b7b2",
+  "#59a14f",
+  "#edc948",
+  "#b07aa1",
+  "#ff9da7",
+  "#9c755f",
+  "#bab0ac",
+  "#1f77b4",
+  "#8c564b",
+  "#17becf",
+  "#bcbd22",
+  "#7f7f7f",
+  "#d62728",
+  "#2ca02c",
+  "#9467bd",
+];
+
+function printTypeRef(typeNode) {
+  switch (typeNode.kind) {
+    case Kind.NON_NULL_TYPE:
+      return `${printTypeRef(typeNode.type)}!`;
+    case Kind.LIST_TYPE:
+      return `[${printTypeRef(typeNode.type)}]`;
+    default:
+      return typeNode.name.value;
+  }
+}
+
+/**
+ * Turn the simplifier result into the plain JSON model embedded in the page.
+ */
+function buildGraphModel({ simplifiedTypes, relationshipEdges, entityToDomain }) {
+  const domains = Array.from(new Set(simplifiedTypes.map((t) => entityToDomain.get(t.name.value))))
+    .filter(Boolean)
+    .sort();
+  const domainColors = {};
+  domains.forEach((d, i) => {
+    domainColors[d] = DOMAIN_PALETTE[i % DOMAIN_PALETTE.length];
+  });
+
+  const nodeNames = new Set(simplifiedTypes.map((t) => t.name.value));
+
+  const nodes = simplifiedTypes.map((t) => ({
+    id: t.name.value,
+    domain: entityToDomain.get(t.name.value) || null,
+    fields: t.fields.map((f) => ({
+      name: f.name.value,
+      type: printTypeRef(f.type),
+      target: nodeNames.has(getNamedType(f.type)) ? getNamedType(f.type) : null,
+    })),
+  }));
+
+  // Relationships to entities that were dropped (no fields) have nothing to point at
+  const edges = relationshipEdges
+    .filter((e) => nodeNames.has(e.from) && nodeNames.has(e.to))
+    .map((e) => ({ from: e.from, to: e.to, field: e.field }));
+
+  return { domains, domainColors, nodes, edges };
+}
+
+function renderHtml(model, title) {
+  // Escape "<" so the embedded JSON can never close the script tag
+  const data = JSON.stringify(model).replace(/</g, "\\u003c");
+  const safeTitle = String(title).replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[c]));
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${safeTitle}</title>
+<style>
+  html, body { margin: 0; height: 100%; font: 13px/1.4 system-ui, sans-serif; color: #222; }
+  #app { display: flex; height: 100%; }
+  #stage { flex: 1; position: relative; overflow: hidden; background: #fafafa; }
+  #stage svg { width: 100%; height: 100%; cursor: grab; }
+  #stage svg.panning { cursor: grabbing; }
+  #toolbar { position: absolute; top: 10px; left: 10px; display: flex; gap: 6px; }
+  #toolbar input { width: 260px; padding: 5px 8px; border: 1px solid #bbb; border-radius: 4px; }
+  #toolbar button { padding: 5px 10px; border: 1px solid #bbb; border-radius: 4px; background: #fff; cursor: pointer; }
+  #matches { position: absolute; top: 44px; left: 10px; max-height: 40%; overflow: auto; background: #fff; border: 1px solid #ddd; border-radius: 4px; }
+  #matches div { padding: 3px 8px; cursor: pointer; }
+  #matches div:hover { background: #eef; }
+  #legend { position: absolute; bottom: 10px; left: 10px; background: rgba(255,255,255,.9); border: 1px solid #ddd; border-radius: 4px; padding: 6px 8px; }
+  #legend div { cursor: pointer; user-select: none; }
+  #legend div.off { opacity: .35; }
+  #legend span { display: inline-block; width: 10px; height: 10px; border-radius: 50%; margin-right: 6px; }
+  #panel { width: 340px; border-left: 1px solid #ddd; overflow: auto; padding: 12px; background: #fff; }
+  #panel h2 { margin: 0 0 4px; font-size: 15px; word-break: break-all; }
+  #panel table { border-collapse: collapse; width: 100%; }
+  #panel td { padding: 2px 4px; border-bottom: 1px solid #f0f0f0; vertical-align: top; word-break: break-all; }
+  #panel a { color: #1a56c4; cursor: pointer; text-decoration: underline; }
+  .edge { stroke: #999; stroke-opacity: .5; fill: none; }
+  .edge.hl { stroke: #d33; stroke-opacity: 1; stroke-width: 2; }
+  .node circle { stroke: #fff; stroke-width: 1.5; cursor: pointer; }
+  .node text { font-size: 10px; pointer-events: none; fill: #333; }
+  .node.dim { opacity: .15; }
+  .edge.dim { opacity: .05; }
+  .node.sel circle { stroke: #000; stroke-width: 3; }
+</style>
+</head>
+<body>
+<div id="app">
+  <div id="stage">
+    <svg id="svg"><g id="viewport"><g id="edges"></g><g id="nodes"></g></g></svg>
+    <div id="toolbar">
+      <input id="search" type="search" placeholder="Search entities or fields..." autocomplete="off">
+      <button id="fit" type="button">Fit</button>
+    </div>
+    <div id="matches"></div>
+    <div id="legend"></div>
+  </div>
+  <div id="panel"><p>Click an entity to inspect its fields.</p></div>
+</div>
+<script>
+const MODEL = ${data};
+(function () {
+  const SVG_NS = "http://www.w3.org/2000/svg";
+  const svg = document.getElementById("svg");
+  const viewport = document.getElementById("viewport");
+  const edgeLayer = document.getElementById("edges");
+  const nodeLayer = document.getElementById("nodes");
+  const panel = document.getElementById("panel");
+  const search = document.getElementById("search");
+  const matches = document.getElementById("matches");
+  const legend = document.getElementById("legend");
+
+  const byId = new Map();
+  const hiddenDomains = new Set();
+  let selected = null;
+  let view = { x: 0, y: 0, k: 1 };
+
+  // --- model -------------------------------------------------------------
+  MODEL.nodes.forEach(function (n, i) {
+    const angle = i * 2.399963; // golden angle spiral as starting layout
+    const r = 12 * Math.sqrt(i + 1);
+    n.x = Math.cos(angle) * r * 2;
+    n.y = Math.sin(angle) * r * 2;
+    n.vx = 0;
+    n.vy = 0;
+    n.out = [];
+    n.in = [];
+    byId.set(n.id, n);
+  });
+  MODEL.edges.forEach(function (e) {
+    e.source = byId.get(e.from);
+    e.target = byId.get(e.to);
+    e.source.out.push(e);
+    e.target.in.push(e);
+  });
+  MODEL.nodes.forEach(function (n) {
+    n.radius = 4 + Math.min(12, Math.sqrt(n.out.length + n.in.length) * 2);
+  });
+
+  // --- rendering ---------------------------------------------------------
+  MODEL.edges.forEach(function (e) {
+    const line = document.createElementNS(SVG_NS, "line");
+    line.setAttribute("class", "edge");
+    const t = document.createElementNS(SVG_NS, "title");
+    t.textContent = e.from + "." + e.field + " -> " + e.to;
+    line.appendChild(t);
+    edgeLayer.appendChild(line);
+    e.el = line;
+  });
+  MODEL.nodes.forEach(function (n) {
+    const g = document.createElementNS(SVG_NS, "g");
+    g.setAttribute("class", "node");
+    const c = document.createElementNS(SVG_NS, "circle");
+    c.setAttribute("r", n.radius);
+    c.setAttribute("fill", MODEL.domainColors[n.domain] || "#999");
+    const label = document.createElementNS(SVG_NS, "text");
+    label.setAttribute("x", n.radius + 2);
+    label.setAttribute("y", 3);
+    label.textContent = n.id;
+    g.appendChild(c);
+    g.appendChild(label);
+    g.addEventListener("mousedown", function (ev) { startNodeDrag(ev, n); });
+    g.addEventListener("click", function (ev) { ev.stopPropagation(); select(n, false); });
+    nodeLayer.appendChild(g);
+    n.el = g;
+  });
+
+  function draw() {
+    MODEL.edges.forEach(function (e) {
+      e.el.setAttribute("x1", e.source.x);
+      e.el.setAttribute("y1", e.source.y);
+      e.el.setAttribute("x2", e.target.x);
+      e.el.setAttribute("y2", e.target.y);
+    });
+    MODEL.nodes.forEach(function (n) {
+      n.el.setAttribute("transform", "translate(" + n.x + "," + n.y + ")");
+    });
+  }
+
+  function applyView() {
+    viewport.setAttribute("transform", "translate(" + view.x + "," + view.y + ") scale(" + view.k + ")");
+  }
+
+  // --- force layout ------------------------------------------------------
+  let alpha = 1;
+  function tick() {
+    const nodes = MODEL.nodes;
+    for (let i = 0; i < nodes.length; i++) {
+      const a = nodes[i];
+      for (let j = i + 1; j < nodes.length; j++) {
+        const b = nodes[j];
+        let dx = a.x - b.x;
+        let dy = a.y - b.y;
+        let d2 = dx * dx + dy * dy || 0.01;
+        if (d2 > 250000) continue;
+        const f = (900 * alpha) / d2;
+        dx *= f;
+        dy *= f;
+        a.vx += dx; a.vy += dy;
+        b.vx -= dx; b.vy -= dy;
+      }
+    }
+    MODEL.edges.forEach(function (e) {
+      const dx = e.target.x - e.source.x;
+      const dy = e.target.y - e.source.y;
+      const d = Math.sqrt(dx * dx + dy * dy) || 1;
+      const f = ((d - 60) / d) * 0.05 * alpha;
+      e.source.vx += dx * f; e.source.vy += dy * f;
+      e.target.vx -= dx * f; e.target.vy -= dy * f;
+    });
+    nodes.forEach(function (n) {
+      n.vx -= n.x * 0.002 * alpha;
+      n.vy -= n.y * 0.002 * alpha;
+      if (!n.fixed) {
+        n.x += n.vx;
+        n.y += n.vy;
+      }
+      n.vx *= 0.6;
+      n.vy *= 0.6;
+    });
+    alpha *= 0.985;
+  }
+
+  function run() {
+    tick();
+    draw();
+    if (alpha > 0.02) requestAnimationFrame(run);
+  }
+
+  // --- pan / zoom / drag -------------------------------------------------
+  let pan = null;
+  let drag = null;
+  let panned = false;
+
+  svg.addEventListener("mousedown", function (ev) {
+    if (drag) return;
+    pan = { x: ev.clientX - view.x, y: ev.clientY - view.y };
+    panned = false;
+    svg.classList.add("panning");
+  });
+  window.addEventListener("mousemove", function (ev) {
+    if (drag) {
+      drag.node.x = (ev.clientX - svg.getBoundingClientRect().left - view.x) / view.k;
+      drag.node.y = (ev.clientY - svg.getBoundingClientRect().top - view.y) / view.k;
+      drag.moved = true;
+      draw();
+    } else if (pan) {
+      view.x = ev.clientX - pan.x;
+      view.y = ev.clientY - pan.y;
+      panned = true;
+      applyView();
+    }
+  });
+  window.addEventListener("mouseup", function () {
+    if (drag) drag.node.fixed = drag.moved;
+    drag = null;
+    pan = null;
+    svg.classList.remove("panning");
+  });
+  svg.addEventListener("wheel", function (ev) {
+    ev.preventDefault();
+    const rect = svg.getBoundingClientRect();
+    const mx = ev.clientX - rect.left;
+    const my = ev.clientY - rect.top;
+    const k = Math.max(0.05, Math.min(8, view.k * Math.exp(-ev.deltaY * 0.0015)));
+    view.x = mx - ((mx - view.x) * k) / view.k;
+    view.y = my - ((my - view.y) * k) / view.k;
+    view.k = k;
+    applyView();
+  }, { passive: false });
+  svg.addEventListener("click", function () {
+    if (!panned) select(null, false);
+  });
+
+  function startNodeDrag(ev, n) {
+    ev.stopPropagation();
+    drag = { node: n, moved: false };
+  }
+
+  function visibleNodes() {
+    return MODEL.nodes.filter(function (n) { return !hiddenDomains.has(n.domain); });
+  }
+
+  function fit() {
+    const nodes = visibleNodes();
+    if (!nodes.length) return;
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    nodes.forEach(function (n) {
+      minX = Math.min(minX, n.x); maxX = Math.max(maxX, n.x);
+      minY = Math.min(minY, n.y); maxY = Math.max(maxY, n.y);
+    });
+    const rect = svg.getBoundingClientRect();
+    const k = Math.min(rect.width / (maxX - minX + 160), rect.height / (maxY - minY + 80), 4);
+    view.k = k;
+    view.x = rect.width / 2 - ((minX + maxX) / 2) * k;
+    view.y = rect.height / 2 - ((minY + maxY) / 2) * k;
+    applyView();
+  }
+
+  function centerOn(n) {
+    const rect = svg.getBoundingClientRect();
+    view.k = Math.max(view.k, 1.5);
+    view.x = rect.width / 2 - n.x * view.k;
+    view.y = rect.height / 2 - n.y * view.k;
+    applyView();
+  }
+
+  // --- selection / inspection --------------------------------------------
+  function escapeHtml(s) {
+    return String(s).replace(/[&<>"]/g, function (c) {
+      return { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[c];
+    });
+  }
+
+  function select(n, center) {
+    selected = n;
+    const neighbours = new Set();
+    if (n) {
+      neighbours.add(n);
+      n.out.forEach(function (e) { neighbours.add(e.target); });
+      n.in.forEach(function (e) { neighbours.add(e.source); });
+    }
+    MODEL.nodes.forEach(function (m) {
+      m.el.classList.toggle("sel", m === n);
+      m.el.classList.toggle("dim", !!n && !neighbours.has(m));
+    });
+    MODEL.edges.forEach(function (e) {
+      const touches = !!n && (e.source === n || e.target === n);
+      e.el.classList.toggle("hl", touches);
+      e.el.classList.toggle("dim", !!n && !touches);
+    });
+    renderPanel(n);
+    if (n && center) centerOn(n);
+  }
+
+  function renderPanel(n) {
+    if (!n) {
+      panel.innerHTML = "<p>Click an entity to inspect its fields.</p>";
+      return;
+    }
+    let html = "<h2>" + escapeHtml(n.id) + "</h2>";
+    html += "<p>Domain: <b>" + escapeHtml(n.domain || "-") + "</b></p>";
+    html += "<h3>Fields (" + n.fields.length + ")</h3><table>";
+    n.fields.forEach(function (f) {
+      const type = f.target
+        ? f.type.replace(f.target, "<a data-goto=\\"" + escapeHtml(f.target) + "\\">" + escapeHtml(f.target) + "</a>")
+        : escapeHtml(f.type);
+      html += "<tr><td>" + escapeHtml(f.name) + "</td><td>" + type + "</td></tr>";
+    });
+    html += "</table>";
+    if (n.in.length) {
+      html += "<h3>Referenced by (" + n.in.length + ")</h3><table>";
+      n.in.forEach(function (e) {
+        html += "<tr><td><a data-goto=\\"" + escapeHtml(e.from) + "\\">" + escapeHtml(e.from) + "</a></td><td>" + escapeHtml(e.field) + "</td></tr>";
+      });
+      html += "</table>";
+    }
+    panel.innerHTML = html;
+  }
+
+  panel.addEventListener("click", function (ev) {
+    const target = ev.target.getAttribute && ev.target.getAttribute("data-goto");
+    if (target && byId.has(target)) select(byId.get(target), true);
+  });
+
+  // --- search ------------------------------------------------------------
+  search.addEventListener("input", function () {
+    const q = search.value.trim().toLowerCase();
+    matches.innerHTML = "";
+    if (!q) return;
+    const hits = [];
+    MODEL.nodes.forEach(function (n) {
+      if (n.id.toLowerCase().indexOf(q) !== -1) {
+        hits.push({ node: n, label: n.id });
+        return;
+      }
+      const field = n.fields.find(function (f) { return f.name.toLowerCase().indexOf(q) !== -1; });
+      if (field) hits.push({ node: n, label: n.id + "." + field.name });
+    });
+    hits.slice(0, 50).forEach(function (h) {
+      const div = document.createElement("div");
+      div.textContent = h.label;
+      div.addEventListener("click", function () {
+        matches.innerHTML = "";
+        select(h.node, true);
+      });
+      matches.appendChild(div);
+    });
+  });
+  search.addEventListener("keydown", function (ev) {
+    if (ev.key === "Enter" && matches.firstChild) matches.firstChild.click();
+  });
+  document.getElementById("fit").addEventListener("click", fit);
+
+  // --- legend ------------------------------------------------------------
+  MODEL.domains.forEach(function (d) {
+    const div = document.createElement("div");
+    const count = MODEL.nodes.filter(function (n) { return n.domain === d; }).length;
+    div.innerHTML = "<span style=\\"background:" + MODEL.domainColors[d] + "\\"></span>" + escapeHtml(d) + " (" + count + ")";
+    div.title = "Click to show/hide domain";
+    div.addEventListener("click", function () {
+      if (hiddenDomains.has(d)) hiddenDomains.delete(d);
+      else hiddenDomains.add(d);
+      div.classList.toggle("off", hiddenDomains.has(d));
+      MODEL.nodes.forEach(function (n) {
+        n.el.style.display = hiddenDomains.has(n.domain) ? "none" : "";
+      });
+      MODEL.edges.forEach(function (e) {
+        const hidden = hiddenDomains.has(e.source.domain) || hiddenDomains.has(e.target.domain);
+        e.el.style.display = hidden ? "none" : "";
+      });
+    });
+    legend.appendChild(div);
+  });
+
+  for (let i = 0; i < 150; i++) tick();
+  draw();
+  fit();
+  requestAnimationFrame(run);
+})();
+</script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  DOMAIN_PALETTE,
+  buildGraphModel,
+  renderHtml,
+};
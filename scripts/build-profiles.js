@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+/**
+ * Build all profiles from graphql-viz.config.json
+ *
+ * Runs the filter (and the simplifier, for profiles with a "simplify" section)
+ * for every profile in the config. Each distinct input schema is parsed once.
+ *
+ * Usage:
+ *   node scripts/build-profiles.js
+ *   node scripts/build-profiles.js --profile ejendom,bbr
+ *
+ * Options:
+ *   --config, -c          Config file path (default: nearest graphql-viz.config.json)
+ *   --profile, -p         Comma-separated profiles to build (default: all)
+ *   --no-validate         Skip validation of the filtered schemas
+ *   --help, -h            Show help
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parse } = require("graphql");
+
+const {
+  CONFIG_FILE_NAME,
+  findConfigFile,
+  loadConfig,
+  profileNames,
+  resolveProfile,
+  filterSchema,
+  simplifySchema,
+  computeDomainMappings,
+} = require("../lib");
+
+function printHelp() {
+  console.log(`
+Build all profiles from ${CONFIG_FILE_NAME}
+
+Usage:
+  node scripts/build-profiles.js [--profile <list>] [--config <file>]
+
+Options:
+  -c, --config <file>     Config file (default: nearest ${CONFIG_FILE_NAME})
+  -p, --profile <list>    Comma-separated profiles to build (default: all)
+  --no-validate           Skip validation of the filtered schemas
+  -h, --help              Show this help
+`);
+}
+
+function parseArgs(argv) {
+  const args = argv.slice(2);
+  const config = {
+    configPath: null,
+    profiles: [],
+    validate: true,
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    switch (a) {
+      case "--config":
+      case "-c":
+        config.configPath = args[++i];
+        break;
+      case "--profile":
+      case "-p": {
+        const v = args[++i] || "";
+        config.profiles = v
+          .split(",")
+          .map((s) => s.trim())
+          .filter(Boolean);
+        break;
+      }
+      case "--no-validate":
+        config.validate = false;
+        break;
+      case "--help":
+      case "-h":
+        printHelp();
+        process.exit(0);
+      default:
+        if (a.startsWith("-")) {
+          console.warn(`Warning: unknown argument: ${a}`);
+        }
+        break;
+    }
+  }
+
+  return config;
+}
+
+function writeFile(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content, "utf8");
+}
+
+function main() {
+  const cfg = parseArgs(process.argv);
+
+  const configPath = cfg.configPath || findConfigFile();
+  if (!configPath) {
+    throw new Error(`No config file found (--config <file> or ${CONFIG_FILE_NAME})`);
+  }
+  const config = loadConfig(configPath);
+  const names = cfg.profiles.length ? cfg.profiles : profileNames(config);
+  // Resolve everything up front so a config error fails before any work is done
+  const profiles = names.map((name) => resolveProfile(config, name));
+
+  console.log("Build profiles");
+  console.log("==============");
+  console.log(`Config:    ${config.path}`);
+  console.log(`Profiles:  ${names.join(", ")}`);
+
+  const documents = new Map(); // input path -> parsed document
+  const loadDocument = (inputPath) => {
+    if (!documents.has(inputPath)) {
+      const sdl = fs.readFileSync(inputPath, "utf8");
+      console.log(`Parsing ${inputPath} (${(sdl.length / 1024 / 1024).toFixed(2)} MB)...`);
+      documents.set(inputPath, parse(sdl, { noLocation: true }));
+    }
+    return documents.get(inputPath);
+  };
+
+  for (const profile of profiles) {
+    const selection = profile.registers.length ? profile.registers : profile.rootFields;
+    console.log(`\n--- ${profile.name} (${selection.join(", ")}) ---`);
+    const doc = loadDocument(profile.input);
+
+    const result = filterSchema(doc, {
+      registers: profile.registers,
+      rootFields: profile.rootFields,
+      keepRootFields: profile.keepRootFields,
+      allowPrefixes: profile.allowPrefixes,
+      pruneForeign: profile.pruneForeign,
+      rules: profile.rules,
+      descriptions: profile.descriptions,
+      validate: cfg.validate && profile.validate,
+    });
+    for (const w of result.warnings) console.warn(`Warning: ${w}`);
+
+    writeFile(profile.output, result.sdl);
+    console.log(`Filtered:   ${result.stats.selectedTypes} types -> ${profile.output}`);
+
+    if (profile.simplify) {
+      const mappings = profile.simplify.mappings
+        ? JSON.parse(fs.readFileSync(profile.simplify.mappings, "utf8"))
+        : computeDomainMappings(result.document).mappings;
+      const simplified = simplifySchema(result.document, mappings, {
+        descriptions: profile.simplify.descriptions,
+        rules: profile.simplify.rules,
+        fidelity: profile.simplify.fidelity,
+        domains: profile.simplify.domains,
+        strict: profile.simplify.strict,
+      });
+      for (const p of simplified.report) {
+        if (p.severity === "error") throw new Error(`Profile "${profile.name}": ${p.message}`);
+        console.warn(`Warning: ${p.message}`);
+      }
+
+      writeFile(profile.simplify.output, simplified.sdl);
+      console.log(
+        `Simplified: ${simplified.simplifiedTypes.length} entities, ${simplified.relationshipEdges.length} relationships -> ${profile.simplify.output}`
+      );
+    }
+  }
+
+  console.log("\n✓ Done");
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error("Error:", err && err.message ? err.message : err);
+    process.exit(1);
+  }
+}
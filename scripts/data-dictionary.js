@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+/**
+ * Grunddatamodel Data Dictionary (JSON)
+ *
+ * Parses the "Grunddatamodel info" blocks of every entity type and field into
+ * structured metadata (prefLabel, definition, model type, multiplicity, URI,
+ * legal source, source) and writes one JSON file per register plus an
+ * index.json with lookups by legal source and model URI.
+ *
+ * Usage:
+ *   node scripts/data-dictionary.js --input FLEXCURRENT_V001.schema.graphql --output dictionary/
+ *   node scripts/data-dictionary.js --input FLEXCURRENT_V001.schema.graphql --find lta/2019/797
+ *
+ * Options:
+ *   --input, -i           Input SDL file path (full or filtered schema) [required]
+ *   --output, -o          Output directory (<REGISTER>.json + index.json)
+ *   --mappings, -m        Domain mappings JSON file (default: computed from the input)
+ *   --registers, -r       Comma-separated registers to write (default: all)
+ *   --find                Print the entities/fields whose legal source or URI contains this text
+ *   --help, -h            Show help
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parse } = require("graphql");
+
+const { buildEntityIndex, buildDataDictionary, computeDomainMappings } = require("../lib");
+
+function printHelp() {
+  console.log(`
+Grunddatamodel Data Dictionary (JSON)
+
+Usage:
+  node scripts/data-dictionary.js --input <file> --output <dir>
+  node scripts/data-dictionary.js --input <file> --find <text>
+
+Options:
+  -i, --input <file>        Input schema SDL file (full or filtered)
+  -o, --output <dir>        Write <REGISTER>.json per register and index.json to <dir>
+  -m, --mappings <file>     Domain mappings JSON file (default: computed from the input)
+  -r, --registers <list>    Comma-separated registers to write (default: all)
+  --find <text>             Print entities/fields whose legal source or model URI contains <text>
+  -h, --help                Show this help
+
+Examples:
+  node scripts/data-dictionary.js -i FLEXCURRENT_V001.schema.graphql -m FLEXCURRENT_V001.schema-domain-mappings.json -o dictionary/
+  node scripts/data-dictionary.js -i FLEXCURRENT_V001.schema.graphql --find https://www.retsinformation.dk/eli/lta/2019/797
+`);
+}
+
+function parseArgs(argv) {
+  const args = argv.slice(2);
+  const config = {
+    input: null,
+    output: null,
+    mappings: null,
+    registers: [],
+    find: null,
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    switch (a) {
+      case "--input":
+      case "-i":
+        config.input = args[++i];
+        break;
+      case "--output":
+      case "-o":
+        config.output = args[++i];
+        break;
+      case "--mappings":
+      case "-m":
+        config.mappings = args[++i];
+        break;
+      case "--registers":
+      case "-r": {
+        const v = args[++i] || "";
+        config.registers = v
+          .split(",")
+          .map((s) => s.trim())
+          .filter(Boolean);
+        break;
+      }
+      case "--find":
+        config.find = args[++i];
+        break;
+      case "--help":
+      case "-h":
+        printHelp();
+        process.exit(0);
+      default:
+        if (a.startsWith("-")) {
+          console.warn(`Warning: unknown argument: ${a}`);
+        }
+        break;
+    }
+  }
+
+  if (!config.input || (!config.output && !config.find)) {
+    printHelp();
+    throw new Error("Missing required arguments: --input and --output (or --find)");
+  }
+
+  return config;
+}
+
+function writeJson(filePath, value) {
+  fs.writeFileSync(filePath, JSON.stringify(value, null, 2) + "\n", "utf8");
+}
+
+function main() {
+  const cfg = parseArgs(process.argv);
+
+  const inputPath = path.resolve(cfg.input);
+  const mappingsPath = cfg.mappings ? path.resolve(cfg.mappings) : null;
+
+  console.log("Grunddatamodel Data Dictionary");
+  console.log("==============================");
+  console.log(`Input:     ${inputPath}`);
+  console.log(`Mappings:  ${mappingsPath || "(computed from input)"}`);
+  console.log("");
+
+  const doc = parse(fs.readFileSync(inputPath, "utf8"), { noLocation: true });
+  const domainMappings = mappingsPath
+    ? JSON.parse(fs.readFileSync(mappingsPath, "utf8"))
+    : computeDomainMappings(doc).mappings;
+  const { entityToDomain } = buildEntityIndex(domainMappings);
+
+  const known = new Set(entityToDomain.values());
+  for (const r of cfg.registers) {
+    if (!known.has(r)) console.warn(`Warning: no entities in register ${r}`);
+  }
+  const selected = cfg.registers.length ? new Set(cfg.registers) : null;
+  const entities = new Map([...entityToDomain].filter(([, register]) => !selected || selected.has(register)));
+
+  const dictionary = buildDataDictionary(doc, entities);
+  const { registers } = dictionary;
+
+  if (cfg.find) {
+    const hits = new Map(); // ref -> what matched
+    for (const [label, index] of [["legal source", dictionary.byLegalSource], ["URI", dictionary.byUri]]) {
+      for (const [key, refs] of Object.entries(index)) {
+        if (!key.includes(cfg.find)) continue;
+        for (const ref of refs) {
+          if (!hits.has(ref)) hits.set(ref, `${label}: ${key}`);
+        }
+      }
+    }
+    console.log(`${hits.size} match(es) for "${cfg.find}":`);
+    for (const [ref, match] of [...hits.entries()].sort((a, b) => a[0].localeCompare(b[0]))) {
+      console.log(`  ${ref.padEnd(60)} ${match}`);
+    }
+  }
+
+  if (cfg.output) {
+    const outputDir = path.resolve(cfg.output);
+    fs.mkdirSync(outputDir, { recursive: true });
+    for (const entry of registers) {
+      const fields = entry.entities.reduce((n, e) => n + e.fields.length, 0);
+      writeJson(path.join(outputDir, `${entry.register}.json`), entry);
+      console.log(`  ${`${entry.register}.json`.padEnd(16)} ${entry.entities.length} entities, ${fields} fields`);
+    }
+    writeJson(path.join(outputDir, "index.json"), {
+      registers: registers.map((entry) => ({ register: entry.register, file: `${entry.register}.json` })),
+      byLegalSource: dictionary.byLegalSource,
+      byUri: dictionary.byUri,
+    });
+    console.log(`Wrote ${registers.length} register file(s) and index.json to ${outputDir}`);
+  }
+
+  console.log("\n✓ Done");
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error("Error:", err && err.message ? err.message : err);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+/**
+ * Static Data Dictionary Site
+ *
+ * Runs the same simplification as simplify-schema.js and writes an offline,
+ * multi-page HTML data dictionary: one page per domain and per entity with
+ * every field's type, Danish definition and legal source, the entity's
+ * incoming and outgoing relationships, and a client-side search over all
+ * types and fields.
+ *
+ * Usage:
+ *   node scripts/dictionary-site.js --input schema.graphql --mappings domain-mappings.json --output site/
+ *
+ * Options:
+ *   --input, -i           Input SDL file path (full or filtered schema) [required]
+ *   --output, -o          Output directory [required]
+ *   --mappings, -m        Domain mappings JSON file (default: computed from the input)
+ *   --title               Site title (default: "Data dictionary – <input file name>")
+ *   --help, -h            Show help
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parse } = require("graphql");
+
+const { simplifySchema, computeDomainMappings, buildDictionaryModel, renderDictionarySite } = require("../lib");
+
+function printHelp() {
+  console.log(`
+Static Data Dictionary Site
+
+Generates an offline, multi-page HTML data dictionary with client-side search.
+
+Usage:
+  node scripts/dictionary-site.js --input <file> --output <dir> [--mappings <file>]
+
+Options:
+  -i, --input <file>      Input schema SDL file (full or filtered)
+  -o, --output <dir>      Output directory (open index.html)
+  -m, --mappings <file>   Domain mappings JSON file (default: computed from the input)
+  --title <text>          Site title (default: "Data dictionary – <input file name>")
+  -h, --help              Show this help
+
+Examples:
+  node scripts/dictionary-site.js -i FLEXCURRENT_V001.schema.graphql -m FLEXCURRENT_V001.schema-domain-mappings.json -o docs/dictionary
+  node scripts/dictionary-site.js -i schema/FLEXCURRENT_BBR.schema.graphql -o docs/bbr-dictionary --title "BBR data dictionary"
+`);
+}
+
+function parseArgs(argv) {
+  const args = argv.slice(2);
+  const config = {
+    input: null,
+    output: null,
+    mappings: null,
+    title: null,
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    switch (a) {
+      case "--input":
+      case "-i":
+        config.input = args[++i];
+        break;
+      case "--output":
+      case "-o":
+        config.output = args[++i];
+        break;
+      case "--mappings":
+      case "-m":
+        config.mappings = args[++i];
+        break;
+      case "--title":
+        config.title = args[++i];
+        break;
+      case "--help":
+      case "-h":
+        printHelp();
+        process.exit(0);
+      default:
+        if (a.startsWith("-")) {
+          console.warn(`Warning: unknown argument: ${a}`);
+        }
+        break;
+    }
+  }
+
+  if (!config.input || !config.output) {
+    printHelp();
+    throw new Error("Missing required arguments: --input, --output");
+  }
+
+  return config;
+}
+
+function main() {
+  const cfg = parseArgs(process.argv);
+
+  const inputPath = path.resolve(cfg.input);
+  const outputDir = path.resolve(cfg.output);
+  const mappingsPath = cfg.mappings ? path.resolve(cfg.mappings) : null;
+
+  console.log("Static Data Dictionary Site");
+  console.log("===========================");
+  console.log(`Input:     ${inputPath}`);
+  console.log(`Output:    ${outputDir}`);
+  console.log(`Mappings:  ${mappingsPath || "(computed from input)"}`);
+  console.log("");
+
+  const doc = parse(fs.readFileSync(inputPath, "utf8"), { noLocation: true });
+  const domainMappings = mappingsPath
+    ? JSON.parse(fs.readFileSync(mappingsPath, "utf8"))
+    : computeDomainMappings(doc).mappings;
+
+  const result = simplifySchema(doc, domainMappings);
+  // Entities missing from a filtered schema are expected; only report the count
+  if (result.missingEntities.length) {
+    console.log(`Skipped ${result.missingEntities.length} mapped entities not present in the input`);
+  }
+
+  const model = buildDictionaryModel(doc, result, domainMappings);
+  const files = renderDictionarySite(model, {
+    title: cfg.title || `Data dictionary – ${path.basename(inputPath)}`,
+  });
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  let bytes = 0;
+  for (const file of files) {
+    fs.writeFileSync(path.join(outputDir, file.path), file.content, "utf8");
+    bytes += Buffer.byteLength(file.content);
+  }
+
+  console.log(`Domains:   ${model.domains.length}`);
+  console.log(`Entities:  ${Object.keys(model.entities).length}`);
+  console.log(`Types:     ${model.types.length} (all searchable)`);
+  console.log(`Wrote ${files.length} files (${(bytes / 1024 / 1024).toFixed(2)} MB) to ${outputDir}`);
+  console.log(`Open ${path.join(outputDir, "index.html")}`);
+
+  console.log("\n✓ Done");
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error("Error:", err && err.message ? err.message : err);
+    process.exit(1);
+  }
+}
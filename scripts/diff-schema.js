@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+/**
+ * Datafordeler GraphQL Schema Diff (AST-based)
+ *
+ * Compares two SDL schema versions and reports, per register prefix, added,
+ * removed and changed types, fields, arguments, enum values and directives.
+ * Every change is classified as breaking, dangerous or safe.
+ *
+ * Usage:
+ *   node scripts/diff-schema.js --old FLEXCURRENT_V001.schema.graphql --new FLEXCURRENT_V002.schema.graphql
+ *
+ * Options:
+ *   --old                 Old (baseline) SDL file path [required]
+ *   --new                 New SDL file path [required]
+ *   --registers, -r       Comma-separated register prefixes to report on (default: all)
+ *   --json                Write the JSON report to this file ("-" for stdout)
+ *   --fail-on             Exit with code 1 on changes of this level or worse: breaking | dangerous
+ *   --help, -h            Show help
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parse } = require("graphql");
+
+const { diffDocuments, summarizeChanges, formatReport } = require("../lib");
+
+function printHelp() {
+  console.log(`
+Datafordeler GraphQL Schema Diff (AST-based)
+
+Usage:
+  node scripts/diff-schema.js --old <file> --new <file>
+
+Options:
+  --old <file>                 Old (baseline) schema SDL file
+  --new <file>                 New schema SDL file
+  -r, --registers <list>       Comma-separated register prefixes to report on (e.g. BBR,DAR). Default: all
+                               Changes to shared (unprefixed) types and directives are always reported
+  --json <file>                Write the JSON report to <file> ("-" for stdout)
+  --fail-on <level>            Exit with code 1 on changes of this level or worse (breaking | dangerous)
+  -h, --help                   Show this help
+
+Examples:
+  node scripts/diff-schema.js --old FLEXCURRENT_V001.schema.graphql --new FLEXCURRENT_V002.schema.graphql
+  node scripts/diff-schema.js --old old.graphql --new new.graphql -r BBR,DAR --json diff.json --fail-on breaking
+`);
+}
+
+function parseArgs(argv) {
+  const args = argv.slice(2);
+  const config = {
+    old: null,
+    new: null,
+    registers: [],
+    json: null,
+    failOn: null,
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    switch (a) {
+      case "--old":
+        config.old = args[++i];
+        break;
+      case "--new":
+        config.new = args[++i];
+        break;
+      case "--registers":
+      case "-r": {
+        const v = args[++i] || "";
+        config.registers = v
+          .split(",")
+          .map((s) => s.trim())
+          .filter(Boolean);
+        break;
+      }
+      case "--json":
+        config.json = args[++i];
+        break;
+      case "--fail-on":
+        config.failOn = args[++i];
+        break;
+      case "--help":
+      case "-h":
+        printHelp();
+        process.exit(0);
+      default:
+        if (a.startsWith("-")) {
+          console.warn(`Warning: unknown argument: ${a}`);
+        }
+        break;
+    }
+  }
+
+  if (!config.old || !config.new) {
+    printHelp();
+    throw new Error("Missing required arguments: --old, --new");
+  }
+  if (config.failOn && !["breaking", "dangerous"].includes(config.failOn)) {
+    throw new Error(`Unknown --fail-on level: ${config.failOn} (expected breaking or dangerous)`);
+  }
+
+  return config;
+}
+
+function main() {
+  const cfg = parseArgs(process.argv);
+
+  const oldPath = path.resolve(cfg.old);
+  const newPath = path.resolve(cfg.new);
+  const jsonToStdout = cfg.json === "-";
+  // Keep stdout clean for piping when the JSON report goes there
+  const log = jsonToStdout ? (...a) => console.error(...a) : (...a) => console.log(...a);
+
+  log("Datafordeler Schema Diff");
+  log("========================");
+  log(`Old:       ${oldPath}`);
+  log(`New:       ${newPath}`);
+  log(`Registers: ${cfg.registers.length ? cfg.registers.join(", ") : "(all)"}`);
+  log("");
+
+  log("Parsing SDL to AST...");
+  const oldDoc = parse(fs.readFileSync(oldPath, "utf8"), { noLocation: true });
+  const newDoc = parse(fs.readFileSync(newPath, "utf8"), { noLocation: true });
+
+  const changes = diffDocuments(oldDoc, newDoc);
+  const summary = summarizeChanges(changes, cfg.registers);
+
+  log("");
+  log(formatReport(summary));
+
+  if (cfg.json) {
+    const report = { old: oldPath, new: newPath, ...summary };
+    const json = JSON.stringify(report, null, 2) + "\n";
+    if (jsonToStdout) {
+      process.stdout.write(json);
+    } else {
+      const jsonPath = path.resolve(cfg.json);
+      fs.mkdirSync(path.dirname(jsonPath), { recursive: true });
+      fs.writeFileSync(jsonPath, json, "utf8");
+      log(`\nWrote JSON report to ${jsonPath}`);
+    }
+  }
+
+  if (cfg.failOn) {
+    const failing = cfg.failOn === "breaking" ? summary.totals.breaking : summary.totals.breaking + summary.totals.dangerous;
+    if (failing > 0) {
+      throw new Error(`${failing} change(s) at level "${cfg.failOn}" or worse`);
+    }
+  }
+
+  log("\n✓ Done");
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error("Error:", err && err.message ? err.message : err);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+/**
+ * ER Diagram Exporter (Graphviz DOT / Mermaid)
+ *
+ * Runs the same simplification as simplify-schema.js and writes the entity
+ * model as a Graphviz DOT digraph (one cluster per domain) or a Mermaid
+ * erDiagram. Edges are labelled with the join field name; list vs. single
+ * cardinality comes from the Connection -> [Entity] rewrite.
+ *
+ * Usage:
+ *   node scripts/export-diagram.js --format dot --input schema.graphql --mappings domain-mappings.json --output er.dot
+ *
+ * Options:
+ *   --format, -f          Output format: dot | mermaid [required]
+ *   --input, -i           Input SDL file path (full or filtered schema) [required]
+ *   --mappings, -m        Domain mappings JSON file [required]
+ *   --output, -o          Output file path [required]
+ *   --domains, -d         Comma-separated domains to include (default: all)
+ *   --with-foreign        Also draw entities outside --domains that selected entities join to
+ *   --attributes          Include non-relationship fields in the entity boxes
+ *   --help, -h            Show help
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parse } = require("graphql");
+
+const { simplifySchema, buildDiagramModel, renderDot, renderMermaid, normalizeMappingEntry } = require("../lib");
+
+const FORMATS = new Set(["dot", "mermaid"]);
+
+function printHelp() {
+  console.log(`
+ER Diagram Exporter (Graphviz DOT / Mermaid)
+
+Usage:
+  node scripts/export-diagram.js --format <dot|mermaid> --input <file> --mappings <file> --output <file>
+
+Options:
+  -f, --format <fmt>      Output format: dot or mermaid
+  -i, --input <file>      Input schema SDL file (full or filtered)
+  -m, --mappings <file>   Domain mappings JSON file
+  -o, --output <file>     Output diagram file
+  -d, --domains <list>    Comma-separated domains to include (e.g. BBR,DAR,MAT). Default: all
+  --with-foreign          Also draw entities outside --domains that selected entities join to
+  --attributes            Include non-relationship fields in the entity boxes
+  -h, --help              Show this help
+
+Examples:
+  node scripts/export-diagram.js -f dot -d BBR,DAR,MAT -i FLEXCURRENT_V001.schema.graphql -m FLEXCURRENT_V001.schema-domain-mappings.json -o docs/ejendom.dot
+  node scripts/export-diagram.js -f mermaid -d BBR -i FLEXCURRENT_V001.schema.graphql -m FLEXCURRENT_V001.schema-domain-mappings.json -o docs/bbr.mmd
+`);
+}
+
+function parseArgs(argv) {
+  const args = argv.slice(2);
+  const config = {
+    format: null,
+    input: null,
+    output: null,
+    mappings: null,
+    domains: [],
+    withForeign: false,
+    attributes: false,
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    switch (a) {
+      case "--format":
+      case "-f":
+        config.format = (args[++i] || "").toLowerCase();
+        break;
+      case "--input":
+      case "-i":
+        config.input = args[++i];
+        break;
+      case "--output":
+      case "-o":
+        config.output = args[++i];
+        break;
+      case "--mappings":
+      case "-m":
+        config.mappings = args[++i];
+        break;
+      case "--domains":
+      case "-d": {
+        const v = args[++i] || "";
+        config.domains = v
+          .split(",")
+          .map((s) => s.trim())
+          .filter(Boolean);
+        break;
+      }
+      case "--with-foreign":
+        config.withForeign = true;
+        break;
+      case "--attributes":
+        config.attributes = true;
+        break;
+      case "--help":
+      case "-h":
+        printHelp();
+        process.exit(0);
+      default:
+        if (a.startsWith("-")) {
+          console.warn(`Warning: unknown argument: ${a}`);
+        }
+        break;
+    }
+  }
+
+  if (!config.format || !config.input || !config.output || !config.mappings) {
+    printHelp();
+    throw new Error("Missing required arguments: --format, --input, --output, --mappings");
+  }
+  if (!FORMATS.has(config.format)) {
+    throw new Error(`Unknown --format: ${config.format} (expected dot or mermaid)`);
+  }
+
+  return config;
+}
+
+function main() {
+  const cfg = parseArgs(process.argv);
+
+  const inputPath = path.resolve(cfg.input);
+  const outputPath = path.resolve(cfg.output);
+  const mappingsPath = path.resolve(cfg.mappings);
+
+  console.log("ER Diagram Exporter");
+  console.log("===================");
+  console.log(`Format:    ${cfg.format}`);
+  console.log(`Input:     ${inputPath}`);
+  console.log(`Mappings:  ${mappingsPath}`);
+  console.log(`Output:    ${outputPath}`);
+  console.log(`Domains:   ${cfg.domains.length ? cfg.domains.join(", ") : "(all)"}`);
+  console.log("");
+
+  const domainMappings = JSON.parse(fs.readFileSync(mappingsPath, "utf8"));
+
+  const knownDomains = new Set(Object.values(domainMappings).map((e) => normalizeMappingEntry(e).domain));
+  const unknown = cfg.domains.filter((d) => !knownDomains.has(d));
+  if (unknown.length) {
+    console.warn(`Warning: domain(s) not present in mappings: ${unknown.join(", ")}`);
+  }
+
+  const sdl = fs.readFileSync(inputPath, "utf8");
+  console.log(`Read ${(sdl.length / 1024 / 1024).toFixed(2)} MB schema file`);
+
+  console.log("Parsing SDL to AST...");
+  const doc = parse(sdl, { noLocation: true });
+
+  const result = simplifySchema(doc, domainMappings);
+  const model = buildDiagramModel(result, { domains: cfg.domains, withForeign: cfg.withForeign });
+
+  const entityCount = model.domains.reduce((n, d) => n + d.entities.length, 0);
+  console.log(`Entities:      ${entityCount}`);
+  console.log(`Relationships: ${model.edges.length}`);
+
+  const out =
+    cfg.format === "dot"
+      ? renderDot(model, { attributes: cfg.attributes })
+      : renderMermaid(model, { attributes: cfg.attributes });
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, out, "utf8");
+  console.log(`Wrote ${(out.length / 1024).toFixed(2)} KB to ${outputPath}`);
+
+  console.log("✓ Done");
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error("Error:", err && err.message ? err.message : err);
+    process.exit(1);
+  }
+}
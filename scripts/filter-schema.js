@@ -12,25 +12,61 @@
  *   --registers, -r       Comma-separated register prefixes (e.g. BBR,CVR,DAR) [required]
  *   --input, -i           Input SDL file path [required]
  *   --output, -o          Output SDL file path [required]
+ *   --root-fields         Comma-separated root field names/globs: keep only these root fields and what they
+ *                         reach (--registers then defaults to their prefixes)
  *   --keep-root-fields    Comma-separated root fields to always keep (e.g. version,health)
  *   --no-prune-foreign    Keep cross-register fields (default is to prune them)
  *   --allow-prefixes      Comma-separated additional underscore-prefixes to allow (e.g. MAT,EJF)
  *   --no-validate         Skip validation/build step (faster for huge schemas)
+ *   --descriptions        full (default) | condensed | none: keep, shorten or drop descriptions
+ *   --include-fields      Comma-separated "Type.field" globs/regexes to keep (restricts only the matched types)
+ *   --exclude-fields      Comma-separated "Type.field" globs/regexes (or "@directive") to drop
+ *   --include-args        Comma-separated argument names (or "Type.field.arg") to keep
+ *   --exclude-args        Comma-separated argument names (or "Type.field.arg") to drop
+ *   --include-directives  Comma-separated directive names to keep
+ *   --exclude-directives  Comma-separated directive names to drop (definition and applications)
+ *   --operations          Directory of .graphql/.gql operation files: emit the minimal schema that still
+ *                         validates all of them (replaces --registers and the other selection options)
+ *   --explain             Comma-separated type names: print the reference chain that kept each one
+ *                         (--output becomes optional; without it nothing is written)
+ *   --closure-report      Write a JSON report of every kept type's seed and reference chain ("-" for stdout)
+ *   --low-memory          Index the input by byte offset and parse only the definitions the selection reaches
+ *                         (for inputs too big to parse whole); prints timings and peak memory
+ *   --timings             Print per-phase timings and peak memory (to compare with --low-memory)
+ *   --profile, -p         Take settings from a profile in graphql-viz.config.json (flags still override)
+ *   --config, -c          Config file path (default: nearest graphql-viz.config.json)
  *   --help, -h            Show help
  */
 
 const fs = require("fs");
 const path = require("path");
 
-const {
-  parse,
-  print,
-  visit,
-  Kind,
-  buildASTSchema,
-} = require("graphql");
+const { parse, buildASTSchema } = require("graphql");
 
-const BUILTIN_SCALARS = new Set(["String", "Int", "Float", "Boolean", "ID"]);
+const {
+  filterSchema,
+  filterSchemaFile,
+  createPhaseTimer,
+  formatPhaseReport,
+  pruneSchemaToOperations,
+  explainType,
+  formatExplanation,
+  closureReport,
+  findConfigFile,
+  loadConfig,
+  resolveProfile,
+  CONFIG_FILE_NAME,
+} = require("../lib");
+
+// CLI flag -> [rules section, list]
+const RULE_FLAGS = {
+  "--include-fields": ["fields", "include"],
+  "--exclude-fields": ["fields", "exclude"],
+  "--include-args": ["arguments", "include"],
+  "--exclude-args": ["arguments", "exclude"],
+  "--include-directives": ["directives", "include"],
+  "--exclude-directives": ["directives", "exclude"],
+};
 
 function printHelp() {
   console.log(`
@@ -43,15 +79,40 @@ Options:
   -r, --registers <list>       Comma-separated register prefixes (e.g. BBR,CVR,DAR)
   -i, --input <file>           Input schema SDL file
   -o, --output <file>          Output filtered SDL file
+  --root-fields <list>         Keep only these root fields (names or globs, e.g. BBR_Bygning,BBR_Enhed*) and the
+                               types they reach; --registers then defaults to the fields' prefixes
   --keep-root-fields <list>    Comma-separated root fields to always keep (in Query/Mutation/Subscription)
   --no-prune-foreign           Keep cross-register fields/types (larger output)
   --allow-prefixes <list>      Comma-separated underscore-prefixes to allow even if not selected (e.g. MAT,EJF)
   --no-validate                Skip building the schema to validate output
+  --descriptions <mode>        full (default), condensed (Grunddatamodel blocks shortened to label,
+                               definition, URI and legal source) or none
+  --include-fields <list>      "Type.field" globs or /regex/ to keep; only types matched by a pattern's type part are restricted
+  --exclude-fields <list>      "Type.field" globs or /regex/ to drop; "@name" drops fields carrying @name
+  --include-args <list>        Argument names (or "Type.field.arg") to keep, all others are dropped
+  --exclude-args <list>        Argument names (or "Type.field.arg") to drop
+  --include-directives <list>  Directive names to keep, all others are dropped
+  --exclude-directives <list>  Directive names to drop (definition and applications)
+  --operations <dir>           Keep exactly what the .graphql/.gql operations in <dir> use (validated before and after);
+                               replaces --registers and the other selection options
+  --explain <list>             Print why these types were kept (reference chain from a seed); --output is then optional
+  --closure-report <file>      Write a JSON report of every kept type's seed and reference chain ("-" for stdout)
+  --low-memory                 Index the input by byte offset, then parse and print only the definitions the
+                               selection reaches (same output, for inputs too big to parse whole); implies --timings
+  --timings                    Print the time and memory of each phase and the peak memory of the run
+  -p, --profile <name>         Take settings from a profile in ${CONFIG_FILE_NAME} (flags still override)
+  -c, --config <file>          Config file (default: nearest ${CONFIG_FILE_NAME})
   -h, --help                   Show this help
 
 Examples:
   node scripts/filter-schema.js -r BBR,DAR -i schema/FLEX_V001.schema.graphql -o schema/FLEX_BBR_DAR.schema.graphql
   node scripts/filter-schema.js -r CVR -i schema/CVR_V001.schema.graphql -o schema/CVR_only.schema.graphql
+  node scripts/filter-schema.js --profile ejendom --no-validate
+  node scripts/filter-schema.js --root-fields BBR_Bygning,BBR_Enhed -i FLEXCURRENT_V001.schema.graphql -o schema/BBR_bygning_enhed.graphql
+  node scripts/filter-schema.js --operations examples/operations -i FLEXCURRENT_V001.schema.graphql -o schema/mobile.graphql
+  node scripts/filter-schema.js -r BBR -i FLEXCURRENT_V001.schema.graphql --explain SpatialFilterInput,DafDateTimeOperationFilterInput
+  node scripts/filter-schema.js -r BBR,DAR -i schema/FLEX_ALL.schema.graphql -o schema/FLEX_BBR_DAR.schema.graphql --low-memory
+  node scripts/filter-schema.js -r BBR -i FLEXCURRENT_V001.schema.graphql -o schema/BBR_frontend.graphql --exclude-fields "*.datafordeler*,@entityJoin" --exclude-directives cost,listSize
 `);
 }
 
@@ -59,13 +120,29 @@ function parseArgs(argv) {
   const args = argv.slice(2);
   const config = {
     registers: [],
+    rootFields: [],
     input: null,
     output: null,
     keepRootFields: new Set(),
     pruneForeign: true,
     allowPrefixes: new Set(),
     validate: true,
+    descriptions: "full",
+    rules: {
+      fields: { include: [], exclude: [] },
+      arguments: { include: [], exclude: [] },
+      directives: { include: [], exclude: [] },
+    },
+    operations: null,
+    explain: [],
+    closureReport: null,
+    lowMemory: false,
+    timings: false,
+    profile: null,
+    configPath: null,
   };
+  // Settings given on the command line win over the profile
+  const explicit = new Set();
 
   for (let i = 0; i < args.length; i++) {
     const a = args[i];
@@ -74,6 +151,7 @@ function parseArgs(argv) {
       case "-r": {
         const v = args[++i];
         if (!v) throw new Error("Missing value for --registers");
+        explicit.add("registers");
         config.registers = v
           .split(",")
           .map((s) => s.trim())
@@ -82,15 +160,27 @@ function parseArgs(argv) {
       }
       case "--input":
       case "-i": {
+        explicit.add("input");
         config.input = args[++i];
         break;
       }
       case "--output":
       case "-o": {
+        explicit.add("output");
         config.output = args[++i];
         break;
       }
+      case "--root-fields": {
+        explicit.add("rootFields");
+        const v = args[++i] || "";
+        config.rootFields = v
+          .split(",")
+          .map((s) => s.trim())
+          .filter(Boolean);
+        break;
+      }
       case "--keep-root-fields": {
+        explicit.add("keepRootFields");
         const v = args[++i] || "";
         v.split(",")
           .map((s) => s.trim())
@@ -99,10 +189,12 @@ function parseArgs(argv) {
         break;
       }
       case "--no-prune-foreign": {
+        explicit.add("pruneForeign");
         config.pruneForeign = false;
         break;
       }
       case "--allow-prefixes": {
+        explicit.add("allowPrefixes");
         const v = args[++i] || "";
         v.split(",")
           .map((s) => s.trim())
@@ -111,15 +203,65 @@ function parseArgs(argv) {
         break;
       }
       case "--no-validate": {
+        explicit.add("validate");
         config.validate = false;
         break;
       }
+      case "--descriptions": {
+        explicit.add("descriptions");
+        config.descriptions = args[++i];
+        break;
+      }
+      case "--operations": {
+        config.operations = args[++i];
+        break;
+      }
+      case "--explain": {
+        const v = args[++i] || "";
+        config.explain = v
+          .split(",")
+          .map((s) => s.trim())
+          .filter(Boolean);
+        break;
+      }
+      case "--closure-report": {
+        config.closureReport = args[++i];
+        break;
+      }
+      case "--low-memory": {
+        config.lowMemory = true;
+        config.timings = true;
+        break;
+      }
+      case "--timings": {
+        config.timings = true;
+        break;
+      }
+      case "--profile":
+      case "-p": {
+        config.profile = args[++i];
+        break;
+      }
+      case "--config":
+      case "-c": {
+        config.configPath = args[++i];
+        break;
+      }
       case "--help":
       case "-h": {
         printHelp();
         process.exit(0);
       }
       default:
+        if (RULE_FLAGS[a]) {
+          const [section, list] = RULE_FLAGS[a];
+          const v = args[++i] || "";
+          v.split(",")
+            .map((s) => s.trim())
+            .filter(Boolean)
+            .forEach((p) => config.rules[section][list].push(p));
+          break;
+        }
         // tolerate unknown args to keep it flexible, but warn
         if (a.startsWith("-")) {
           console.warn(`Warning: unknown argument: ${a}`);
@@ -128,398 +270,288 @@ function parseArgs(argv) {
     }
   }
 
-  if (!config.registers.length || !config.input || !config.output) {
+  if (config.profile) {
+    applyProfile(config, loadProfile(config.configPath, config.profile), explicit);
+  }
+
+  // --explain alone is a dry run; the output file is only needed to write the schema
+  const hasSelection = config.registers.length || config.rootFields.length || config.operations;
+  if (!hasSelection || !config.input || (!config.output && !config.explain.length)) {
     printHelp();
-    throw new Error("Missing required arguments: --registers, --input, --output");
+    throw new Error("Missing required arguments: --registers (or --root-fields / --operations), --input, --output");
+  }
+  if (config.operations && config.lowMemory) {
+    throw new Error("--low-memory cannot be combined with --operations");
   }
 
   return config;
 }
 
-function getNamedType(typeNode) {
-  let t = typeNode;
-  while (t && (t.kind === Kind.NON_NULL_TYPE || t.kind === Kind.LIST_TYPE)) {
-    t = t.type;
+function loadProfile(configPath, name) {
+  const file = configPath || findConfigFile();
+  if (!file) {
+    throw new Error(`--profile needs a config file (--config <file> or ${CONFIG_FILE_NAME})`);
   }
-  return t && t.kind === Kind.NAMED_TYPE ? t.name.value : null;
-}
-
-function defName(def) {
-  return def && def.name && def.name.value ? def.name.value : null;
+  return resolveProfile(loadConfig(file), name);
 }
 
-function isRootTypeName(name) {
-  return name === "Query" || name === "Mutation" || name === "Subscription";
+function applyProfile(config, profile, explicit) {
+  const take = (key, value) => {
+    if (!explicit.has(key)) config[key] = value;
+  };
+  // --registers / --root-fields replace the profile's whole selection, not just half of it
+  const ownSelection = !explicit.has("registers") && !explicit.has("rootFields");
+  if (ownSelection) {
+    config.registers = profile.registers;
+    config.rootFields = profile.rootFields;
+  }
+  take("input", profile.input);
+  if (!explicit.has("output")) {
+    // The output template is filled in with the selection actually used, so an override
+    // never writes over the profile's own artifact
+    config.output = ownSelection ? profile.output : profile.renderOutput(config.registers);
+    if (!ownSelection && (!config.registers.length || config.output === profile.output)) {
+      throw new Error(
+        `Profile "${profile.name}" output ${profile.outputTemplate} cannot name this selection; ` +
+          "pass --output together with --registers / --root-fields"
+      );
+    }
+  }
+  take("keepRootFields", new Set(profile.keepRootFields));
+  take("allowPrefixes", new Set(profile.allowPrefixes));
+  take("pruneForeign", profile.pruneForeign);
+  take("validate", profile.validate);
+  take("descriptions", profile.descriptions);
+
+  // Rule patterns from the command line are added to the profile's
+  const rules = profile.rules || {};
+  for (const [section, list] of Object.values(RULE_FLAGS)) {
+    const fromProfile = (rules[section] && rules[section][list]) || [];
+    config.rules[section][list] = [...fromProfile, ...config.rules[section][list]];
+  }
 }
 
-function underscorePrefix(name) {
-  const idx = name.indexOf("_");
-  if (idx <= 0) return null;
-  return name.slice(0, idx);
+function countRules(rules) {
+  return Object.values(RULE_FLAGS).reduce((n, [section, list]) => n + rules[section][list].length, 0);
 }
 
-function makePrefixMatcher(registers) {
-  const prefixes = registers.map((r) => `${r}_`);
-  return (name) => prefixes.some((p) => name.startsWith(p));
+function findOperationFiles(dir) {
+  const out = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) out.push(...findOperationFiles(full));
+    else if (/\.(graphql|gql)$/.test(entry.name)) out.push(full);
+  }
+  return out.sort();
 }
 
-function collectNamedTypesFromNode(node) {
-  const out = new Set();
-  visit(node, {
-    NamedType(n) {
-      out.add(n.name.value);
-    },
-  });
-  return out;
-}
+function mainOperations(cfg) {
+  const inputPath = path.resolve(cfg.input);
+  const outputPath = cfg.output ? path.resolve(cfg.output) : null;
+  const opsDir = path.resolve(cfg.operations);
+
+  console.log("Datafordeler Schema Filter (operations)");
+  console.log("=======================================");
+  console.log(`Operations: ${opsDir}`);
+  console.log(`Input:      ${inputPath}`);
+  console.log(`Output:     ${outputPath || "(none)"}`);
+  console.log("");
 
-function pruneRootObjectTypeDef(def, matchesRegisterOrKeep) {
-  if (
-    def.kind !== Kind.OBJECT_TYPE_DEFINITION &&
-    def.kind !== Kind.OBJECT_TYPE_EXTENSION
-  ) {
-    return def;
+  const files = findOperationFiles(opsDir);
+  if (!files.length) {
+    throw new Error(`No .graphql/.gql files found in ${opsDir}`);
   }
-  const name = defName(def);
-  if (!name || !isRootTypeName(name)) return def;
-
-  const fields = def.fields || [];
-  const kept = fields.filter((f) => {
-    if (matchesRegisterOrKeep(f.name.value)) return true;
-    const ret = getNamedType(f.type);
-    if (ret && matchesRegisterOrKeep(ret)) return true;
-    return false;
-  });
+  const operations = files.map((file) => ({
+    name: path.relative(opsDir, file),
+    source: fs.readFileSync(file, "utf8"),
+  }));
+  console.log(`Found ${files.length} operation file(s)`);
 
-  return {
-    ...def,
-    fields: kept,
-  };
-}
+  const sdl = fs.readFileSync(inputPath, "utf8");
+  console.log(`Read ${(sdl.length / 1024 / 1024).toFixed(2)} MB`);
 
-function pruneForeignRefs(def, isAllowedTypeName) {
-  // Prune fields/inputFields/union members that reference "foreign" underscore-prefixed types.
-  // This keeps the output schema focused on the selected registers and common (no-underscore) types.
-  switch (def.kind) {
-    case Kind.OBJECT_TYPE_DEFINITION:
-    case Kind.OBJECT_TYPE_EXTENSION:
-    case Kind.INTERFACE_TYPE_DEFINITION:
-    case Kind.INTERFACE_TYPE_EXTENSION: {
-      const fields = def.fields || [];
-      const keptFields = fields.filter((f) => {
-        const names = new Set();
-        const ret = getNamedType(f.type);
-        if (ret) names.add(ret);
-        for (const arg of f.arguments || []) {
-          const an = getNamedType(arg.type);
-          if (an) names.add(an);
-        }
-        for (const n of names) {
-          if (!isAllowedTypeName(n)) return false;
-        }
-        return true;
-      });
+  console.log("Validating operations and collecting usage...");
+  const result = pruneSchemaToOperations(sdl, operations);
 
-      // Also drop implements that are foreign
-      const ifaces = def.interfaces || [];
-      const keptIfaces = ifaces.filter((i) => isAllowedTypeName(i.name.value));
+  for (const { name, errors } of result.invalid) {
+    console.error(`✗ ${name}`);
+    for (const e of errors) console.error(`    ${e}`);
+  }
+  if (result.invalid.length) {
+    throw new Error(`${result.invalid.length} operation file(s) do not validate against ${inputPath}`);
+  }
+  for (const w of result.warnings) {
+    console.warn(`Warning: ${w}`);
+  }
 
-      return { ...def, fields: keptFields, interfaces: keptIfaces };
-    }
-    case Kind.INPUT_OBJECT_TYPE_DEFINITION:
-    case Kind.INPUT_OBJECT_TYPE_EXTENSION: {
-      const fields = def.fields || [];
-      const keptFields = fields.filter((f) => {
-        const n = getNamedType(f.type);
-        return !n || isAllowedTypeName(n);
-      });
-      return { ...def, fields: keptFields };
-    }
-    case Kind.UNION_TYPE_DEFINITION:
-    case Kind.UNION_TYPE_EXTENSION: {
-      const types = def.types || [];
-      const keptTypes = types.filter((t) => isAllowedTypeName(t.name.value));
-      return { ...def, types: keptTypes };
+  const { stats } = result;
+  console.log(`Operations:   ${result.operations.length} (fragment-only files are merged in)`);
+  console.log(`Named types:  ${stats.types}`);
+  console.log(
+    `Used:         ${stats.fields} fields, ${stats.arguments} arguments, ${stats.inputFields} input fields, ${stats.enumValues} enum values`
+  );
+
+  if (cfg.explain.length) {
+    // Types are kept because the operations use them; there is no reference chain to show
+    const kept = new Set(result.document.definitions.map((d) => d.name && d.name.value).filter(Boolean));
+    console.log("\n=== EXPLAIN ===");
+    for (const typeName of cfg.explain) {
+      console.log(`  ${typeName}: ${kept.has(typeName) ? "kept (used by the operations)" : "not kept"}`);
     }
-    default:
-      return def;
+    console.log("");
   }
-}
 
-function updateSchemaDefinitionOps(schemaDef, rootTypeNamesToKeep) {
-  // rootTypeNamesToKeep: Set of operationType kinds to keep, e.g. {"query","subscription"}
-  if (!schemaDef) return null;
-  const ops = schemaDef.operationTypes || [];
-  const kept = ops.filter((op) => rootTypeNamesToKeep.has(op.operation));
-  return { ...schemaDef, operationTypes: kept };
+  console.log("✓ All operations validate against the pruned schema");
+  if (outputPath) {
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, result.sdl, "utf8");
+    console.log(`Wrote ${(result.sdl.length / 1024).toFixed(2)} KB`);
+  }
+  console.log("✓ Done");
 }
 
 function main() {
   const cfg = parseArgs(process.argv);
+  if (cfg.operations) {
+    mainOperations(cfg);
+    return;
+  }
 
   const inputPath = path.resolve(cfg.input);
-  const outputPath = path.resolve(cfg.output);
-
-  console.log("Datafordeler Schema Filter");
-  console.log("=========================");
-  console.log(`Registers: ${cfg.registers.join(", ")}`);
-  console.log(`Input:     ${inputPath}`);
-  console.log(`Output:    ${outputPath}`);
-  console.log(`Validate:  ${cfg.validate ? "yes" : "no"}`);
-  console.log(`Prune foreign: ${cfg.pruneForeign ? "yes" : "no"}`);
+  const outputPath = cfg.output ? path.resolve(cfg.output) : null;
+  const reportToStdout = cfg.closureReport === "-";
+  // Keep stdout clean for piping when the JSON report goes there
+  const log = reportToStdout ? (...a) => console.error(...a) : (...a) => console.log(...a);
+
+  log("Datafordeler Schema Filter");
+  log("=========================");
+  if (cfg.profile) log(`Profile:   ${cfg.profile}`);
+  log(`Registers: ${cfg.registers.length ? cfg.registers.join(", ") : "(from root fields)"}`);
+  if (cfg.rootFields.length) {
+    log(`Root fields: ${cfg.rootFields.join(", ")}`);
+  }
+  log(`Input:     ${inputPath}`);
+  log(`Output:    ${outputPath || "(none)"}`);
+  log(`Validate:  ${cfg.validate ? "yes" : "no"}`);
+  if (cfg.lowMemory) log("Mode:      low-memory (indexed, parse on demand)");
+  log(`Prune foreign: ${cfg.pruneForeign ? "yes" : "no"}`);
+  if (cfg.descriptions !== "full") {
+    log(`Descriptions: ${cfg.descriptions}`);
+  }
   if (cfg.allowPrefixes.size) {
-    console.log(`Allow prefixes: ${Array.from(cfg.allowPrefixes).join(", ")}`);
+    log(`Allow prefixes: ${Array.from(cfg.allowPrefixes).join(", ")}`);
   }
   if (cfg.keepRootFields.size) {
-    console.log(`Keep root fields: ${Array.from(cfg.keepRootFields).join(", ")}`);
+    log(`Keep root fields: ${Array.from(cfg.keepRootFields).join(", ")}`);
   }
-  console.log("");
-
-  const sdl = fs.readFileSync(inputPath, "utf8");
-  console.log(`Read ${(sdl.length / 1024 / 1024).toFixed(2)} MB`);
-
-  console.log("Parsing SDL to AST...");
-  const doc = parse(sdl, { noLocation: true });
-
-  // Build definition indices
-  const defs = doc.definitions;
-  const defsByName = new Map(); // name -> [defs...]
-  const scalarDefs = [];
-  const directiveDefs = [];
-  let schemaDef = null;
-  const schemaExts = [];
-
-  for (const d of defs) {
-    if (d.kind === Kind.SCHEMA_DEFINITION) schemaDef = d;
-    if (d.kind === Kind.SCHEMA_EXTENSION) schemaExts.push(d);
-    if (d.kind === Kind.SCALAR_TYPE_DEFINITION) scalarDefs.push(d);
-    if (d.kind === Kind.DIRECTIVE_DEFINITION) directiveDefs.push(d);
-
-    const name = defName(d);
-    if (name) {
-      const arr = defsByName.get(name) || [];
-      arr.push(d);
-      defsByName.set(name, arr);
-    }
+  const ruleCount = countRules(cfg.rules);
+  if (ruleCount) {
+    log(`Filter rules: ${ruleCount} pattern(s)`);
   }
-
-  const matchesRegister = makePrefixMatcher(cfg.registers);
-  const matchesRegisterOrKeep = (name) =>
-    matchesRegister(name) || cfg.keepRootFields.has(name);
-
-  const isAllowedTypeName = (name) => {
-    if (!name) return true;
-    if (BUILTIN_SCALARS.has(name)) return true;
-    if (isRootTypeName(name)) return true;
-    const p = underscorePrefix(name);
-    if (!p) return true; // no underscore => treat as shared/common
-    if (cfg.allowPrefixes.has(p)) return true;
-    return cfg.registers.includes(p);
+  log("");
+
+  const timer = createPhaseTimer();
+  // Validation runs below, after the output has been written
+  const options = {
+    registers: cfg.registers,
+    rootFields: cfg.rootFields,
+    keepRootFields: cfg.keepRootFields,
+    pruneForeign: cfg.pruneForeign,
+    allowPrefixes: cfg.allowPrefixes,
+    rules: ruleCount ? cfg.rules : null,
+    descriptions: cfg.descriptions,
+    validate: false,
   };
-
-  // Helpful warnings when registers aren't present in the input schema
-  const registerPresence = new Map(
-    cfg.registers.map((r) => [r, { typeDefs: 0, rootFields: 0 }])
-  );
-  for (const [name] of defsByName) {
-    for (const r of cfg.registers) {
-      if (name.startsWith(`${r}_`)) registerPresence.get(r).typeDefs++;
-    }
-  }
-  for (const d of defs) {
-    const name = defName(d);
-    if (!name || !isRootTypeName(name)) continue;
-    const fields = d.fields || [];
-    for (const f of fields) {
-      for (const r of cfg.registers) {
-        if (f.name.value.startsWith(`${r}_`)) {
-          registerPresence.get(r).rootFields++;
-          continue;
-        }
-        const ret = getNamedType(f.type);
-        if (ret && ret.startsWith(`${r}_`)) registerPresence.get(r).rootFields++;
-      }
-    }
-  }
-  const missing = [];
-  for (const [r, p] of registerPresence.entries()) {
-    if (p.typeDefs === 0 && p.rootFields === 0) missing.push(r);
-  }
-  if (missing.length) {
-    console.warn(
-      `Warning: no types or root fields found for register(s): ${missing.join(
-        ", "
-      )}. They may not exist in this input schema.`
+  let result;
+  let definedTypeNames;
+  if (cfg.lowMemory) {
+    log("Indexing definitions and collecting transitive dependencies...");
+    result = filterSchemaFile(inputPath, { ...options, timer });
+    const lm = result.lowMemory;
+    log(
+      `Parsed ${lm.parsedDefinitions} of ${lm.definitions} definitions ` +
+        `(${(lm.parsedBytes / 1024 / 1024).toFixed(2)} of ${(lm.totalBytes / 1024 / 1024).toFixed(2)} MB)`
     );
-  }
-
-  // Create "effective" pruned nodes for root operation types (and remember mapping)
-  const prunedNodeByOriginal = new Map();
-  const rootTypeFieldCounts = new Map(); // Query/Mutation/Subscription -> fields count after prune across defs/exts
-
-  for (const d of defs) {
-    const name = defName(d);
-    if (!name || !isRootTypeName(name)) continue;
-    let pruned = pruneRootObjectTypeDef(d, matchesRegisterOrKeep);
-    if (cfg.pruneForeign) pruned = pruneForeignRefs(pruned, isAllowedTypeName);
-    prunedNodeByOriginal.set(d, pruned);
-    const count = (pruned.fields || []).length;
-    rootTypeFieldCounts.set(name, (rootTypeFieldCounts.get(name) || 0) + count);
-  }
-
-  if (rootTypeFieldCounts.has("Query") && (rootTypeFieldCounts.get("Query") || 0) === 0) {
-    throw new Error(
-      `After pruning, Query has 0 fields. Are the registers correct? (${cfg.registers.join(
-        ", "
-      )})`
-    );
-  }
-
-  // Decide which schema operations to keep based on root type field counts
-  const keepOps = new Set();
-  if ((rootTypeFieldCounts.get("Query") || 0) > 0) keepOps.add("query");
-  if ((rootTypeFieldCounts.get("Mutation") || 0) > 0) keepOps.add("mutation");
-  if ((rootTypeFieldCounts.get("Subscription") || 0) > 0) keepOps.add("subscription");
+    definedTypeNames = () => new Set(lm.typeNames);
+  } else {
+    const sdl = timer.phase("read", () => fs.readFileSync(inputPath, "utf8"));
+    log(`Read ${(sdl.length / 1024 / 1024).toFixed(2)} MB`);
 
-  const effectiveSchemaDef = schemaDef ? updateSchemaDefinitionOps(schemaDef, keepOps) : null;
+    log("Parsing SDL to AST...");
+    const doc = timer.phase("parse", () => parse(sdl, { noLocation: true }));
 
-  // Seed keep-set with:
-  // - all types whose name matches register prefix
-  // - root types referenced by schema (query/mutation/subscription)
-  const keepTypeNames = new Set();
-  for (const [name] of defsByName) {
-    if (matchesRegister(name)) keepTypeNames.add(name);
+    log("Collecting transitive dependencies...");
+    result = timer.phase("filter", () => filterSchema(doc, options));
+    definedTypeNames = () => new Set(doc.definitions.map((d) => d.name && d.name.value).filter(Boolean));
   }
 
-  // Always keep root type names if present in schema ops
-  for (const op of keepOps) {
-    if (op === "query") keepTypeNames.add("Query");
-    if (op === "mutation") keepTypeNames.add("Mutation");
-    if (op === "subscription") keepTypeNames.add("Subscription");
+  for (const w of result.warnings) {
+    console.warn(`Warning: ${w}`);
   }
 
-  // Also keep types referenced by the kept root fields (return + arg types)
-  // We'll discover these via dependency closure below, starting from root types.
-
-  // Dependency closure
-  const queue = Array.from(keepTypeNames);
-  const seen = new Set(queue);
-
-  const enqueue = (t) => {
-    if (!t || BUILTIN_SCALARS.has(t)) return;
-    if (seen.has(t)) return;
-    seen.add(t);
-    queue.push(t);
-  };
-
-  // Keep directive-definition dependencies too (important for federation/join directives etc.)
-  for (const dd of directiveDefs) {
-    const refs = collectNamedTypesFromNode(dd);
-    for (const r of refs) enqueue(r);
-  }
-  // Also include any named types referenced by schema definition / extensions (rare but safe)
-  if (effectiveSchemaDef) {
-    const refs = collectNamedTypesFromNode(effectiveSchemaDef);
-    for (const r of refs) enqueue(r);
+  if (!cfg.registers.length) {
+    log(`Registers (from root fields): ${result.stats.registers.join(", ")}`);
   }
-  for (const se of schemaExts) {
-    const refs = collectNamedTypesFromNode(se);
-    for (const r of refs) enqueue(r);
-  }
-
-  console.log("Collecting transitive dependencies...");
-  while (queue.length) {
-    const typeName = queue.pop();
-    const typeDefs = defsByName.get(typeName) || [];
-    for (const originalDef of typeDefs) {
-      let effectiveDef = prunedNodeByOriginal.get(originalDef) || originalDef;
-      if (cfg.pruneForeign) effectiveDef = pruneForeignRefs(effectiveDef, isAllowedTypeName);
-      const refs = collectNamedTypesFromNode(effectiveDef);
-      for (const r of refs) enqueue(r);
+  log(`Selected named types: ${result.stats.selectedTypes}`);
+  const directiveRules = cfg.rules.directives.include.length + cfg.rules.directives.exclude.length;
+  log(`Directive defs:       ${result.stats.directiveDefs} (${directiveRules ? "after rules" : "kept all"})`);
+  log(`Scalar defs:          ${result.stats.scalarDefs} (kept all)`);
+
+  if (cfg.explain.length) {
+    const defined = definedTypeNames();
+    log("\n=== EXPLAIN ===");
+    for (const typeName of cfg.explain) {
+      const note = defined.has(typeName) ? "" : " (not defined in the input schema)";
+      log(`  ${formatExplanation(explainType(result, typeName))}${note}`);
     }
+    log("");
   }
 
-  // seen now contains all required named types (including enums/inputs/interfaces/etc)
-  const selectedTypeNames = seen;
-
-  console.log(`Selected named types: ${selectedTypeNames.size}`);
-  console.log(`Directive defs:       ${directiveDefs.length} (kept all)`);
-  console.log(`Scalar defs:          ${scalarDefs.length} (kept all)`);
-
-  // Emit filtered document in original order, but:
-  // - schema definition is replaced with pruned ops
-  // - root operation type defs are replaced with pruned defs
-  // - only include named type defs where name is in selectedTypeNames
-  const outDefs = [];
-  for (const d of defs) {
-    if (d.kind === Kind.SCHEMA_DEFINITION) {
-      if (effectiveSchemaDef && effectiveSchemaDef.operationTypes.length) outDefs.push(effectiveSchemaDef);
-      continue;
-    }
-
-    if (d.kind === Kind.SCHEMA_EXTENSION) {
-      // Keep schema extensions only if they still reference kept ops (rare here). For safety, keep as-is.
-      outDefs.push(d);
-      continue;
-    }
-
-    if (d.kind === Kind.DIRECTIVE_DEFINITION) {
-      outDefs.push(d);
-      continue;
-    }
-
-    if (d.kind === Kind.SCALAR_TYPE_DEFINITION) {
-      outDefs.push(d);
-      continue;
-    }
-
-    const name = defName(d);
-    if (!name) {
-      // e.g. schema-less definitions; keep them (rare)
-      outDefs.push(d);
-      continue;
-    }
-
-    if (!selectedTypeNames.has(name)) continue;
-
-    let effective = prunedNodeByOriginal.get(d) || d;
-    if (cfg.pruneForeign) effective = pruneForeignRefs(effective, isAllowedTypeName);
-
-    // If root object ended up with 0 fields (e.g. Subscription) skip it entirely
-    if (isRootTypeName(name)) {
-      const fields = effective.fields || [];
-      if (!fields.length) continue;
-    }
-
-    // Drop unions that end up with no member types
-    if (
-      (effective.kind === Kind.UNION_TYPE_DEFINITION ||
-        effective.kind === Kind.UNION_TYPE_EXTENSION) &&
-      (effective.types || []).length === 0
-    ) {
-      continue;
+  if (cfg.closureReport) {
+    const report = { input: inputPath, registers: result.stats.registers, ...closureReport(result) };
+    const json = JSON.stringify(report, null, 2) + "\n";
+    if (reportToStdout) {
+      process.stdout.write(json);
+    } else {
+      const reportPath = path.resolve(cfg.closureReport);
+      fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+      fs.writeFileSync(reportPath, json, "utf8");
+      log(`Wrote closure report to ${reportPath}`);
     }
+  }
 
-    outDefs.push(effective);
+  if (!outputPath) {
+    printTimings(cfg, timer, log);
+    log("✓ Done");
+    return;
   }
 
-  const outDoc = { ...doc, definitions: outDefs };
-  const outSDL = print(outDoc) + "\n";
+  const outSDL = result.sdl;
 
-  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
-  fs.writeFileSync(outputPath, outSDL, "utf8");
-  console.log(`Wrote ${(outSDL.length / 1024 / 1024).toFixed(2)} MB`);
+  timer.phase("write", () => {
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, outSDL, "utf8");
+  });
+  log(`Wrote ${(outSDL.length / 1024 / 1024).toFixed(2)} MB`);
 
   if (cfg.validate) {
-    console.log("Validating by building schema...");
+    log("Validating by building schema...");
     // This will throw if directives/types are missing or invalid.
-    buildASTSchema(outDoc, { assumeValidSDL: false });
-    console.log("✓ Valid SDL");
+    timer.phase("validate", () => buildASTSchema(result.document, { assumeValidSDL: false }));
+    log("✓ Valid SDL");
   } else {
-    console.log("Skipped validation.");
+    log("Skipped validation.");
   }
 
-  console.log("✓ Done");
+  printTimings(cfg, timer, log);
+  log("✓ Done");
+}
+
+function printTimings(cfg, timer, log) {
+  if (!cfg.timings) return;
+  log(`\n=== TIMINGS (${cfg.lowMemory ? "low-memory" : "full parse"}) ===`);
+  for (const line of formatPhaseReport(timer.report())) log(`  ${line}`);
+  log("");
 }
 
 if (require.main === module) {
@@ -530,5 +562,3 @@ if (require.main === module) {
     process.exit(1);
   }
 }
-
-
@@ -6,11 +6,16 @@
  *   npm run filter BBR
  *   npm run filter BBR DAR
  *   npm run filter BBR DAR MAT
+ *
+ * Input and output pattern come from "defaults" in graphql-viz.config.json
+ * when one is found; otherwise the built-in defaults below are used.
  */
 
-const { spawn } = require('child_process');
+const fs = require('fs');
 const path = require('path');
 
+const { filterSchema, findConfigFile, loadConfig } = require('../lib');
+
 // Get register arguments from command line (skip 'node' and script name)
 const registers = process.argv.slice(2);
 
@@ -20,36 +25,39 @@ if (registers.length === 0) {
   process.exit(1);
 }
 
+const root = path.join(__dirname, '..');
+
+const configPath = findConfigFile(root);
+const defaults = (configPath && loadConfig(configPath).defaults) || {};
+const baseDir = configPath ? path.dirname(configPath) : root;
+
 // Default input file
-const inputFile = './FLEXCURRENT_V001.schema.graphql';
+const inputFile = defaults.input || './FLEXCURRENT_V001.schema.graphql';
 
 // Generate output filename: schema/FLEXCURRENT_BBR_DAR.schema.graphql
-const outputFile = `schema/FLEXCURRENT_${registers.join('_')}.schema.graphql`;
-
-// Build the command arguments
-const args = [
-  path.join(__dirname, 'filter-schema.js'),
-  '--registers', registers.join(','),
-  '--input', inputFile,
-  '--output', outputFile
-];
+const outputFile = (defaults.output || 'schema/FLEXCURRENT_{registers}.schema.graphql')
+  .replace(/\{registers\}/g, registers.join('_'))
+  .replace(/\{profile\}/g, registers.join('_'));
 
 console.log(`Filtering schema for registers: ${registers.join(', ')}`);
 console.log(`Input:  ${inputFile}`);
 console.log(`Output: ${outputFile}`);
 console.log('');
 
-// Spawn the filter-schema.js script
-const child = spawn('node', args, {
-  stdio: 'inherit',
-  cwd: path.join(__dirname, '..')
-});
-
-child.on('error', (error) => {
-  console.error(`Error spawning process: ${error.message}`);
+try {
+  const sdl = fs.readFileSync(path.resolve(baseDir, inputFile), 'utf8');
+  const { sdl: outSDL, stats, warnings } = filterSchema(sdl, { registers });
+
+  warnings.forEach((w) => console.warn(`Warning: ${w}`));
+  console.log(`Selected named types: ${stats.selectedTypes}`);
+
+  const outputPath = path.resolve(baseDir, outputFile);
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, outSDL, 'utf8');
+  console.log(`Wrote ${(outSDL.length / 1024 / 1024).toFixed(2)} MB`);
+  console.log('✓ Valid SDL');
+  console.log('✓ Done');
+} catch (err) {
+  console.error('Error:', err && err.message ? err.message : err);
   process.exit(1);
-});
-
-child.on('exit', (code) => {
-  process.exit(code || 0);
-});
+}
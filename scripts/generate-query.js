@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+/**
+ * Datafordeler Query Generator
+ *
+ * Emits a ready-to-run query for one entity: the root field's temporal and
+ * pagination variables, pageInfo, every scalar field and the @entityJoin
+ * fields up to the given depth, chosen by join kind.
+ *
+ * Usage:
+ *   node scripts/generate-query.js --input FLEXCURRENT_V001.schema.graphql --entity BBR_Bygning --depth 1
+ *
+ * Options:
+ *   --input, -i           Schema SDL file path [required]
+ *   --entity, -e          Entity type or root field name [required]
+ *   --depth, -d           Levels of joins to follow (default 1, 0 = none)
+ *   --join-kinds, -j      Comma-separated join kinds to follow (default StandardBiTemporalLeftJoin)
+ *   --first               Default page size of the root field (default 100)
+ *   --nested-first        Page size for joined lists (default 10)
+ *   --name                Operation name (default: the root field name)
+ *   --output, -o          Output .graphql file (default: stdout)
+ *   --help, -h            Show help
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { generateQuery, DEFAULT_JOIN_KINDS } = require("../lib");
+
+function printHelp() {
+  console.log(`
+Datafordeler Query Generator
+
+Usage:
+  node scripts/generate-query.js --input <schema> --entity <name> [--depth <n>] [--output <file>]
+
+Options:
+  -i, --input <file>           Schema SDL file
+  -e, --entity <name>          Entity type (e.g. BBR_Bygning) or root field name
+  -d, --depth <n>              Levels of @entityJoin fields to follow (default 1, 0 = none)
+  -j, --join-kinds <list>      Join kinds to follow (default ${DEFAULT_JOIN_KINDS.join(",")});
+                               any of StandardBiTemporalLeftJoin, StandardLeftJoin, Custom
+  --first <n>                  Default page size of the root field (default 100)
+  --nested-first <n>           Page size for joined lists (default 10)
+  --name <name>                Operation name (default: the root field name)
+  -o, --output <file>          Write the query to <file> (default: stdout)
+  -h, --help                   Show this help
+
+Examples:
+  node scripts/generate-query.js -i FLEXCURRENT_V001.schema.graphql -e BBR_Bygning
+  node scripts/generate-query.js -i FLEXCURRENT_V001.schema.graphql -e EJF_Ejerskab -d 2 -j StandardBiTemporalLeftJoin,StandardLeftJoin -o queries/ejerskab.graphql
+`);
+}
+
+function parseNumber(flag, v) {
+  const n = Number(v);
+  if (v === undefined || !Number.isInteger(n) || n < 0) throw new Error(`${flag} expects a non-negative integer`);
+  return n;
+}
+
+function parseArgs(argv) {
+  const args = argv.slice(2);
+  const config = {
+    input: null,
+    entity: null,
+    depth: 1,
+    joinKinds: DEFAULT_JOIN_KINDS,
+    first: 100,
+    nestedFirst: 10,
+    name: null,
+    output: null,
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    switch (a) {
+      case "--input":
+      case "-i":
+        config.input = args[++i];
+        break;
+      case "--entity":
+      case "-e":
+        config.entity = args[++i];
+        break;
+      case "--depth":
+      case "-d":
+        config.depth = parseNumber(a, args[++i]);
+        break;
+      case "--join-kinds":
+      case "-j": {
+        const v = args[++i] || "";
+        config.joinKinds = v
+          .split(",")
+          .map((s) => s.trim())
+          .filter(Boolean);
+        break;
+      }
+      case "--first":
+        config.first = parseNumber(a, args[++i]);
+        break;
+      case "--nested-first":
+        config.nestedFirst = parseNumber(a, args[++i]);
+        break;
+      case "--name":
+        config.name = args[++i];
+        break;
+      case "--output":
+      case "-o":
+        config.output = args[++i];
+        break;
+      case "--help":
+      case "-h":
+        printHelp();
+        process.exit(0);
+      default:
+        if (a.startsWith("-")) {
+          console.warn(`Warning: unknown argument: ${a}`);
+        }
+        break;
+    }
+  }
+
+  if (!config.input || !config.entity) {
+    printHelp();
+    throw new Error("Missing required arguments: --input and --entity");
+  }
+
+  return config;
+}
+
+function main() {
+  const cfg = parseArgs(process.argv);
+
+  const inputPath = path.resolve(cfg.input);
+  // The query goes to stdout unless --output is given; keep the log on stderr then
+  const log = cfg.output ? (...a) => console.log(...a) : (...a) => console.error(...a);
+
+  log("Datafordeler Query Generator");
+  log("============================");
+  log(`Schema:      ${inputPath}`);
+  log(`Entity:      ${cfg.entity}`);
+  log(`Depth:       ${cfg.depth}`);
+  log(`Join kinds:  ${cfg.joinKinds.join(", ")}`);
+
+  const result = generateQuery(fs.readFileSync(inputPath, "utf8"), cfg.entity, {
+    depth: cfg.depth,
+    joinKinds: cfg.joinKinds,
+    first: cfg.first,
+    nestedFirst: cfg.nestedFirst,
+    operationName: cfg.name,
+  });
+  for (const w of result.warnings) console.warn(`Warning: ${w}`);
+
+  log(`Root field:  ${result.rootField} -> ${result.entity}`);
+  log(`Variables:   ${result.variables.map((v) => `$${v.name}: ${v.type}`).join(", ")}`);
+  log(`Joins:       ${result.joins.length} followed, ${result.skippedJoins.length} left out`);
+  for (const j of result.joins) {
+    log(`  ${j.path} -> ${j.type}${j.list ? " (list)" : ""}  [${j.joinKind}]`);
+  }
+
+  if (cfg.output) {
+    const outPath = path.resolve(cfg.output);
+    fs.mkdirSync(path.dirname(outPath), { recursive: true });
+    fs.writeFileSync(outPath, result.query, "utf8");
+    log(`\nWrote ${outPath}`);
+    log("\n✓ Done");
+  } else {
+    process.stdout.write(result.query);
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error("Error:", err && err.message ? err.message : err);
+    process.exit(1);
+  }
+}
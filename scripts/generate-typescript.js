@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+/**
+ * TypeScript Type Generator
+ *
+ * Runs the same simplification as simplify-schema.js and writes the entity
+ * model as TypeScript: one module per domain with an interface per entity,
+ * `import type` lines for cross-domain relationships and JSDoc taken from the
+ * Grunddatamodel descriptions (prefLabel, definition, URI).
+ *
+ * Usage:
+ *   node scripts/generate-typescript.js --input schema.graphql --mappings domain-mappings.json --output types/
+ *
+ * Options:
+ *   --input, -i           Input SDL file path (full or filtered schema) [required]
+ *   --output, -o          Output directory [required]
+ *   --mappings, -m        Domain mappings JSON file (default: computed from the input)
+ *   --domains, -d         Comma-separated domains to emit (default: all). Entities they
+ *                         reference in other domains are emitted as well
+ *   --fidelity            Simplify in fidelity mode: enums become string literal unions and
+ *                         list / non-null wrappers of scalar fields are kept
+ *   --help, -h            Show help
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parse } = require("graphql");
+
+const { simplifySchema, computeDomainMappings, renderTypeScript } = require("../lib");
+
+function printHelp() {
+  console.log(`
+TypeScript Type Generator
+
+Usage:
+  node scripts/generate-typescript.js --input <file> --output <dir> [--mappings <file>]
+
+Options:
+  -i, --input <file>      Input schema SDL file (full or filtered)
+  -o, --output <dir>      Output directory for the .ts modules
+  -m, --mappings <file>   Domain mappings JSON file (default: computed from the input)
+  -d, --domains <list>    Comma-separated domains to emit (e.g. BBR,DAR). Default: all
+  --fidelity              Keep enums (as string literal unions) and the list / non-null
+                          wrappers of scalar fields
+  -h, --help              Show this help
+
+Examples:
+  node scripts/generate-typescript.js -i FLEXCURRENT_V001.schema.graphql -m FLEXCURRENT_V001.schema-domain-mappings.json -o types/
+  node scripts/generate-typescript.js -i schema/FLEXCURRENT_BBR.schema.graphql -d BBR -o frontend/src/types/
+`);
+}
+
+function parseArgs(argv) {
+  const args = argv.slice(2);
+  const config = {
+    input: null,
+    output: null,
+    mappings: null,
+    domains: [],
+    fidelity: false,
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    switch (a) {
+      case "--input":
+      case "-i":
+        config.input = args[++i];
+        break;
+      case "--output":
+      case "-o":
+        config.output = args[++i];
+        break;
+      case "--mappings":
+      case "-m":
+        config.mappings = args[++i];
+        break;
+      case "--domains":
+      case "-d": {
+        const v = args[++i] || "";
+        config.domains = v
+          .split(",")
+          .map((s) => s.trim())
+          .filter(Boolean);
+        break;
+      }
+      case "--fidelity":
+        config.fidelity = true;
+        break;
+      case "--help":
+      case "-h":
+        printHelp();
+        process.exit(0);
+      default:
+        if (a.startsWith("-")) {
+          console.warn(`Warning: unknown argument: ${a}`);
+        }
+        break;
+    }
+  }
+
+  if (!config.input || !config.output) {
+    printHelp();
+    throw new Error("Missing required arguments: --input, --output");
+  }
+
+  return config;
+}
+
+function main() {
+  const cfg = parseArgs(process.argv);
+
+  const inputPath = path.resolve(cfg.input);
+  const outputDir = path.resolve(cfg.output);
+  const mappingsPath = cfg.mappings ? path.resolve(cfg.mappings) : null;
+
+  console.log("TypeScript Type Generator");
+  console.log("=========================");
+  console.log(`Input:     ${inputPath}`);
+  console.log(`Output:    ${outputDir}`);
+  console.log(`Mappings:  ${mappingsPath || "(computed from input)"}`);
+  console.log(`Domains:   ${cfg.domains.length ? cfg.domains.join(", ") : "(all)"}`);
+  if (cfg.fidelity) console.log("Fidelity:  enums, custom scalars and wrappers kept");
+  console.log("");
+
+  const doc = parse(fs.readFileSync(inputPath, "utf8"), { noLocation: true });
+  const domainMappings = mappingsPath
+    ? JSON.parse(fs.readFileSync(mappingsPath, "utf8"))
+    : computeDomainMappings(doc).mappings;
+
+  const result = simplifySchema(doc, domainMappings, { descriptions: true, fidelity: cfg.fidelity });
+  for (const w of result.warnings) console.warn(`Warning: ${w}`);
+
+  const known = new Set(result.entityToDomain.values());
+  for (const d of cfg.domains) {
+    if (!known.has(d)) console.warn(`Warning: no entities in domain ${d}`);
+  }
+
+  const { files, entities } = renderTypeScript(result, { domains: cfg.domains });
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  for (const file of files) {
+    fs.writeFileSync(path.join(outputDir, file.path), file.content, "utf8");
+    console.log(`  ${file.path.padEnd(16)} ${(file.content.length / 1024).toFixed(1)} KB`);
+  }
+  console.log(`Wrote ${entities} entity interfaces in ${files.length - 1} module(s) to ${outputDir}`);
+
+  console.log("\n✓ Done");
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error("Error:", err && err.message ? err.message : err);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+/**
+ * Datafordeler Query Linter
+ *
+ * Validates .graphql operation files against the schema and checks them
+ * offline against the service's @cost, @listSize, @filterRequirement,
+ * @filterBounds and @requiredField rules. Prints each operation's static cost
+ * and every violation as file:line:column.
+ *
+ * Usage:
+ *   node scripts/lint-operations.js --input FLEXCURRENT_V001.schema.graphql queries/
+ *
+ * Options:
+ *   --input, -i           Schema SDL file path [required]
+ *   --max-cost            Report operations costing more than this as errors
+ *   --default-list-size   Size assumed for list fields without @listSize (default 1)
+ *   --json                Write the JSON report to this file ("-" for stdout)
+ *   --fail-on             Exit with code 1 on: error (default) | warning | never
+ *   --help, -h            Show help
+ *
+ * Remaining arguments are operation files or directories (searched recursively
+ * for .graphql / .gql files).
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { lintOperations, formatLintReport } = require("../lib");
+
+const FAIL_ON = new Set(["error", "warning", "never"]);
+
+function printHelp() {
+  console.log(`
+Datafordeler Query Linter
+
+Usage:
+  node scripts/lint-operations.js --input <schema> <files or directories...>
+
+Options:
+  -i, --input <file>           Schema SDL file
+  --max-cost <n>               Report operations costing more than <n> as errors
+  --default-list-size <n>      Size assumed for list fields without @listSize (default 1)
+  --json <file>                Write the JSON report to <file> ("-" for stdout)
+  --fail-on <level>            Exit with code 1 on: error (default), warning or never
+  -h, --help                   Show this help
+
+Examples:
+  node scripts/lint-operations.js -i FLEXCURRENT_V001.schema.graphql examples/operations
+  node scripts/lint-operations.js -i FLEXCURRENT_V001.schema.graphql queries/ --max-cost 50000 --json lint.json
+`);
+}
+
+function parseNumber(flag, v) {
+  const n = Number(v);
+  if (v === undefined || !Number.isFinite(n)) throw new Error(`${flag} expects a number`);
+  return n;
+}
+
+function parseArgs(argv) {
+  const args = argv.slice(2);
+  const config = {
+    input: null,
+    paths: [],
+    maxCost: null,
+    defaultListSize: 1,
+    json: null,
+    failOn: "error",
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    switch (a) {
+      case "--input":
+      case "-i":
+        config.input = args[++i];
+        break;
+      case "--max-cost":
+        config.maxCost = parseNumber(a, args[++i]);
+        break;
+      case "--default-list-size":
+        config.defaultListSize = parseNumber(a, args[++i]);
+        break;
+      case "--json":
+        config.json = args[++i];
+        break;
+      case "--fail-on":
+        config.failOn = args[++i];
+        break;
+      case "--help":
+      case "-h":
+        printHelp();
+        process.exit(0);
+      default:
+        if (a.startsWith("-")) {
+          console.warn(`Warning: unknown argument: ${a}`);
+        } else {
+          config.paths.push(a);
+        }
+        break;
+    }
+  }
+
+  if (!config.input || !config.paths.length) {
+    printHelp();
+    throw new Error("Missing required arguments: --input and at least one operation file or directory");
+  }
+  if (!FAIL_ON.has(config.failOn)) {
+    throw new Error(`Unknown --fail-on level: ${config.failOn} (expected error, warning or never)`);
+  }
+
+  return config;
+}
+
+function findOperationFiles(p) {
+  const stat = fs.statSync(p);
+  if (stat.isFile()) return [p];
+  const out = [];
+  for (const entry of fs.readdirSync(p, { withFileTypes: true })) {
+    const full = path.join(p, entry.name);
+    if (entry.isDirectory()) out.push(...findOperationFiles(full));
+    else if (/\.(graphql|gql)$/.test(entry.name)) out.push(full);
+  }
+  return out.sort();
+}
+
+function main() {
+  const cfg = parseArgs(process.argv);
+
+  const inputPath = path.resolve(cfg.input);
+  const jsonToStdout = cfg.json === "-";
+  // Keep stdout clean for piping when the JSON report goes there
+  const log = jsonToStdout ? (...a) => console.error(...a) : (...a) => console.log(...a);
+
+  const files = cfg.paths.flatMap((p) => findOperationFiles(path.resolve(p)));
+  if (!files.length) {
+    throw new Error(`No .graphql/.gql files found in ${cfg.paths.join(", ")}`);
+  }
+
+  log("Datafordeler Query Linter");
+  log("=========================");
+  log(`Schema:    ${inputPath}`);
+  log(`Files:     ${files.length}`);
+  log(`Max cost:  ${cfg.maxCost === null ? "(none)" : cfg.maxCost}`);
+  log("");
+
+  const operations = files.map((file) => ({
+    name: path.relative(process.cwd(), file),
+    source: fs.readFileSync(file, "utf8"),
+  }));
+  const report = lintOperations(fs.readFileSync(inputPath, "utf8"), operations, {
+    maxCost: cfg.maxCost,
+    defaultListSize: cfg.defaultListSize,
+  });
+
+  log(formatLintReport(report));
+
+  if (cfg.json) {
+    const json = JSON.stringify({ schema: inputPath, maxCost: cfg.maxCost, ...report }, null, 2) + "\n";
+    if (jsonToStdout) {
+      process.stdout.write(json);
+    } else {
+      const jsonPath = path.resolve(cfg.json);
+      fs.mkdirSync(path.dirname(jsonPath), { recursive: true });
+      fs.writeFileSync(jsonPath, json, "utf8");
+      log(`\nWrote JSON report to ${jsonPath}`);
+    }
+  }
+
+  const { totals } = report;
+  const failing = cfg.failOn === "never" ? 0 : totals.error + (cfg.failOn === "warning" ? totals.warning : 0);
+  if (failing > 0) {
+    throw new Error(`${failing} problem(s) at level "${cfg.failOn}" or worse`);
+  }
+
+  log("\n✓ Done");
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error("Error:", err && err.message ? err.message : err);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+/**
+ * Schema Merge
+ *
+ * The reverse of filter-schema.js: merges per-register schemas, possibly from
+ * different service versions (e.g. CVR_V001 and FLEXCURRENT_V001), into one
+ * composite schema. Identical shared definitions are deduplicated, root fields
+ * are recombined, and definitions that differ are reported as conflicts and
+ * resolved with --strategy / --resolve.
+ *
+ * Usage:
+ *   node scripts/merge-schema.js -o schema/gateway.graphql schema/FLEXCURRENT_BBR.schema.graphql schema/CVR.graphql
+ *
+ * Options:
+ *   --input, -i           Comma-separated input SDL files (may also be given as plain arguments)
+ *   --output, -o          Output SDL file path [required]
+ *   --strategy, -s        error (default) | first | last | union: how to resolve conflicts
+ *   --resolve             Comma-separated Name=strategy overrides (e.g. DafStringOperationFilterInput=union,
+ *                         Query.CVR_Virksomhed=last, @cost=first)
+ *   --report              Write a JSON report (conflicts, root field sources, register versions; "-" for stdout)
+ *   --no-validate         Skip building the merged schema to validate it
+ *   --help, -h            Show help
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { mergeSchemas, MERGE_STRATEGIES } = require("../lib");
+
+function printHelp() {
+  console.log(`
+Schema Merge
+
+Merges per-register schemas (e.g. from filter-schema.js or split-schema.js, possibly of
+different service versions) into one schema, deduplicating shared definitions.
+
+Usage:
+  node scripts/merge-schema.js --output <file> [--strategy <name>] <input> <input> ...
+
+Options:
+  -i, --input <list>        Comma-separated input SDL files (or pass them as plain arguments)
+  -o, --output <file>       Output merged SDL file
+  -s, --strategy <name>     How to resolve conflicting definitions (default: error):
+                              error  report them and write nothing
+                              first  keep the definition of the first input that has it
+                              last   keep the definition of the last input that has it
+                              union  combine fields, enum values, union members and directive locations;
+                                     root fields combine their arguments and keep the first return type
+  --resolve <list>          Name=strategy overrides for single definitions, e.g.
+                            DafStringOperationFilterInput=union,Query.CVR_Virksomhed=last,@cost=first
+  --report <file>           Write a JSON report of conflicts, root field sources and register versions ("-" for stdout)
+  --no-validate             Skip building the merged schema to validate it
+  -h, --help                Show this help
+
+Examples:
+  node scripts/merge-schema.js -o schema/gateway.graphql schema/FLEXCURRENT_BBR.schema.graphql \\
+    schema/FLEXCURRENT_DAR.schema.graphql
+  node scripts/merge-schema.js -o schema/gateway.graphql -s union --report schema/gateway.merge.json \\
+    schema/FLEXCURRENT_BBR.schema.graphql schema/CVR_V001.graphql
+`);
+}
+
+function parseList(value) {
+  return (value || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function parseArgs(argv) {
+  const args = argv.slice(2);
+  const config = {
+    inputs: [],
+    output: null,
+    strategy: "error",
+    resolve: {},
+    report: null,
+    validate: true,
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    switch (a) {
+      case "--input":
+      case "-i":
+        config.inputs.push(...parseList(args[++i]));
+        break;
+      case "--output":
+      case "-o":
+        config.output = args[++i];
+        break;
+      case "--strategy":
+      case "-s":
+        config.strategy = args[++i];
+        break;
+      case "--resolve":
+        for (const entry of parseList(args[++i])) {
+          const at = entry.lastIndexOf("=");
+          if (at <= 0) throw new Error(`--resolve expects Name=strategy, got ${entry}`);
+          config.resolve[entry.slice(0, at)] = entry.slice(at + 1);
+        }
+        break;
+      case "--report":
+        config.report = args[++i];
+        break;
+      case "--no-validate":
+        config.validate = false;
+        break;
+      case "--help":
+      case "-h":
+        printHelp();
+        process.exit(0);
+      default:
+        if (a.startsWith("-")) {
+          console.warn(`Warning: unknown argument: ${a}`);
+        } else {
+          config.inputs.push(a);
+        }
+        break;
+    }
+  }
+
+  if (config.inputs.length < 2 || !config.output) {
+    printHelp();
+    throw new Error("Missing required arguments: --output and at least two input files");
+  }
+  if (!MERGE_STRATEGIES.includes(config.strategy)) {
+    throw new Error(`Unknown --strategy: ${config.strategy} (expected ${MERGE_STRATEGIES.join(", ")})`);
+  }
+
+  return config;
+}
+
+// FLEXCURRENT_BBR.schema.graphql -> FLEXCURRENT_BBR; the relative path when base names repeat
+function sourceNames(files) {
+  const base = (f) => path.basename(f).replace(/(\.schema)?\.graphql$/, "");
+  const counts = new Map();
+  for (const f of files) counts.set(base(f), (counts.get(base(f)) || 0) + 1);
+  return files.map((f) => (counts.get(base(f)) > 1 ? path.relative(process.cwd(), f) : base(f)));
+}
+
+function main() {
+  const cfg = parseArgs(process.argv);
+
+  const inputPaths = cfg.inputs.map((f) => path.resolve(f));
+  const outputPath = path.resolve(cfg.output);
+  const reportToStdout = cfg.report === "-";
+  // Keep stdout clean for piping when the JSON report goes there
+  const log = reportToStdout ? (...a) => console.error(...a) : (...a) => console.log(...a);
+
+  log("Schema Merge");
+  log("============");
+  log(`Output:    ${outputPath}`);
+  log(`Strategy:  ${cfg.strategy}`);
+  const overrides = Object.entries(cfg.resolve);
+  if (overrides.length) {
+    log(`Resolve:   ${overrides.map(([name, strategy]) => `${name}=${strategy}`).join(", ")}`);
+  }
+  log("");
+
+  const names = sourceNames(inputPaths);
+  const sources = inputPaths.map((file, i) => ({ name: names[i], schema: fs.readFileSync(file, "utf8") }));
+  const width = Math.max(...names.map((n) => n.length));
+  log("Inputs:");
+  sources.forEach((s, i) => {
+    const size = `${(s.schema.length / 1024).toFixed(0)} KB`;
+    log(`  ${s.name.padEnd(width)}  ${size.padStart(7)}  ${inputPaths[i]}`);
+  });
+  log("");
+
+  const result = mergeSchemas(sources, { strategy: cfg.strategy, resolve: cfg.resolve, validate: cfg.validate });
+  for (const w of result.warnings) console.warn(`Warning: ${w}`);
+
+  const { stats } = result;
+  log(`Registers:     ${result.registers.map((r) => `${r.register} ${r.version}`).join(", ") || "(none described)"}`);
+  log(`Root fields:   ${stats.rootFields}`);
+  log(`Types:         ${stats.types}`);
+  log(`Deduplicated:  ${stats.deduplicated} identical definition(s)`);
+  log(`Conflicts:     ${stats.conflicts}${stats.unresolved ? ` (${stats.unresolved} unresolved)` : ""}`);
+
+  if (result.conflicts.length) {
+    log("\n=== CONFLICTS ===");
+    for (const c of result.conflicts) {
+      const resolution = c.resolution === "error" ? "UNRESOLVED" : c.resolution;
+      log(`  ${c.name} (${c.kind}) in ${c.sources.join(", ")} -> ${resolution}`);
+      for (const d of c.differences) log(`    [${d.level.toUpperCase()}] ${d.message}`);
+      for (const note of c.notes) log(`    note: ${note}`);
+    }
+    log("");
+  }
+
+  if (cfg.report) {
+    const report = {
+      output: outputPath,
+      strategy: cfg.strategy,
+      resolve: cfg.resolve,
+      inputs: sources.map((s, i) => ({ name: s.name, file: inputPaths[i] })),
+      stats,
+      registers: result.registers,
+      rootFields: result.rootFields,
+      conflicts: result.conflicts,
+      warnings: result.warnings,
+    };
+    const json = JSON.stringify(report, null, 2) + "\n";
+    if (reportToStdout) {
+      process.stdout.write(json);
+    } else {
+      const reportPath = path.resolve(cfg.report);
+      fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+      fs.writeFileSync(reportPath, json, "utf8");
+      log(`Wrote merge report to ${reportPath}`);
+    }
+  }
+
+  if (stats.unresolved) {
+    throw new Error(
+      `${stats.unresolved} conflict(s) without a resolution; ` +
+        "use --strategy first|last|union or --resolve <Name>=<strategy>"
+    );
+  }
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, result.sdl, "utf8");
+  log(`Wrote ${(result.sdl.length / 1024 / 1024).toFixed(2)} MB`);
+  log(cfg.validate ? "✓ Valid SDL" : "Skipped validation.");
+  log("✓ Done");
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error("Error:", err && err.message ? err.message : err);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+/**
+ * Mock GraphQL Server
+ *
+ * Serves a schema produced by filter-schema.js with deterministic fake data,
+ * so front-ends can be developed offline. Pagination (first/after, pageInfo),
+ * virkningstid and where: filters behave like the Datafordeler API, and joins
+ * resolve to the same records across registers.
+ *
+ * Usage:
+ *   node scripts/mock-server.js --input schema/FLEXCURRENT_BBR_DAR.schema.graphql --port 4000
+ *
+ * Options:
+ *   --input, -i           Input SDL file path (a filtered schema) [required]
+ *   --port, -p            Port to listen on (default: 4000)
+ *   --host                Host to bind (default: localhost)
+ *   --seed                Seed for the fake data (default: "datafordeler")
+ *   --records, -n         Records per entity type (default: 25)
+ *   --page-size           Page size when `first` is omitted (default: 100)
+ *   --quiet, -q           Do not log requests
+ *   --help, -h            Show help
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parse } = require("graphql");
+
+const { createMockApi, createMockServer, DEFAULT_MOCK_OPTIONS } = require("../lib");
+
+function printHelp() {
+  console.log(`
+Mock GraphQL Server
+
+Serves a filtered schema with deterministic fake data for offline development.
+
+Usage:
+  node scripts/mock-server.js --input <file> [--port <n>] [--seed <text>] [--records <n>]
+
+Options:
+  -i, --input <file>      Input schema SDL file (a schema produced by filter-schema.js)
+  -p, --port <n>          Port to listen on (default: 4000)
+  --host <host>           Host to bind (default: localhost)
+  --seed <text>           Seed for the fake data (default: "${DEFAULT_MOCK_OPTIONS.seed}")
+  -n, --records <n>       Records per entity type (default: ${DEFAULT_MOCK_OPTIONS.records})
+  --page-size <n>         Page size when "first" is omitted (default: ${DEFAULT_MOCK_OPTIONS.pageSize})
+  -q, --quiet             Do not log requests
+  -h, --help              Show this help
+
+Endpoints:
+  POST/GET /graphql       GraphQL (introspection included)
+  GET /schema.graphql     The served SDL
+
+Examples:
+  node scripts/filter-schema.js -r BBR,DAR -i FLEXCURRENT_V001.schema.graphql -o schema/FLEXCURRENT_BBR_DAR.schema.graphql
+  node scripts/mock-server.js -i schema/FLEXCURRENT_BBR_DAR.schema.graphql -p 4000
+`);
+}
+
+function parseInteger(value, flag) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) throw new Error(`${flag} must be a non-negative integer, got ${value}`);
+  return n;
+}
+
+function parseArgs(argv) {
+  const args = argv.slice(2);
+  const config = {
+    input: null,
+    port: 4000,
+    host: "localhost",
+    seed: DEFAULT_MOCK_OPTIONS.seed,
+    records: DEFAULT_MOCK_OPTIONS.records,
+    pageSize: DEFAULT_MOCK_OPTIONS.pageSize,
+    quiet: false,
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    switch (a) {
+      case "--input":
+      case "-i":
+        config.input = args[++i];
+        break;
+      case "--port":
+      case "-p":
+        config.port = parseInteger(args[++i], "--port");
+        break;
+      case "--host":
+        config.host = args[++i];
+        break;
+      case "--seed":
+        config.seed = args[++i];
+        break;
+      case "--records":
+      case "-n":
+        config.records = parseInteger(args[++i], "--records");
+        break;
+      case "--page-size":
+        config.pageSize = parseInteger(args[++i], "--page-size");
+        break;
+      case "--quiet":
+      case "-q":
+        config.quiet = true;
+        break;
+      case "--help":
+      case "-h":
+        printHelp();
+        process.exit(0);
+      default:
+        if (a.startsWith("-")) {
+          console.warn(`Warning: unknown argument: ${a}`);
+        }
+        break;
+    }
+  }
+
+  if (!config.input) {
+    printHelp();
+    throw new Error("Missing required argument: --input");
+  }
+
+  return config;
+}
+
+function main() {
+  const cfg = parseArgs(process.argv);
+
+  const inputPath = path.resolve(cfg.input);
+
+  console.log("Mock GraphQL Server");
+  console.log("===================");
+  console.log(`Input:     ${inputPath}`);
+  console.log(`Seed:      ${cfg.seed}`);
+  console.log(`Records:   ${cfg.records} per entity type`);
+  console.log("");
+
+  const doc = parse(fs.readFileSync(inputPath, "utf8"), { noLocation: true });
+  const api = createMockApi(doc, { seed: cfg.seed, records: cfg.records, pageSize: cfg.pageSize });
+
+  const keyed = api.joins.filter((j) => j.mode !== "pick").length;
+  console.log(`Entities:  ${api.entities.length}`);
+  console.log(`Roots:     ${api.roots.length} query fields`);
+  console.log(`Joins:     ${api.joins.length} (${keyed} through foreign-key fields)`);
+  if (!api.roots.length) console.warn("Warning: no root fields return entities; only introspection will be useful");
+
+  const server = createMockServer(api, {
+    onRequest: (r) => {
+      if (cfg.quiet) return;
+      console.log(`${r.method} ${r.path}${r.operationName ? ` ${r.operationName}` : ""} -> ${r.status} (${r.ms} ms)`);
+    },
+  });
+  server.on("error", (err) => {
+    console.error("Error:", err.message);
+    process.exit(1);
+  });
+  server.listen(cfg.port, cfg.host, () => {
+    const url = `http://${cfg.host}:${server.address().port}`;
+    console.log("");
+    console.log(`Listening on ${url}/graphql (schema: ${url}/schema.graphql)`);
+    if (api.roots.length) {
+      const query = `{ ${api.roots[0]}(first: 2, virkningstid: "${new Date().toISOString()}") { nodes { id_lokalId } } }`;
+      console.log(`Try:       curl -s ${url}/graphql -H 'Content-Type: application/json' -d '${JSON.stringify({ query })}'`);
+    }
+    console.log("Press Ctrl+C to stop");
+  });
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error("Error:", err && err.message ? err.message : err);
+    process.exit(1);
+  }
+}
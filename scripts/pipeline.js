@@ -0,0 +1,242 @@
+#!/usr/bin/env node
+/**
+ * Incremental pipeline for all profiles in graphql-viz.config.json
+ *
+ * Builds every artifact of the profiles (filtered schema, domain mappings,
+ * simplified schema, viewer page) in one process. The source schema is
+ * parsed once and its AST cached by content hash, and only the outputs whose
+ * inputs or profile settings changed are rebuilt. With --watch it keeps
+ * running and rebuilds when the config or an input schema changes.
+ *
+ * Usage:
+ *   node scripts/pipeline.js
+ *   node scripts/pipeline.js --profile ejendom --watch
+ *
+ * Options:
+ *   --config, -c          Config file path (default: nearest graphql-viz.config.json)
+ *   --profile, -p         Comma-separated profiles to build (default: all)
+ *   --watch, -w           Rebuild when the config or an input changes
+ *   --force               Rebuild every output, even if it is up to date
+ *   --cache-dir           AST cache and build state directory (default: .graphql-viz-cache next to the config)
+ *   --no-cache            Keep the AST cache in memory only and do not remember builds between runs
+ *   --no-validate         Skip validation of the filtered schemas
+ *   --help, -h            Show help
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const {
+  CONFIG_FILE_NAME,
+  PIPELINE_STATE_FILE,
+  findConfigFile,
+  loadConfig,
+  profileNames,
+  resolveProfile,
+  createAstCache,
+  loadPipelineState,
+  runPipeline,
+  pipelineInputs,
+} = require("../lib");
+
+const CACHE_DIR_NAME = ".graphql-viz-cache";
+const WATCH_DEBOUNCE_MS = 200;
+
+function printHelp() {
+  console.log(`
+Incremental pipeline for all profiles in ${CONFIG_FILE_NAME}
+
+Builds the filtered schema, domain mappings, simplified schema and viewer page
+of each profile, parsing each input once and skipping outputs that are up to date.
+
+Usage:
+  node scripts/pipeline.js [--profile <list>] [--watch] [--config <file>]
+
+Options:
+  -c, --config <file>     Config file (default: nearest ${CONFIG_FILE_NAME})
+  -p, --profile <list>    Comma-separated profiles to build (default: all)
+  -w, --watch             Rebuild when the config or an input schema changes
+  --force                 Rebuild every output, even if it is up to date
+  --cache-dir <dir>       AST cache and build state (default: ${CACHE_DIR_NAME} next to the config)
+  --no-cache              In-memory cache only; every run starts with a full build
+  --no-validate           Skip validation of the filtered schemas
+  -h, --help              Show this help
+
+Examples:
+  node scripts/pipeline.js
+  node scripts/pipeline.js -p ejendom -w
+`);
+}
+
+function parseArgs(argv) {
+  const args = argv.slice(2);
+  const config = {
+    configPath: null,
+    profiles: [],
+    watch: false,
+    force: false,
+    cacheDir: null,
+    cache: true,
+    validate: true,
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    switch (a) {
+      case "--config":
+      case "-c":
+        config.configPath = args[++i];
+        break;
+      case "--profile":
+      case "-p": {
+        const v = args[++i] || "";
+        config.profiles = v
+          .split(",")
+          .map((s) => s.trim())
+          .filter(Boolean);
+        break;
+      }
+      case "--watch":
+      case "-w":
+        config.watch = true;
+        break;
+      case "--force":
+        config.force = true;
+        break;
+      case "--cache-dir":
+        config.cacheDir = args[++i];
+        break;
+      case "--no-cache":
+        config.cache = false;
+        break;
+      case "--no-validate":
+        config.validate = false;
+        break;
+      case "--help":
+      case "-h":
+        printHelp();
+        process.exit(0);
+      default:
+        if (a.startsWith("-")) {
+          console.warn(`Warning: unknown argument: ${a}`);
+        }
+        break;
+    }
+  }
+
+  return config;
+}
+
+function relative(file) {
+  return path.relative(process.cwd(), file) || file;
+}
+
+// Load the config and resolve the profiles; re-run on every rebuild so config edits apply
+function loadProfiles(cfg, configPath) {
+  const config = loadConfig(configPath);
+  const names = cfg.profiles.length ? cfg.profiles : profileNames(config);
+  return { config, profiles: names.map((name) => resolveProfile(config, name)) };
+}
+
+function build(cfg, configPath, { cache, state, statePath, force }) {
+  const started = Date.now();
+  const { profiles } = loadProfiles(cfg, configPath);
+  const report = runPipeline(profiles, { cache, state, statePath, validate: cfg.validate, force });
+
+  for (const source of report.sources) {
+    const how = source.from === "parse" ? "parsed" : `from ${source.from} cache`;
+    console.log(`Loaded ${relative(source.path)} (${how}, ${source.ms} ms)`);
+  }
+  for (const profile of report.profiles) {
+    console.log(`\n--- ${profile.name} ---`);
+    for (const s of profile.steps) {
+      const detail = s.detail ? `${s.detail} -> ` : "";
+      const time = s.status === "built" ? ` (${s.ms} ms)` : "";
+      console.log(`  ${s.step.padEnd(9)} ${s.status.padEnd(10)} ${detail}${relative(s.output)}${time}`);
+    }
+  }
+  for (const w of report.warnings) console.warn(`Warning: ${w}`);
+
+  const seconds = ((Date.now() - started) / 1000).toFixed(2);
+  console.log(`\nBuilt ${report.built}, up to date ${report.upToDate} in ${seconds} s`);
+  return profiles;
+}
+
+function watch(configPath, rebuild) {
+  let watchers = [];
+  let timer = null;
+  let changed = new Set();
+
+  const start = (profiles) => {
+    watchers.forEach((w) => w.close());
+    const files = new Set([configPath, ...pipelineInputs(profiles)]);
+    // Watch directories: editors often replace a file, which ends a watcher on the file itself
+    const dirs = new Set([...files].map((f) => path.dirname(f)));
+    watchers = [...dirs].map((dir) =>
+      fs.watch(dir, (event, name) => {
+        const file = name && path.join(dir, name.toString());
+        if (!file || !files.has(file)) return;
+        changed.add(file);
+        clearTimeout(timer);
+        timer = setTimeout(run, WATCH_DEBOUNCE_MS);
+      })
+    );
+    console.log(`\nWatching ${files.size} file(s) for changes (Ctrl+C to stop)`);
+  };
+
+  const run = () => {
+    const files = [...changed].map(relative).join(", ");
+    changed = new Set();
+    console.log(`\n[${new Date().toLocaleTimeString()}] Changed: ${files}`);
+    let profiles;
+    try {
+      profiles = rebuild();
+    } catch (err) {
+      console.error("Error:", err && err.message ? err.message : err);
+    }
+    // Keep the previous watch list when the config could not be loaded
+    if (profiles) start(profiles);
+  };
+
+  return start;
+}
+
+function main() {
+  const cfg = parseArgs(process.argv);
+
+  const configPath = cfg.configPath ? path.resolve(cfg.configPath) : findConfigFile();
+  if (!configPath) {
+    throw new Error(`No config file found (--config <file> or ${CONFIG_FILE_NAME})`);
+  }
+  const { config } = loadProfiles(cfg, configPath);
+  const cacheDir = cfg.cache ? path.resolve(cfg.cacheDir || path.join(config.dir, CACHE_DIR_NAME)) : null;
+  const statePath = cacheDir ? path.join(cacheDir, PIPELINE_STATE_FILE) : null;
+  const cache = createAstCache({ dir: cacheDir });
+  // Shared by the watch rebuilds, so they stay incremental even without a state file
+  const state = loadPipelineState(statePath);
+
+  console.log("Pipeline");
+  console.log("========");
+  console.log(`Config:    ${config.path}`);
+  console.log(`Profiles:  ${(cfg.profiles.length ? cfg.profiles : profileNames(config)).join(", ")}`);
+  console.log(`Cache:     ${cacheDir || "(memory only)"}`);
+  console.log("");
+
+  const profiles = build(cfg, configPath, { cache, state, statePath, force: cfg.force });
+  if (!cfg.watch) {
+    console.log("\n✓ Done");
+    return;
+  }
+
+  // --force only applies to the first build; later builds are incremental
+  watch(configPath, () => build(cfg, configPath, { cache, state, statePath, force: false }))(profiles);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error("Error:", err && err.message ? err.message : err);
+    process.exit(1);
+  }
+}
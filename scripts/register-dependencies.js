@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+/**
+ * Register Dependency Matrix
+ *
+ * Builds the register-to-register dependency graph from the @entityJoin fields
+ * of the unpruned schema and writes the matrix, the dependency cycles and the
+ * join fields of every register pair as CSV, JSON and Markdown. With
+ * --registers it also prints the --allow-prefixes filter-schema.js needs so
+ * those registers keep their joins.
+ *
+ * Usage:
+ *   node scripts/register-dependencies.js --input FLEXCURRENT_V001.schema.graphql --output docs/dependencies
+ *   node scripts/register-dependencies.js --input FLEXCURRENT_V001.schema.graphql --registers BBR,MAT
+ *
+ * Options:
+ *   --input, -i           Input SDL file path (the full, unpruned schema) [required]
+ *   --output, -o          Output directory (matrix.csv, joins.csv, dependencies.json, dependencies.md)
+ *   --format, -f          Comma-separated formats to write: csv, json, md (default: all)
+ *   --registers, -r       Comma-separated registers to compute --allow-prefixes for
+ *   --help, -h            Show help
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parse } = require("graphql");
+
+const {
+  analyzeRegisterDependencies,
+  requiredAllowPrefixes,
+  dependenciesJson,
+  renderMatrixCsv,
+  renderJoinsCsv,
+  renderDependenciesMarkdown,
+} = require("../lib");
+
+const FORMATS = ["csv", "json", "md"];
+
+function printHelp() {
+  console.log(`
+Register Dependency Matrix
+
+Usage:
+  node scripts/register-dependencies.js --input <file> [--output <dir>] [--registers <list>]
+
+Options:
+  -i, --input <file>        Input schema SDL file (the full, unpruned schema)
+  -o, --output <dir>        Write matrix.csv, joins.csv, dependencies.json and dependencies.md to <dir>
+  -f, --format <list>       Comma-separated formats to write: csv, json, md (default: all)
+  -r, --registers <list>    Registers to compute --allow-prefixes for (e.g. BBR,MAT)
+  -h, --help                Show this help
+
+Examples:
+  node scripts/register-dependencies.js -i FLEXCURRENT_V001.schema.graphql -o docs/dependencies
+  node scripts/register-dependencies.js -i FLEXCURRENT_V001.schema.graphql -r BBR,MAT,EJF,DAR
+`);
+}
+
+function parseList(value) {
+  return (value || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function parseArgs(argv) {
+  const args = argv.slice(2);
+  const config = {
+    input: null,
+    output: null,
+    formats: FORMATS,
+    registers: [],
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    switch (a) {
+      case "--input":
+      case "-i":
+        config.input = args[++i];
+        break;
+      case "--output":
+      case "-o":
+        config.output = args[++i];
+        break;
+      case "--format":
+      case "-f":
+        config.formats = parseList(args[++i]).map((f) => f.toLowerCase());
+        break;
+      case "--registers":
+      case "-r":
+        config.registers = parseList(args[++i]);
+        break;
+      case "--help":
+      case "-h":
+        printHelp();
+        process.exit(0);
+      default:
+        if (a.startsWith("-")) {
+          console.warn(`Warning: unknown argument: ${a}`);
+        }
+        break;
+    }
+  }
+
+  if (!config.input || (!config.output && !config.registers.length)) {
+    printHelp();
+    throw new Error("Missing required arguments: --input and --output (or --registers)");
+  }
+  for (const f of config.formats) {
+    if (!FORMATS.includes(f)) throw new Error(`Unknown --format: ${f} (expected ${FORMATS.join(", ")})`);
+  }
+
+  return config;
+}
+
+function main() {
+  const cfg = parseArgs(process.argv);
+
+  const inputPath = path.resolve(cfg.input);
+
+  console.log("Register Dependency Matrix");
+  console.log("==========================");
+  console.log(`Input:     ${inputPath}`);
+  if (cfg.output) console.log(`Output:    ${path.resolve(cfg.output)} (${cfg.formats.join(", ")})`);
+  if (cfg.registers.length) console.log(`Registers: ${cfg.registers.join(", ")}`);
+  console.log("");
+
+  const doc = parse(fs.readFileSync(inputPath, "utf8"), { noLocation: true });
+  const analysis = analyzeRegisterDependencies(doc);
+
+  const cross = analysis.pairs.reduce((n, p) => n + p.count, 0);
+  console.log(`Registers: ${analysis.registers.length}`);
+  console.log(`Joins:     ${analysis.joins.length} @entityJoin fields, ${cross} across registers`);
+  console.log(`Pairs:     ${analysis.pairs.length}`);
+  console.log(`Cycles:    ${analysis.cycles.length || "none"}`);
+  for (const cycle of analysis.cycles) {
+    console.log(`  ${cycle.registers.join(", ")} (e.g. ${cycle.example.join(" -> ")})`);
+  }
+
+  for (const r of cfg.registers) {
+    if (!analysis.registers.includes(r)) console.warn(`Warning: register ${r} not found in the schema`);
+  }
+  if (cfg.registers.length) {
+    const allow = requiredAllowPrefixes(analysis, cfg.registers);
+    console.log("");
+    if (!allow.length) {
+      console.log(`${cfg.registers.join(", ")} only join within the selection; no --allow-prefixes needed`);
+    } else {
+      console.log(`To keep every join of ${cfg.registers.join(", ")}:`);
+      console.log(`  --registers ${cfg.registers.join(",")} --allow-prefixes ${allow.map((a) => a.prefix).join(",")}`);
+      for (const a of allow) {
+        const fields = a.joins.map((j) => `${j.type}.${j.field}`);
+        const shown = fields.slice(0, 3).join(", ") + (fields.length > 3 ? ", ..." : "");
+        console.log(`  ${a.prefix.padEnd(16)} ${fields.length} field(s): ${shown}`);
+      }
+    }
+  }
+
+  if (cfg.output) {
+    const outputDir = path.resolve(cfg.output);
+    const files = [];
+    if (cfg.formats.includes("csv")) {
+      files.push(["matrix.csv", renderMatrixCsv(analysis)], ["joins.csv", renderJoinsCsv(analysis)]);
+    }
+    if (cfg.formats.includes("json")) {
+      const json = dependenciesJson(analysis, { registers: cfg.registers });
+      files.push(["dependencies.json", JSON.stringify(json, null, 2) + "\n"]);
+    }
+    if (cfg.formats.includes("md")) {
+      files.push([
+        "dependencies.md",
+        renderDependenciesMarkdown(analysis, {
+          title: `Register dependencies – ${path.basename(inputPath)}`,
+          registers: cfg.registers,
+        }),
+      ]);
+    }
+
+    fs.mkdirSync(outputDir, { recursive: true });
+    console.log("");
+    for (const [name, content] of files) {
+      fs.writeFileSync(path.join(outputDir, name), content, "utf8");
+      console.log(`  ${name.padEnd(18)} ${(content.length / 1024).toFixed(1)} KB`);
+    }
+    console.log(`Wrote ${files.length} file(s) to ${outputDir}`);
+  }
+
+  console.log("\n✓ Done");
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error("Error:", err && err.message ? err.message : err);
+    process.exit(1);
+  }
+}
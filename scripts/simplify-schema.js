@@ -12,12 +12,36 @@
  *   --input, -i           Input SDL file path [required]
  *   --output, -o          Output SDL file path [required]
  *   --mappings, -m        Domain mappings JSON file [required]
+ *   --descriptions        none (default) | full | condensed: keep the Grunddatamodel descriptions
+ *   --rules, -r           Simplify rules JSON file (skipped types/fields, type rewrites, kept enums)
+ *   --fidelity            Keep enums, custom scalars and the wrappers of scalar fields
+ *   --domains, -d         Comma-separated domains to simplify (default: all)
+ *   --strict              Fail (and write nothing) when the validation report has any entry
+ *   --report              Write the validation report as JSON to this file
+ *   --no-validate         Skip building the simplified schema
+ *   --profile, -p         Take paths from a profile in graphql-viz.config.json: input is the
+ *                         profile's filtered output, output/mappings come from its "simplify"
+ *                         section. Without mappings they are computed from the input schema
+ *   --config, -c          Config file path (default: nearest graphql-viz.config.json)
  *   --help, -h            Show help
  */
 
 const fs = require("fs");
 const path = require("path");
-const { parse, print, visit, Kind } = require("graphql");
+const { parse } = require("graphql");
+
+const {
+  buildEntityIndex,
+  compileSimplifyRules,
+  simplifySchema,
+  summarizeRelationships,
+  normalizeMappingEntry,
+  computeDomainMappings,
+  findConfigFile,
+  loadConfig,
+  resolveProfile,
+  CONFIG_FILE_NAME,
+} = require("../lib");
 
 function printHelp() {
   console.log(`
@@ -32,10 +56,27 @@ Options:
   -i, --input <file>      Input schema SDL file
   -o, --output <file>     Output simplified SDL file
   -m, --mappings <file>   Domain mappings JSON file
+  --descriptions <mode>   none (default), full or condensed: keep the Grunddatamodel descriptions
+                          on the simplified types and fields
+  -r, --rules <file>      Simplify rules JSON file: skipTypes, skipFields, rewrite, keepEnums,
+                          fallback (merged over the built-in FLEX defaults)
+  --fidelity              Keep enums (with their values), custom scalars (DafDateTime, UUID, Long, ...)
+                          and the list / non-null wrappers of scalar fields instead of plain String
+  -d, --domains <list>    Comma-separated domains to simplify (e.g. BBR,DAR). Default: all
+                          Relationships into other domains are dropped and reported
+  --strict                Fail, without writing the output, on any validation warning
+  --report <file>         Write the validation report (missing entities, dangling references,
+                          empty entities, unused rules, schema errors) as JSON
+  --no-validate           Skip building the simplified schema
+  -p, --profile <name>    Take input/output/mappings from a profile in ${CONFIG_FILE_NAME} (flags still override)
+  -c, --config <file>     Config file (default: nearest ${CONFIG_FILE_NAME})
   -h, --help              Show this help
 
-Example:
+Examples:
   node scripts/simplify-schema.js -i FLEXCURRENT_V001.schema.graphql -o simplified.graphql -m FLEXCURRENT_V001.schema-domain-mappings.json
+  node scripts/simplify-schema.js -i schema.graphql -o simplified.graphql -m mappings.json -r simplify-rules.json
+  node scripts/simplify-schema.js -i FLEXCURRENT_V001.schema.graphql -o bbr.graphql -m FLEXCURRENT_V001.schema-domain-mappings.json -d BBR --report bbr-report.json
+  node scripts/simplify-schema.js --profile ejendom --strict
 `);
 }
 
@@ -45,6 +86,15 @@ function parseArgs(argv) {
     input: null,
     output: null,
     mappings: null,
+    descriptions: null,
+    rules: null,
+    fidelity: false,
+    domains: [],
+    strict: false,
+    report: null,
+    validate: true,
+    profile: null,
+    configPath: null,
   };
 
   for (let i = 0; i < args.length; i++) {
@@ -62,6 +112,42 @@ function parseArgs(argv) {
       case "-m":
         config.mappings = args[++i];
         break;
+      case "--descriptions":
+        config.descriptions = args[++i];
+        break;
+      case "--rules":
+      case "-r":
+        config.rules = args[++i];
+        break;
+      case "--fidelity":
+        config.fidelity = true;
+        break;
+      case "--domains":
+      case "-d": {
+        const v = args[++i] || "";
+        config.domains = v
+          .split(",")
+          .map((s) => s.trim())
+          .filter(Boolean);
+        break;
+      }
+      case "--strict":
+        config.strict = true;
+        break;
+      case "--report":
+        config.report = args[++i];
+        break;
+      case "--no-validate":
+        config.validate = false;
+        break;
+      case "--profile":
+      case "-p":
+        config.profile = args[++i];
+        break;
+      case "--config":
+      case "-c":
+        config.configPath = args[++i];
+        break;
       case "--help":
       case "-h":
         printHelp();
@@ -74,7 +160,12 @@ function parseArgs(argv) {
     }
   }
 
-  if (!config.input || !config.output || !config.mappings) {
+  if (config.profile) {
+    applyProfile(config, loadProfile(config.configPath, config.profile));
+  }
+
+  // With a profile, missing mappings are computed from the input schema
+  if (!config.input || !config.output || (!config.mappings && !config.profile)) {
     printHelp();
     throw new Error("Missing required arguments: --input, --output, --mappings");
   }
@@ -82,128 +173,37 @@ function parseArgs(argv) {
   return config;
 }
 
-// Types to simplify (replace with String)
-const SIMPLIFY_TO_STRING = new Set([
-  // Spatial/Geometry types
-  "SpatialInterfaceType",
-  "SpatialLineStringEpsg25832Type",
-  "SpatialLineStringZEpsg25832Type",
-  "SpatialMultiLineStringEpsg25832Type",
-  "SpatialMultiLineStringZEpsg25832Type",
-  "SpatialMultiPointEpsg25832Type",
-  "SpatialMultiPointZEpsg25832Type",
-  "SpatialMultiPolygonEpsg25832Type",
-  "SpatialPointEpsg25832Type",
-  "SpatialPointEpsg4326Type",
-  "SpatialPointZEpsg25832Type",
-  "SpatialPointZEpsg4326Type",
-  "SpatialPolygonEpsg25832Type",
-  "SpatialPolygonEpsg4326Type",
-  "SpatialPolygonZEpsg25832Type",
-  // Date/Time types - keep as scalars but ensure they exist
-  "DafDateTime",
-  "LocalDate",
-  "UUID",
-  "Long",
-]);
-
-// Types to completely skip
-const SKIP_TYPES = new Set([
-  "PageInfo",
-  "Query",
-  "Mutation",
-  "Subscription",
-]);
-
-// Suffixes that indicate infrastructure types to remove
-const INFRASTRUCTURE_SUFFIXES = ["Connection", "Edge", "FilterInput", "SortInput"];
-
-function getNamedType(typeNode) {
-  let t = typeNode;
-  while (t && (t.kind === Kind.NON_NULL_TYPE || t.kind === Kind.LIST_TYPE)) {
-    t = t.type;
+function loadProfile(configPath, name) {
+  const file = configPath || findConfigFile();
+  if (!file) {
+    throw new Error(`--profile needs a config file (--config <file> or ${CONFIG_FILE_NAME})`);
   }
-  return t && t.kind === Kind.NAMED_TYPE ? t.name.value : null;
-}
-
-function defName(def) {
-  return def && def.name && def.name.value ? def.name.value : null;
-}
-
-function isInfrastructureType(typeName) {
-  return INFRASTRUCTURE_SUFFIXES.some((suffix) => typeName.endsWith(suffix));
-}
-
-function extractEntityFromConnection(connectionTypeName) {
-  // BBR_BygningConnection -> BBR_Bygning
-  if (connectionTypeName.endsWith("Connection")) {
-    return connectionTypeName.slice(0, -"Connection".length);
+  const profile = resolveProfile(loadConfig(file), name);
+  if (!profile.simplify) {
+    throw new Error(`Profile "${name}" has no "simplify" section`);
   }
-  return null;
+  return profile;
 }
 
-function shouldSimplifyToString(typeName) {
-  return SIMPLIFY_TO_STRING.has(typeName) || typeName.startsWith("Spatial");
+function applyProfile(config, profile) {
+  config.input = config.input || profile.output;
+  config.output = config.output || profile.simplify.output;
+  config.mappings = config.mappings || profile.simplify.mappings;
+  config.descriptions = config.descriptions || profile.simplify.descriptions || null;
+  config.profileRules = profile.simplify.rules || null;
+  config.fidelity = config.fidelity || !!profile.simplify.fidelity;
+  config.strict = config.strict || !!profile.simplify.strict;
+  if (!config.domains.length && profile.simplify.domains) config.domains = profile.simplify.domains;
 }
 
-function createSimplifiedNamedType(name, isNonNull = false, isList = false) {
-  let typeNode = {
-    kind: Kind.NAMED_TYPE,
-    name: { kind: Kind.NAME, value: name },
-  };
-
-  if (isList) {
-    typeNode = {
-      kind: Kind.LIST_TYPE,
-      type: typeNode,
-    };
-  }
-
-  if (isNonNull) {
-    typeNode = {
-      kind: Kind.NON_NULL_TYPE,
-      type: typeNode,
-    };
-  }
-
-  return typeNode;
-}
-
-function simplifyFieldType(typeNode, entityTypes) {
-  const namedType = getNamedType(typeNode);
-  if (!namedType) return null;
-
-  // Check if it's a Connection type -> extract the entity and make it a list
-  const entityFromConnection = extractEntityFromConnection(namedType);
-  if (entityFromConnection && entityTypes.has(entityFromConnection)) {
-    // Return [EntityType] (list of the entity)
-    return createSimplifiedNamedType(entityFromConnection, false, true);
-  }
-
-  // Check if it's a type we should simplify to String
-  if (shouldSimplifyToString(namedType)) {
-    return createSimplifiedNamedType("String", false, false);
-  }
-
-  // Check if it's a known entity type - keep as is
-  if (entityTypes.has(namedType)) {
-    return typeNode;
-  }
-
-  // Check if it's a basic scalar
-  const basicScalars = new Set(["String", "Int", "Float", "Boolean", "ID"]);
-  if (basicScalars.has(namedType)) {
-    return typeNode;
-  }
-
-  // For enum types that are used (like status enums), simplify to String
-  // This catches things like SpatialDimensionEnumType, etc.
-  if (namedType.includes("Enum") || namedType.endsWith("Type")) {
-    return createSimplifiedNamedType("String", false, false);
+function loadRules(cfg) {
+  if (!cfg.rules) return cfg.profileRules || null;
+  const rulesPath = path.resolve(cfg.rules);
+  try {
+    return JSON.parse(fs.readFileSync(rulesPath, "utf8"));
+  } catch (err) {
+    throw new Error(`Could not read simplify rules ${rulesPath}: ${err.message}`);
   }
-
-  // Unknown type - simplify to String
-  return createSimplifiedNamedType("String", false, false);
 }
 
 function main() {
@@ -211,32 +211,22 @@ function main() {
 
   const inputPath = path.resolve(cfg.input);
   const outputPath = path.resolve(cfg.output);
-  const mappingsPath = path.resolve(cfg.mappings);
+  const mappingsPath = cfg.mappings ? path.resolve(cfg.mappings) : null;
+  const rules = loadRules(cfg);
 
   console.log("GraphQL Schema Simplifier");
   console.log("=========================");
+  if (cfg.profile) console.log(`Profile:   ${cfg.profile}`);
   console.log(`Input:     ${inputPath}`);
   console.log(`Output:    ${outputPath}`);
-  console.log(`Mappings:  ${mappingsPath}`);
+  console.log(`Mappings:  ${mappingsPath || "(computed from input)"}`);
+  if (cfg.descriptions) console.log(`Descriptions: ${cfg.descriptions}`);
+  if (rules) console.log(`Rules:     ${cfg.rules ? path.resolve(cfg.rules) : "(from profile)"}`);
+  if (cfg.fidelity) console.log("Fidelity:  enums, custom scalars and wrappers kept");
+  if (cfg.domains.length) console.log(`Domains:   ${cfg.domains.join(", ")}`);
+  if (cfg.strict) console.log("Strict:    yes");
   console.log("");
 
-  // Load domain mappings
-  const mappingsContent = fs.readFileSync(mappingsPath, "utf8");
-  const domainMappings = JSON.parse(mappingsContent);
-
-  // Identify entity types (not Connection/Edge types)
-  const entityTypes = new Set();
-  const entityToDomain = new Map();
-
-  for (const [typeName, domain] of Object.entries(domainMappings)) {
-    if (!isInfrastructureType(typeName)) {
-      entityTypes.add(typeName);
-      entityToDomain.set(typeName, domain);
-    }
-  }
-
-  console.log(`Found ${entityTypes.size} entity types across ${new Set(Object.values(domainMappings)).size} domains`);
-
   // Load and parse schema
   const sdl = fs.readFileSync(inputPath, "utf8");
   console.log(`Read ${(sdl.length / 1024 / 1024).toFixed(2)} MB schema file`);
@@ -244,142 +234,68 @@ function main() {
   console.log("Parsing SDL to AST...");
   const doc = parse(sdl, { noLocation: true });
 
-  // Build map of type definitions
-  const typeDefsByName = new Map();
-  for (const def of doc.definitions) {
-    const name = defName(def);
-    if (name && def.kind === Kind.OBJECT_TYPE_DEFINITION) {
-      typeDefsByName.set(name, def);
-    }
-  }
-
-  console.log("Processing entity types...");
-
-  // Process each entity type
-  const simplifiedTypes = [];
-  const relationshipEdges = []; // Track relationships for summary
-
-  for (const entityName of entityTypes) {
-    const typeDef = typeDefsByName.get(entityName);
-    if (!typeDef) {
-      console.warn(`Warning: Entity type ${entityName} not found in schema`);
-      continue;
-    }
-
-    const simplifiedFields = [];
-    const fields = typeDef.fields || [];
-
-    for (const field of fields) {
-      const fieldName = field.name.value;
-      const namedType = getNamedType(field.type);
-
-      // Skip certain field patterns
-      if (fieldName.startsWith("datafordeler")) continue; // Internal metadata
-      if (fieldName === "id_namespace") continue; // Namespace metadata
-      if (namedType && namedType.endsWith("FilterInput")) continue; // Filter inputs
-
-      // Simplify the field type
-      const simplifiedType = simplifyFieldType(field.type, entityTypes);
-      if (!simplifiedType) continue;
-
-      const simplifiedTypeName = getNamedType(simplifiedType);
-
-      // Track relationships
-      if (simplifiedTypeName && entityTypes.has(simplifiedTypeName) && simplifiedTypeName !== entityName) {
-        relationshipEdges.push({
-          from: entityName,
-          to: simplifiedTypeName,
-          field: fieldName,
-        });
-      }
-
-      // Create simplified field (no arguments, no directives)
-      const simplifiedField = {
-        kind: Kind.FIELD_DEFINITION,
-        name: { kind: Kind.NAME, value: fieldName },
-        arguments: [],
-        type: simplifiedType,
-        directives: [],
-      };
-
-      simplifiedFields.push(simplifiedField);
-    }
+  // Load domain mappings
+  const domainMappings = mappingsPath
+    ? JSON.parse(fs.readFileSync(mappingsPath, "utf8"))
+    : computeDomainMappings(doc).mappings;
 
-    // Only include types that have fields
-    if (simplifiedFields.length > 0) {
-      // Add domain as a comment in the description
-      const domain = entityToDomain.get(entityName);
-      const description = domain
-        ? { kind: Kind.STRING, value: `Domain: ${domain}`, block: false }
-        : null;
+  const { entityTypes } = buildEntityIndex(domainMappings, compileSimplifyRules(rules, { fidelity: cfg.fidelity }));
+  const domains = new Set(Object.values(domainMappings).map((e) => normalizeMappingEntry(e).domain));
+  console.log(`Found ${entityTypes.size} entity types across ${domains.size} domains`);
 
-      const simplifiedTypeDef = {
-        kind: Kind.OBJECT_TYPE_DEFINITION,
-        description,
-        name: { kind: Kind.NAME, value: entityName },
-        interfaces: [],
-        directives: [],
-        fields: simplifiedFields,
-      };
+  console.log("Processing entity types...");
+  const { sdl: outSDL, entityToDomain, simplifiedTypes, relationshipEdges, report } =
+    simplifySchema(doc, domainMappings, {
+      descriptions: cfg.descriptions || "none",
+      rules,
+      fidelity: cfg.fidelity,
+      domains: cfg.domains,
+      validate: cfg.validate,
+    });
+
+  for (const d of cfg.domains) {
+    if (!domains.has(d)) console.warn(`Warning: no entities in domain ${d}`);
+  }
 
-      simplifiedTypes.push(simplifiedTypeDef);
-    }
+  // The report is checked after writing it, so a failed strict run still leaves it behind
+  for (const p of report) {
+    if (p.severity === "error") console.error(`Error: ${p.message}`);
+    else console.warn(`Warning: ${p.message}`);
+  }
+  const errors = report.filter((p) => p.severity === "error").length;
+  if (cfg.validate) {
+    console.log(`Validation: ${errors ? "failed" : "schema builds"}, ${report.length - errors} warning(s)`);
+  }
+  if (cfg.report) {
+    const reportPath = path.resolve(cfg.report);
+    const byRule = {};
+    for (const p of report) byRule[p.rule] = (byRule[p.rule] || 0) + 1;
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+    fs.writeFileSync(
+      reportPath,
+      JSON.stringify({ input: inputPath, errors, warnings: report.length - errors, byRule, problems: report }, null, 2) +
+        "\n",
+      "utf8"
+    );
+    console.log(`Wrote report to ${reportPath}`);
+  }
+  if (errors) {
+    throw new Error("The simplified schema is invalid; nothing written");
+  }
+  if (cfg.strict && report.length) {
+    throw new Error(`${report.length} validation problem(s) in strict mode; nothing written`);
   }
 
   console.log(`Simplified ${simplifiedTypes.length} entity types`);
   console.log(`Found ${relationshipEdges.length} relationships`);
 
-  // Create output document with schema declaration
-  const schemaDefinition = {
-    kind: Kind.SCHEMA_DEFINITION,
-    operationTypes: [
-      {
-        kind: Kind.OPERATION_TYPE_DEFINITION,
-        operation: "query",
-        type: { kind: Kind.NAMED_TYPE, name: { kind: Kind.NAME, value: "Query" } },
-      },
-    ],
-  };
-
-  // Create a simple Query type with one field per entity type (ALL of them)
-  const queryFields = simplifiedTypes.map((typeDef) => ({
-    kind: Kind.FIELD_DEFINITION,
-    name: { kind: Kind.NAME, value: defName(typeDef) },
-    arguments: [],
-    type: createSimplifiedNamedType(defName(typeDef), false, true),
-    directives: [],
-  }));
-
-  const queryType = {
-    kind: Kind.OBJECT_TYPE_DEFINITION,
-    name: { kind: Kind.NAME, value: "Query" },
-    interfaces: [],
-    directives: [],
-    fields: queryFields,
-  };
-
-  const outDoc = {
-    kind: Kind.DOCUMENT,
-    definitions: [schemaDefinition, queryType, ...simplifiedTypes],
-  };
-
-  const outSDL = print(outDoc) + "\n";
-
   fs.mkdirSync(path.dirname(outputPath), { recursive: true });
   fs.writeFileSync(outputPath, outSDL, "utf8");
   console.log(`Wrote ${(outSDL.length / 1024).toFixed(2)} KB to ${outputPath}`);
 
   // Print relationship summary
   console.log("\n=== RELATIONSHIP SUMMARY ===");
-  const relationshipsByDomain = new Map();
-  for (const edge of relationshipEdges) {
-    const fromDomain = entityToDomain.get(edge.from);
-    const toDomain = entityToDomain.get(edge.to);
-    const key = `${fromDomain} -> ${toDomain}`;
-    relationshipsByDomain.set(key, (relationshipsByDomain.get(key) || 0) + 1);
-  }
-
-  for (const [key, count] of Array.from(relationshipsByDomain.entries()).sort((a, b) => b[1] - a[1])) {
+  for (const [key, count] of summarizeRelationships(relationshipEdges, entityToDomain)) {
     console.log(`  ${key}: ${count} relationships`);
   }
 
@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+/**
+ * Schema Split
+ *
+ * Parses a full schema once and writes one filtered, validated schema per
+ * register, a common.graphql with the shared (unprefixed) definitions and a
+ * manifest listing which shared types each bundle depends on. Replaces one
+ * filter-schema.js run per register.
+ *
+ * Usage:
+ *   node scripts/split-schema.js --input FLEXCURRENT_V001.schema.graphql --output schema
+ *
+ * Options:
+ *   --input, -i           Input SDL file path (the full schema) [required]
+ *   --output, -o          Output directory (default: schema)
+ *   --registers, -r       Comma-separated registers to split out (default: all registers in the schema)
+ *   --name                Bundle file name pattern with {register} (default: <input prefix>_{register}.schema.graphql)
+ *   --common              Shared definitions file name (default: common.graphql)
+ *   --manifest            Manifest file name (default: manifest.json)
+ *   --external-common     Leave the shared definitions out of the bundles (valid only together with common)
+ *   --descriptions        full (default) | condensed | none
+ *   --no-validate         Skip building the bundles to validate them
+ *   --help, -h            Show help
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parse } = require("graphql");
+
+const { splitSchema, splitManifest } = require("../lib");
+
+function printHelp() {
+  console.log(`
+Schema Split
+
+Writes one filtered schema per register, a common.graphql with the shared
+definitions and a manifest, parsing the input once.
+
+Usage:
+  node scripts/split-schema.js --input <file> [--output <dir>] [--registers <list>]
+
+Options:
+  -i, --input <file>        Input schema SDL file (the full schema)
+  -o, --output <dir>        Output directory (default: schema)
+  -r, --registers <list>    Comma-separated registers to split out (default: all registers in the schema)
+  --name <pattern>          Bundle file name with {register} (default: <input prefix>_{register}.schema.graphql,
+                            e.g. FLEXCURRENT_{register}.schema.graphql for FLEXCURRENT_V001.schema.graphql)
+  --common <file>           Shared definitions file name (default: common.graphql)
+  --manifest <file>         Manifest file name (default: manifest.json)
+  --external-common         Leave shared definitions out of the bundles; they are then only valid with common
+  --descriptions <mode>     full (default), condensed or none
+  --no-validate             Skip building the bundles to validate them
+  -h, --help                Show this help
+
+Examples:
+  node scripts/split-schema.js -i FLEXCURRENT_V001.schema.graphql -o schema
+  node scripts/split-schema.js -i FLEXCURRENT_V001.schema.graphql -o schema/split -r BBR,DAR,MAT --external-common
+`);
+}
+
+function parseArgs(argv) {
+  const args = argv.slice(2);
+  const config = {
+    input: null,
+    output: "schema",
+    registers: [],
+    name: null,
+    common: "common.graphql",
+    manifest: "manifest.json",
+    externalCommon: false,
+    descriptions: "full",
+    validate: true,
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    switch (a) {
+      case "--input":
+      case "-i":
+        config.input = args[++i];
+        break;
+      case "--output":
+      case "-o":
+        config.output = args[++i];
+        break;
+      case "--registers":
+      case "-r": {
+        const v = args[++i] || "";
+        config.registers = v
+          .split(",")
+          .map((s) => s.trim())
+          .filter(Boolean);
+        break;
+      }
+      case "--name":
+        config.name = args[++i];
+        break;
+      case "--common":
+        config.common = args[++i];
+        break;
+      case "--manifest":
+        config.manifest = args[++i];
+        break;
+      case "--external-common":
+        config.externalCommon = true;
+        break;
+      case "--descriptions":
+        config.descriptions = args[++i];
+        break;
+      case "--no-validate":
+        config.validate = false;
+        break;
+      case "--help":
+      case "-h":
+        printHelp();
+        process.exit(0);
+      default:
+        if (a.startsWith("-")) {
+          console.warn(`Warning: unknown argument: ${a}`);
+        }
+        break;
+    }
+  }
+
+  if (!config.input) {
+    printHelp();
+    throw new Error("Missing required argument: --input");
+  }
+  if (config.name && !config.name.includes("{register}")) {
+    throw new Error(`--name must contain {register}: ${config.name}`);
+  }
+
+  return config;
+}
+
+// FLEXCURRENT_V001.schema.graphql -> FLEXCURRENT_{register}.schema.graphql
+function defaultNamePattern(inputPath) {
+  const base = path.basename(inputPath).replace(/\.(schema\.)?graphql$/, "");
+  return `${base.split("_")[0]}_{register}.schema.graphql`;
+}
+
+function main() {
+  const cfg = parseArgs(process.argv);
+
+  const inputPath = path.resolve(cfg.input);
+  const outputDir = path.resolve(cfg.output);
+  const pattern = cfg.name || defaultNamePattern(inputPath);
+  const bundleFile = (register) => pattern.replace(/\{register\}/g, register);
+
+  console.log("Schema Split");
+  console.log("============");
+  console.log(`Input:     ${inputPath}`);
+  console.log(`Output:    ${outputDir}`);
+  console.log(`Bundles:   ${pattern}${cfg.externalCommon ? " (shared definitions in common only)" : ""}`);
+  console.log(`Validate:  ${cfg.validate ? "yes" : "no"}`);
+  console.log("");
+
+  let started = Date.now();
+  const doc = parse(fs.readFileSync(inputPath, "utf8"), { noLocation: true });
+  console.log(`Parsed input in ${Date.now() - started} ms`);
+
+  started = Date.now();
+  const split = splitSchema(doc, {
+    registers: cfg.registers,
+    externalCommon: cfg.externalCommon,
+    descriptions: cfg.descriptions,
+    validate: cfg.validate,
+  });
+  console.log(`Split ${split.bundles.length} register(s) in ${Date.now() - started} ms`);
+  console.log("");
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  const width = Math.max(...split.bundles.map((b) => b.register.length));
+  for (const bundle of split.bundles) {
+    fs.writeFileSync(path.join(outputDir, bundleFile(bundle.register)), bundle.sdl, "utf8");
+    const types =
+      `${String(bundle.stats.selectedTypes).padStart(4)} types, ` +
+      `${String(bundle.sharedTypes.length).padStart(3)} shared`;
+    const size = `${(bundle.sdl.length / 1024).toFixed(0)} KB`;
+    console.log(`  ${bundle.register.padEnd(width)}  ${types}  ${size.padStart(7)}  -> ${bundleFile(bundle.register)}`);
+    for (const w of bundle.warnings) console.warn(`Warning: ${bundle.register}: ${w}`);
+  }
+  for (const w of split.warnings) console.warn(`Warning: ${w}`);
+
+  fs.writeFileSync(path.join(outputDir, cfg.common), split.common.sdl, "utf8");
+  const manifest = splitManifest(split, { input: path.basename(inputPath), common: cfg.common, bundle: bundleFile });
+  fs.writeFileSync(path.join(outputDir, cfg.manifest), JSON.stringify(manifest, null, 2) + "\n", "utf8");
+
+  console.log("");
+  console.log(`Common:    ${split.common.types.length} shared types -> ${cfg.common}`);
+  console.log(`Manifest:  ${cfg.manifest}`);
+  console.log(cfg.validate ? "✓ All bundles are valid SDL" : "Skipped validation.");
+  console.log("\n✓ Done");
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error("Error:", err && err.message ? err.message : err);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+/**
+ * Interactive Entity-Relationship Viewer
+ *
+ * Runs the same simplification as simplify-schema.js and renders the resulting
+ * entity types and relationships into a single, self-contained HTML page
+ * (no external scripts or stylesheets, works offline).
+ *
+ * Usage:
+ *   node scripts/visualize-schema.js --input schema.graphql --mappings domain-mappings.json --output viewer.html
+ *
+ * Options:
+ *   --input, -i           Input SDL file path (full or filtered schema) [required]
+ *   --mappings, -m        Domain mappings JSON file [required]
+ *   --output, -o          Output HTML file path [required]
+ *   --title               Page title (default: input file name)
+ *   --help, -h            Show help
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parse } = require("graphql");
+
+const { simplifySchema, buildGraphModel, renderHtml } = require("../lib");
+
+function printHelp() {
+  console.log(`
+Interactive Entity-Relationship Viewer
+
+Generates a standalone HTML page with a pan/zoom graph of the simplified entity model.
+
+Usage:
+  node scripts/visualize-schema.js --input <file> --mappings <file> --output <file>
+
+Options:
+  -i, --input <file>      Input schema SDL file (full or filtered)
+  -m, --mappings <file>   Domain mappings JSON file
+  -o, --output <file>     Output HTML file
+  --title <text>          Page title (default: input file name)
+  -h, --help              Show this help
+
+Example:
+  node scripts/visualize-schema.js -i FLEXCURRENT_V001.schema.graphql -m FLEXCURRENT_V001.schema-domain-mappings.json -o FLEXCURRENT_V001.viewer.html
+`);
+}
+
+function parseArgs(argv) {
+  const args = argv.slice(2);
+  const config = {
+    input: null,
+    output: null,
+    mappings: null,
+    title: null,
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    switch (a) {
+      case "--input":
+      case "-i":
+        config.input = args[++i];
+        break;
+      case "--output":
+      case "-o":
+        config.output = args[++i];
+        break;
+      case "--mappings":
+      case "-m":
+        config.mappings = args[++i];
+        break;
+      case "--title":
+        config.title = args[++i];
+        break;
+      case "--help":
+      case "-h":
+        printHelp();
+        process.exit(0);
+      default:
+        if (a.startsWith("-")) {
+          console.warn(`Warning: unknown argument: ${a}`);
+        }
+        break;
+    }
+  }
+
+  if (!config.input || !config.output || !config.mappings) {
+    printHelp();
+    throw new Error("Missing required arguments: --input, --output, --mappings");
+  }
+
+  return config;
+}
+
+function main() {
+  const cfg = parseArgs(process.argv);
+
+  const inputPath = path.resolve(cfg.input);
+  const outputPath = path.resolve(cfg.output);
+  const mappingsPath = path.resolve(cfg.mappings);
+  const title = cfg.title || path.basename(inputPath);
+
+  console.log("Entity-Relationship Viewer");
+  console.log("==========================");
+  console.log(`Input:     ${inputPath}`);
+  console.log(`Mappings:  ${mappingsPath}`);
+  console.log(`Output:    ${outputPath}`);
+  console.log("");
+
+  const domainMappings = JSON.parse(fs.readFileSync(mappingsPath, "utf8"));
+
+  const sdl = fs.readFileSync(inputPath, "utf8");
+  console.log(`Read ${(sdl.length / 1024 / 1024).toFixed(2)} MB schema file`);
+
+  console.log("Parsing SDL to AST...");
+  const doc = parse(sdl, { noLocation: true });
+
+  console.log("Simplifying entity model...");
+  const result = simplifySchema(doc, domainMappings);
+  const model = buildGraphModel(result);
+
+  console.log(`Entities:      ${model.nodes.length}`);
+  console.log(`Relationships: ${model.edges.length}`);
+  console.log(`Domains:       ${model.domains.join(", ")}`);
+
+  const html = renderHtml(model, title);
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, html, "utf8");
+  console.log(`Wrote ${(html.length / 1024).toFixed(2)} KB to ${outputPath}`);
+
+  console.log("✓ Done");
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error("Error:", err && err.message ? err.message : err);
+    process.exit(1);
+  }
+}